@@ -1,46 +1,871 @@
 /**
  * UniCast Chat Bridge - Background Service Worker
- * Extension durumunu ve badge'i yönetir
+ * UniCast'e tek WebSocket bağlantısını yönetir, content script'lerden
+ * gelen mesajları tab ve platform bilgisiyle etiketleyip iletir.
+ * Extension durumunu ve badge'i yönetir; badge açık yayın sekmelerini sayar,
+ * popup sekme listesini getStatus ile alır.
  */
 
-let isConnected = false;
+const BRIDGE_PATH = 'bridge';
+const HELLO_TIMEOUT = 3000;     // Bu sürede welcome gelmezse UniCast doğrulanamaz
+const PAIR_TIMEOUT = 5000;
+const BRIDGE_PORT_NAME = 'unicast-bridge';
 
-// Badge renklerini ayarla
-function updateBadge(connected) {
-    isConnected = connected;
-    
-    if (connected) {
-        chrome.action.setBadgeText({ text: '●' });
-        chrome.action.setBadgeBackgroundColor({ color: '#22c55e' }); // Yeşil
+// Yeniden bağlanma: settings.reconnectInterval'dan başlayan, jitter'lı üstel bekleme
+const MAX_RECONNECT_DELAY = 60000;
+const MAX_RECONNECT_FAILURES = 8;     // Bu kadar başarısız denemeden sonra duraklat
+const PROBE_ALARM = 'unicast-probe';  // Duraklatılmışken UniCast açıldı mı diye yoklar
+const PROBE_PERIOD_MINUTES = 1;
+
+/**
+ * Bağlantı durumları ve badge karşılıkları
+ */
+const CONNECTION_STATES = {
+    idle:       { text: '○', color: '#6b7280', title: 'Açık yayın yok' },
+    connecting: { text: '…', color: '#eab308', title: 'UniCast\'e bağlanılıyor' },
+    connected:  { text: '●', color: '#22c55e', title: 'UniCast\'e bağlı' },
+    backoff:    { text: '↻', color: '#f97316', title: 'UniCast bulunamadı, yeniden denenecek' },
+    paused:     { text: '○', color: '#ef4444', title: 'UniCast çevrimdışı, denemeler duraklatıldı' },
+    rejected:   { text: '!', color: '#f59e0b', title: 'UniCast bağlantıyı reddetti' }
+};
+
+// Bağlantı anına özgü veya anlık değer taşıyan, kuyruğa alınmayan mesajlar
+const TRANSIENT_TYPES = new Set(['connected', 'status', 'stats', 'streamEnded', 'commandAck', 'selectorPackAck', 'pong']);
+
+importScripts('settings.js', 'protocol.js', 'outbound-queue.js', 'selector-packs.js');
+
+// tabId -> { port, platform, adapterVersion, url, live, session, info, commentCount, lastCommentAt }
+// live: sekme bir yayın sayfasında mı; yayından çıkan sekmenin portu komutlar için açık kalır
+// session: content script'in bildirdiği yayın oturumu { streamId, startedAt }
+const bridgedTabs = new Map();
+
+let ws = null;
+let connectionState = 'idle';
+let isConnected = false;         // El sıkışma tamamlandı mı (connectionState === 'connected')
+let reconnectTimer = null;
+let reconnectFailures = 0;       // Art arda başarısız deneme; service worker yeniden başlasa da korunur
+let nextRetryAt = null;
+let helloTimer = null;
+let serverSession = null;        // { protocolVersion, accepts, platforms }
+let rejectReason = null;         // UniCast bağlantıyı reddettiyse nedeni
+
+// Adres, yeniden bağlanma aralığı ve debug ayarları (options sayfası)
+let settings = UniCastSettings.defaults();
+let settingsLoaded = false;
+const settingsReady = UniCastSettings.load().then((loaded) => {
+    settings = loaded;
+});
+
+const backoffReady = chrome.storage.session.get('reconnectFailures').then((stored) => {
+    reconnectFailures = stored.reconnectFailures || 0;
+    if (reconnectFailures >= MAX_RECONNECT_FAILURES) {
+        connectionState = 'paused';
+    }
+});
+
+// hello'da bildirilen selector paketi sürümü
+const selectorPackReady = SelectorPacks.load();
+
+const startupReady = Promise.all([settingsReady, backoffReady, selectorPackReady]).then(() => {
+    settingsLoaded = true;
+    updateBadge();
+});
+
+// Kuruluma özel kimlik ve eşleştirme token'ı (chrome.storage.local)
+const pairing = { installId: null, token: null };
+const pairingReady = loadPairing();
+
+function log(...args) {
+    if (settings.debug) {
+        console.log('[UniCast Bridge]', ...args);
+    }
+}
+
+function logError(...args) {
+    console.error('[UniCast Bridge]', ...args);
+}
+
+/**
+ * Kurulum kimliğini ve eşleştirme token'ını yükle
+ */
+async function loadPairing() {
+    const stored = await chrome.storage.local.get(['installId', 'pairingToken']);
+
+    pairing.installId = stored.installId || null;
+    pairing.token = stored.pairingToken || null;
+
+    if (!pairing.installId) {
+        pairing.installId = crypto.randomUUID();
+        await chrome.storage.local.set({ installId: pairing.installId });
+    }
+}
+
+function liveTabCount() {
+    let count = 0;
+    bridgedTabs.forEach((tab) => {
+        if (tab.platform && tab.live) count++;
+    });
+    return count;
+}
+
+// Badge rengi bağlantı durumunu, yazısı açık yayın sayısını gösterir
+function updateBadge() {
+    const badge = CONNECTION_STATES[connectionState];
+    const live = liveTabCount();
+    chrome.action.setBadgeText({ text: live > 0 ? String(live) : badge.text });
+    chrome.action.setBadgeBackgroundColor({ color: badge.color });
+    chrome.action.setTitle({
+        title: `UniCast Chat Bridge - ${badge.title}${live > 0 ? ` (${live} yayın)` : ''}`
+    });
+}
+
+/**
+ * Popup'taki sekme listesi; sekmenin durumu yayındaysa UniCast bağlantı durumudur
+ */
+function describeTabs() {
+    return Array.from(bridgedTabs, ([tabId, tab]) => ({
+        tabId: tabId,
+        platform: tab.platform,
+        adapterVersion: tab.adapterVersion,
+        url: tab.url,
+        host: tab.info.username || null,
+        streamId: tab.session?.streamId || null,
+        state: tab.live ? connectionState : 'idle',
+        live: tab.live,
+        commentCount: tab.commentCount,
+        lastCommentAt: tab.lastCommentAt
+    })).filter(tab => tab.platform);
+}
+
+/**
+ * Sekmenin yayın bilgisini yeni sayfaya göre ayarla
+ * Başka bir yayına geçildiyse veya yayından çıkıldıysa sayaçlar sıfırlanır
+ * @returns {boolean} Yeni bir yayın oturumu başladıysa true
+ */
+function updateTabPage(tab, url, live, session, info) {
+    const previous = tab.session;
+    tab.session = live ? session || null : null;
+    const changed = tab.session?.streamId !== previous?.streamId ||
+        tab.session?.startedAt !== previous?.startedAt;
+
+    if (!live || changed) {
+        tab.commentCount = 0;
+        tab.lastCommentAt = null;
+    }
+    tab.url = url;
+    tab.live = live;
+    tab.info = info || {};
+    updateBadge();
+    return live && changed;
+}
+
+/**
+ * Sekmedeki yayın oturumunun bittiğini bildiren mesaj; sekmede yayın yoksa null
+ * Sekme kaydı değişmeden önce alınır, etiketler biten oturumundur
+ */
+function streamEndedMessage(tabId) {
+    const tab = bridgedTabs.get(tabId);
+    if (!tab?.live || !tab.session) return null;
+    return tagMessage(tabId, { type: 'streamEnded', platform: tab.platform, timestamp: Date.now() });
+}
+
+/**
+ * Kapanan sekmeyi unut; izlenen yayın ve bekleyen mesaj kalmadıysa bağlantıyı bırak
+ */
+function forgetTab(tabId) {
+    const ended = streamEndedMessage(tabId);
+    if (!bridgedTabs.delete(tabId)) return;
+    if (ended) sendToServer(ended);
+    log('Tab ayrıldı:', tabId);
+    updateBadge();
+
+    if (!needsConnection()) {
+        disconnectWebSocket();
+    }
+}
+
+/**
+ * Bağlantı durumunu değiştir, badge'i ve tab'ları güncelle
+ */
+function setConnectionState(state) {
+    const changed = state !== connectionState;
+    connectionState = state;
+    isConnected = state === 'connected';
+
+    if (state !== 'backoff') {
+        nextRetryAt = null;
+    }
+
+    updateBadge();
+    if (changed) {
+        broadcastToTabs({ kind: 'connection', connected: isConnected, state: state });
+    }
+}
+
+/**
+ * Bağlantı gerekiyorsa kur; duraklatılmışsa kullanıcı veya yoklama beklenir
+ */
+function requestConnection() {
+    if (!settingsLoaded) {
+        startupReady.then(requestConnection);
+        return;
+    }
+
+    if (connectionState === 'paused' || connectionState === 'rejected') {
+        return;
+    }
+    connectWebSocket();
+}
+
+/**
+ * UniCast WebSocket bağlantısını başlat
+ */
+function connectWebSocket() {
+    if (ws && (ws.readyState === WebSocket.OPEN || ws.readyState === WebSocket.CONNECTING)) {
+        return;
+    }
+
+    if (!settingsLoaded) {
+        startupReady.then(connectWebSocket);
+        return;
+    }
+
+    clearTimeout(reconnectTimer);
+    reconnectTimer = null;
+
+    // Duraklatılmışken yapılan yoklamalar badge'i değiştirmez
+    if (connectionState !== 'paused') {
+        setConnectionState('connecting');
+    }
+
+    try {
+        log('WebSocket bağlantısı deneniyor...');
+        ws = new WebSocket(UniCastSettings.endpoint(settings, BRIDGE_PATH));
+
+        ws.onopen = () => {
+            log('WebSocket bağlandı, el sıkışılıyor...');
+            pairingReady.then(sendHello);
+        };
+
+        ws.onclose = () => {
+            const wasConnected = isConnected;
+
+            ws = null;
+            clearTimeout(helloTimer);
+            serverSession = null;
+
+            if (rejectReason) {
+                log('UniCast bağlantıyı reddetti, yeni yayın açılana kadar beklenecek:', rejectReason);
+                setConnectionState('rejected');
+            } else if (!needsConnection()) {
+                setConnectionState('idle');
+            } else {
+                // Kurulu bağlantı koptuysa beklemeye baştan başla
+                if (wasConnected) {
+                    setReconnectFailures(0);
+                }
+                scheduleReconnect();
+            }
+        };
+
+        ws.onerror = () => {
+            // Detay onclose'da işlenir; tarayıcı hata içeriğini vermez
+            log('WebSocket hatası');
+        };
+
+        ws.onmessage = (event) => {
+            try {
+                handleServerMessage(JSON.parse(event.data));
+            } catch (e) {
+                logError('Mesaj parse hatası:', e);
+            }
+        };
+
+    } catch (error) {
+        logError('WebSocket bağlantı hatası:', error);
+        scheduleReconnect();
+    }
+}
+
+/**
+ * Jitter'lı üstel bekleme süresi: tavanın yarısı sabit, yarısı rastgele
+ */
+function reconnectDelay(attempt) {
+    const ceiling = Math.min(MAX_RECONNECT_DELAY, settings.reconnectInterval * Math.pow(2, attempt));
+    return Math.round(ceiling / 2 + Math.random() * ceiling / 2);
+}
+
+function setReconnectFailures(count) {
+    reconnectFailures = count;
+    chrome.storage.session.set({ reconnectFailures: count });
+}
+
+function scheduleReconnect() {
+    clearTimeout(reconnectTimer);
+    setReconnectFailures(reconnectFailures + 1);
+
+    if (reconnectFailures >= MAX_RECONNECT_FAILURES) {
+        pauseReconnect();
+        return;
+    }
+
+    const delay = reconnectDelay(reconnectFailures - 1);
+    log(`UniCast bulunamadı, ${(delay / 1000).toFixed(1)} sn sonra yeniden denenecek (${reconnectFailures}/${MAX_RECONNECT_FAILURES})`);
+
+    setConnectionState('backoff');
+    nextRetryAt = Date.now() + delay;
+    reconnectTimer = setTimeout(connectWebSocket, delay);
+}
+
+/**
+ * Çok sayıda başarısız denemeden sonra dur; UniCast açılınca yoklama ile devam edilir
+ */
+function pauseReconnect() {
+    if (connectionState !== 'paused') {
+        log(`UniCast ${MAX_RECONNECT_FAILURES} denemede bulunamadı, denemeler duraklatıldı`);
+    }
+    setConnectionState('paused');
+    chrome.alarms.create(PROBE_ALARM, { periodInMinutes: PROBE_PERIOD_MINUTES });
+}
+
+/**
+ * Kullanıcı eylemiyle (popup, yeni yayın sayfası, ayar değişikliği) baştan dene
+ */
+function resumeReconnect() {
+    setReconnectFailures(0);
+    rejectReason = null;
+    chrome.alarms.clear(PROBE_ALARM);
+
+    if (!needsConnection()) {
+        setConnectionState('idle');
+        return;
+    }
+
+    if (connectionState !== 'connected') {
+        setConnectionState('connecting');
+        connectWebSocket();
+    }
+}
+
+/**
+ * El sıkışmayı başlat
+ */
+function sendHello() {
+    const adapters = new Map();
+    bridgedTabs.forEach(tab => {
+        if (tab.platform) {
+            adapters.set(tab.platform, { platform: tab.platform, adapterVersion: tab.adapterVersion || '' });
+        }
+    });
+
+    const hello = {
+        type: 'hello',
+        protocolVersion: BridgeProtocol.PROTOCOL_VERSION,
+        minProtocolVersion: BridgeProtocol.MIN_PROTOCOL_VERSION,
+        extensionVersion: chrome.runtime.getManifest().version,
+        installId: pairing.installId,
+        adapters: Array.from(adapters.values()),
+        events: BridgeProtocol.OUTBOUND_EVENTS,
+        selectorPackVersion: SelectorPacks.version()
+    };
+
+    if (pairing.token) {
+        hello.token = pairing.token;
+    }
+
+    const errors = BridgeProtocol.validateOutbound(hello);
+    if (errors.length > 0) {
+        logError('hello şemaya uymuyor:', errors);
+        return;
+    }
+
+    if (!ws || ws.readyState !== WebSocket.OPEN) return;
+    ws.send(JSON.stringify(hello));
+
+    // Eski UniCast sürümleri hello'yu yok sayar; eşleştirme doğrulanamadan veri gönderilmez
+    helloTimer = setTimeout(() => {
+        rejectConnection('no_welcome');
+    }, HELLO_TIMEOUT);
+}
+
+function completeHandshake(session) {
+    clearTimeout(helloTimer);
+    serverSession = session;
+    rejectReason = null;
+
+    log(`El sıkışma tamam ✓ (protokol v${session.protocolVersion})`);
+    setReconnectFailures(0);
+    chrome.alarms.clear(PROBE_ALARM);
+    setConnectionState('connected');
+
+    // Açık tüm yayınları UniCast'e bildir, sonra bekleyenleri gönder
+    bridgedTabs.forEach((tab, tabId) => announceTab(tabId));
+    flushQueue();
+}
+
+function rejectConnection(reason) {
+    clearTimeout(helloTimer);
+    rejectReason = reason;
+    logError('UniCast bağlantısı reddedildi:', reason);
+
+    if (ws) {
+        ws.close();
+    }
+}
+
+/**
+ * Popup'a girilen kodla UniCast'e eşleş
+ * Ana bağlantıdan bağımsız, kısa ömürlü bir bağlantı kullanır
+ * @returns {Promise<{ ok: boolean, reason?: string }>}
+ */
+async function pairWithCode(code) {
+    await Promise.all([pairingReady, settingsReady]);
+
+    const request = {
+        type: 'pair',
+        code: String(code || '').trim(),
+        installId: pairing.installId,
+        extensionVersion: chrome.runtime.getManifest().version
+    };
+
+    const errors = BridgeProtocol.validateOutbound(request);
+    if (errors.length > 0) {
+        return { ok: false, reason: 'invalid_code' };
+    }
+
+    const result = await new Promise((resolve) => {
+        let socket;
+        let settled = false;
+
+        const finish = (value) => {
+            if (settled) return;
+            settled = true;
+            clearTimeout(timer);
+            try { socket.close(); } catch (e) {}
+            resolve(value);
+        };
+
+        const timer = setTimeout(() => finish({ ok: false, reason: 'timeout' }), PAIR_TIMEOUT);
+
+        try {
+            socket = new WebSocket(UniCastSettings.endpoint(settings, BRIDGE_PATH));
+        } catch (e) {
+            finish({ ok: false, reason: 'unreachable' });
+            return;
+        }
+
+        socket.onopen = () => socket.send(JSON.stringify(request));
+        socket.onerror = () => finish({ ok: false, reason: 'unreachable' });
+        socket.onclose = () => finish({ ok: false, reason: 'unreachable' });
+
+        socket.onmessage = (event) => {
+            let data;
+            try {
+                data = JSON.parse(event.data);
+            } catch (e) {
+                return;
+            }
+
+            if (BridgeProtocol.validateInbound(data).length > 0) return;
+
+            if (data.type === 'paired') {
+                finish({ ok: true, token: data.token });
+            } else if (data.type === 'pairFailed') {
+                finish({ ok: false, reason: data.reason });
+            }
+        };
+    });
+
+    if (!result.ok) {
+        logError('Eşleştirme başarısız:', result.reason);
+        return result;
+    }
+
+    pairing.token = result.token;
+    await chrome.storage.local.set({ pairingToken: result.token });
+    log('UniCast ile eşleştirildi ✓');
+
+    // Yeni token ile baştan el sıkış
+    disconnectWebSocket();
+    resumeReconnect();
+
+    return { ok: true };
+}
+
+function disconnectWebSocket() {
+    clearTimeout(reconnectTimer);
+    clearTimeout(helloTimer);
+    reconnectTimer = null;
+    serverSession = null;
+
+    if (ws) {
+        ws.onclose = null;
+        ws.close();
+        ws = null;
+    }
+    chrome.alarms.clear(PROBE_ALARM);
+    setConnectionState('idle');
+}
+
+/**
+ * Açık yayın ya da gönderilmeyi bekleyen mesaj varsa bağlantı gerekir
+ */
+function needsConnection() {
+    return bridgedTabs.size > 0 || OutboundQueue.size() > 0;
+}
+
+/**
+ * Mesajı doğrulayıp UniCast'e gönder
+ * Şemaya uymayan veya UniCast'in kabul etmediği mesajlar atılır (true döner),
+ * böylece kuyruğu tıkamazlar. Sadece bağlantı yoksa false döner.
+ */
+function sendToServer(data) {
+    if (!isConnected || !ws || ws.readyState !== WebSocket.OPEN) {
+        return false;
+    }
+
+    const errors = BridgeProtocol.validateOutbound(data);
+    if (errors.length > 0) {
+        logError(`Geçersiz '${data.type}' mesajı atıldı:`, errors);
+        return true;
+    }
+
+    if (!serverSession.accepts.includes(data.type)) {
+        log(`UniCast '${data.type}' mesajını desteklemiyor, atlandı`);
+        return true;
+    }
+
+    ws.send(JSON.stringify(data));
+    return true;
+}
+
+/**
+ * Olayı sırasını bozmadan gönder; bağlantı yoksa kalıcı kuyruğa al
+ */
+function sendEvent(data) {
+    if (TRANSIENT_TYPES.has(data.type)) {
+        sendToServer(data);
+        return;
+    }
+
+    if (OutboundQueue.isDrained() && sendToServer(data)) {
+        return;
+    }
+
+    OutboundQueue.enqueue(data);
+    if (isConnected) {
+        flushQueue();
+    }
+}
+
+function flushQueue() {
+    OutboundQueue.flush(sendToServer).then((sent) => {
+        if (sent > 0) {
+            log(`Kuyruktan ${sent} mesaj gönderildi, bekleyen: ${OutboundQueue.size()}`);
+        }
+    });
+}
+
+/**
+ * Mesajı kaynak tab, platform ve yayın oturumuyla etiketle
+ * Aynı platformdaki eşzamanlı yayınlar UniCast'te streamId ile ayrılır
+ */
+function tagMessage(tabId, message) {
+    const tab = bridgedTabs.get(tabId);
+    const tags = {
+        tabId: tabId,
+        platform: message.platform || tab?.platform
+    };
+    if (tab?.session) {
+        tags.streamId = tab.session.streamId;
+        tags.sessionStartedAt = tab.session.startedAt;
+    }
+    return Object.assign({}, message, tags);
+}
+
+function announceTab(tabId) {
+    const tab = bridgedTabs.get(tabId);
+    if (!tab) return;
+
+    sendToServer(tagMessage(tabId, Object.assign({
+        type: 'connected',
+        platform: tab.platform,
+        adapterVersion: tab.adapterVersion,
+        url: tab.url,
+        timestamp: Date.now()
+    }, tab.info)));
+}
+
+function broadcastToTabs(msg) {
+    bridgedTabs.forEach(tab => {
+        try {
+            tab.port.postMessage(msg);
+        } catch (e) {}
+    });
+}
+
+/**
+ * UniCast'ten gelen mesajı işle
+ * tabId taşıyan komutlar sadece o tab'a, diğerleri tüm tab'lara gider
+ */
+function handleServerMessage(data) {
+    const errors = BridgeProtocol.validateInbound(data);
+    if (errors.length > 0) {
+        logError('UniCast\'ten geçersiz mesaj:', errors);
+        return;
+    }
+
+    switch (data.type) {
+        case 'welcome': {
+            const session = BridgeProtocol.negotiate(data);
+            if (!data.paired) {
+                rejectConnection('unpaired');
+            } else if (session) {
+                completeHandshake(session);
+            } else {
+                logError(`UniCast protokol v${data.protocolVersion} çok eski (en az v${BridgeProtocol.MIN_PROTOCOL_VERSION})`);
+                rejectConnection('protocol_version');
+            }
+            break;
+        }
+        case 'reject':
+            rejectConnection(data.reason);
+            break;
+        case 'ping':
+            sendToServer({ type: 'pong' });
+            break;
+        case 'selectorPack':
+            saveSelectorPack(data.pack);
+            break;
+        default:
+            if (BridgeProtocol.COMMANDS.includes(data.type)) {
+                routeCommand(data);
+                break;
+            }
+            if (data.tabId !== undefined && data.tabId !== null) {
+                const tab = bridgedTabs.get(data.tabId);
+                if (tab) {
+                    tab.port.postMessage({ kind: 'server', message: data });
+                }
+            } else {
+                broadcastToTabs({ kind: 'server', message: data });
+            }
+            break;
+    }
+}
+
+/**
+ * UniCast'in gönderdiği selector paketini kaydet
+ * Açık sekmeler paketi chrome.storage değişikliğiyle alır
+ */
+async function saveSelectorPack(pack) {
+    let result;
+    try {
+        result = await SelectorPacks.save(pack);
+    } catch (e) {
+        logError('Selector paketi kaydedilemedi:', e);
+        result = { ok: false, reason: 'failed' };
+    }
+
+    if (result.ok) {
+        log(`Selector paketi v${pack.version} kaydedildi`);
     } else {
-        chrome.action.setBadgeText({ text: '○' });
-        chrome.action.setBadgeBackgroundColor({ color: '#ef4444' }); // Kırmızı
+        logError(`Selector paketi v${pack.version} reddedildi (${result.reason})`, result.errors || '');
+    }
+
+    const ack = { type: 'selectorPackAck', version: pack.version, ok: result.ok };
+    if (!result.ok) {
+        ack.reason = result.reason;
+        if (result.errors) {
+            ack.errors = result.errors.slice(0, 20);
+        }
+    }
+    sendToServer(ack);
+}
+
+/**
+ * Komutu hedef platformun sekmesine ilet
+ * tabId verilmemişse o platformda en son bağlanan sekme seçilir
+ */
+function routeCommand(data) {
+    let tabId = data.tabId;
+    if (tabId === undefined) {
+        bridgedTabs.forEach((tab, id) => {
+            if (tab.platform === data.platform && tab.live) tabId = id;
+        });
     }
+
+    const tab = bridgedTabs.get(tabId);
+    if (!tab || tab.platform !== data.platform) {
+        sendToServer({
+            type: 'commandAck',
+            requestId: data.requestId,
+            command: data.type,
+            ok: false,
+            reason: 'no_tab',
+            platform: data.platform
+        });
+        return;
+    }
+
+    tab.port.postMessage({ kind: 'server', message: data });
 }
 
-// Content script'ten mesaj al
+/**
+ * Content script portu
+ */
+function handlePortMessage(tabId, msg) {
+    const tab = bridgedTabs.get(tabId);
+    if (!tab) return;
+
+    switch (msg.kind) {
+        case 'attach':
+            tab.platform = msg.platform;
+            tab.adapterVersion = msg.adapterVersion;
+            updateTabPage(tab, msg.url, msg.live !== false, msg.session, msg.info);
+            log('Tab bağlandı:', tabId, tab.platform, tab.session?.streamId || '');
+
+            tab.port.postMessage({ kind: 'connection', connected: isConnected, state: connectionState });
+            if (isConnected) {
+                announceTab(tabId);
+            } else if (msg.reattach) {
+                // Service worker yeniden başladı; duraklatma/ret kararı geçerli
+                requestConnection();
+            } else {
+                // Yeni açılan yayın sayfası kullanıcı eylemidir, baştan dene
+                resumeReconnect();
+            }
+            break;
+
+        case 'navigate': {
+            // SPA içinde başka yayına geçildi; UniCast biten oturumu streamEnded, yenisini connected ile öğrenir
+            const ended = streamEndedMessage(tabId);
+            const started = updateTabPage(tab, msg.url, msg.live !== false, msg.session, msg.info);
+            if (ended && (started || !tab.live)) {
+                sendToServer(ended);
+            }
+            if (started && isConnected) {
+                announceTab(tabId);
+            }
+            log('Tab sayfası değişti:', tabId, msg.url, tab.live ? tab.session?.streamId || '' : '(yayın değil)');
+            break;
+        }
+
+        case 'event':
+            if (msg.message?.type === 'comment') {
+                tab.commentCount++;
+                tab.lastCommentAt = Date.now();
+            }
+            sendEvent(tagMessage(tabId, msg.message));
+            break;
+    }
+}
+
+chrome.runtime.onConnect.addListener((port) => {
+    if (port.name !== BRIDGE_PORT_NAME) return;
+
+    const tabId = port.sender?.tab?.id;
+    if (tabId === undefined) return;
+
+    // Sayfa yenilendi ve eski port henüz kapanmadı; eski oturum burada biter
+    const ended = streamEndedMessage(tabId);
+    if (ended) sendToServer(ended);
+
+    bridgedTabs.set(tabId, {
+        port: port,
+        platform: null,
+        url: port.sender.url,
+        live: false,
+        session: null,
+        info: {},
+        commentCount: 0,
+        lastCommentAt: null
+    });
+
+    port.onMessage.addListener((msg) => handlePortMessage(tabId, msg));
+
+    port.onDisconnect.addListener(() => {
+        // Sayfa yenilenince yeni port eskisinden önce bağlanabilir
+        if (bridgedTabs.get(tabId)?.port !== port) return;
+        forgetTab(tabId);
+    });
+});
+
+// Port kapanmadan sekme kapanırsa (service worker uyanırken) listede kalmasın
+chrome.tabs.onRemoved.addListener(forgetTab);
+
+// Adres değiştiyse yeni adrese bağlan
+UniCastSettings.onChange((next, previous) => {
+    settings = next;
+
+    if (next.host !== previous.host || next.port !== previous.port) {
+        log('UniCast adresi değişti:', UniCastSettings.endpoint(next, BRIDGE_PATH));
+        disconnectWebSocket();
+        resumeReconnect();
+    }
+});
+
+// Popup'tan mesaj al
 chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
     switch (message.action) {
-        case 'setConnected':
-            updateBadge(message.connected);
-            break;
         case 'getStatus':
-            sendResponse({ connected: isConnected });
+            sendResponse({
+                connected: isConnected,
+                state: connectionState,
+                failures: reconnectFailures,
+                maxFailures: MAX_RECONNECT_FAILURES,
+                nextRetryAt: nextRetryAt,
+                protocol: serverSession ? { version: serverSession.protocolVersion } : null,
+                paired: Boolean(pairing.token) && rejectReason !== 'unpaired',
+                rejectReason: rejectReason,
+                queued: OutboundQueue.size(),
+                tabs: describeTabs()
+            });
+            break;
+
+        case 'pair':
+            // Yanıt eşleştirme bitince gelir; kanal açık kalsın
+            pairWithCode(message.code).then(sendResponse);
+            return true;
+
+        case 'reconnect':
+            log('Kullanıcı yeniden bağlanmayı istedi');
+            resumeReconnect();
+            sendResponse({ state: connectionState });
             break;
     }
-    return true;
+    return false;
+});
+
+// Duraklatılmışken UniCast açıldı mı diye seyrek yokla
+chrome.alarms.onAlarm.addListener((alarm) => {
+    if (alarm.name !== PROBE_ALARM) return;
+
+    if (connectionState !== 'paused' || !needsConnection()) {
+        chrome.alarms.clear(PROBE_ALARM);
+        return;
+    }
+    log('UniCast yoklanıyor...');
+    connectWebSocket();
 });
 
 // Extension yüklendiğinde
 chrome.runtime.onInstalled.addListener(() => {
-    console.log('[UniCast Bridge] Extension yüklendi');
-    updateBadge(false);
+    log('Extension yüklendi');
+    updateBadge();
 });
 
 // Extension başlatıldığında
 chrome.runtime.onStartup.addListener(() => {
-    updateBadge(false);
+    updateBadge();
 });
 
 // Başlangıçta badge'i ayarla
-updateBadge(false);
+updateBadge();
+
+// Önceki oturumdan kalan mesajları yükle, varsa göndermeye çalış
+OutboundQueue.load().then(() => {
+    if (OutboundQueue.size() > 0) {
+        requestConnection();
+    }
+});
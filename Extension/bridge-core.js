@@ -0,0 +1,1782 @@
+/**
+ * UniCast Chat Bridge - Ortak Bridge Runtime
+ * Tüm content script'lerin paylaştığı background portu, tekrar önleme ve tarama döngüsü.
+ * Platform dosyaları sadece bir adapter kaydeder:
+ *
+ *   UniCastBridge.registerAdapter({
+ *       platform: 'tiktok',        // Mesajlardaki platform adı
+ *       name: 'TikTok',            // Log etiketi
+ *       version: '1.0',            // Adapter sürümü
+ *       idPrefix: 'tt',            // Yorum id ön eki
+ *       debugHandle: '__unicastTikTok',
+ *       matchesUrl(url) {},        // Live sayfası mı?
+ *       streamId() {},             // Opsiyonel: yayının kalıcı kimliği; yoksa sayfa adresi
+ *       extract(root) {},          // Değişen alt ağaçtan [{ username, text, source, element?, ... }]
+ *       diagnostics: {},           // Opsiyonel: UniCastBridge.createDiagnostics()
+ *       rowSelector: '',           // Opsiyonel: yorum/olay satırı; değişen node bu satıra genişletilir
+ *       extractEvents(root) {},    // Opsiyonel: [{ type, key, data, source }] (gift vb.)
+ *       flushEvents() {},          // Opsiyonel: zamanla biten olaylar (gift combo)
+ *       extractStats(root) {},     // Opsiyonel: { viewers, likes, duration }
+ *       findComposer() {},         // Opsiyonel: yorum yazma alanı (sendComment)
+ *       findSubmitButton() {},     // Opsiyonel: gönder butonu; yoksa Enter basılır
+ *       findMenuButton(row) {},    // Opsiyonel: yorum satırındaki "..." menü butonu
+ *       menuItems: {},             // Opsiyonel: { pinComment, hideComment, blockUser } → menü öğesi metni (RegExp)
+ *       menuItemSelector: '',      // Opsiyonel: menü öğeleri role="menuitem" değilse
+ *       confirmPattern: /.../      // Opsiyonel: silme/engelleme onay butonu metni
+ *   });
+ */
+
+(function() {
+    'use strict';
+
+    if (window.UniCastBridge) {
+        return;
+    }
+
+    const BRIDGE_PORT_NAME = 'unicast-bridge';
+    const PORT_RECONNECT_INTERVAL = 1000;
+    const MAX_PENDING = 200;
+    const DEFAULT_START_DELAY = 2000;
+    const STATS_INTERVAL = 10000;
+    const STATS_FIELDS = ['viewers', 'likes', 'duration'];
+    // Yorumla birlikte gönderilen, bulunabildiyse doldurulan yazar alanları
+    const AUTHOR_FIELDS = ['avatarUrl', 'profileUrl', 'userId'];
+    const MAX_AVATAR_DEPTH = 3;
+    const MAX_AUTHOR_FIELD_LENGTH = 2000;   // Aşan alan atılır, yorum şemadan düşmesin
+
+    // protocol.js BADGES ile aynı liste; bilinmeyen rozetler gönderilmez
+    const KNOWN_BADGES = ['host', 'moderator', 'verified', 'subscriber', 'top_gifter', 'fan_club', 'top_fan'];
+    // Rozet ikonları ve etiketleri bu özniteliklerde görünür
+    const BADGE_ATTRIBUTES = ['alt', 'aria-label', 'title', 'data-e2e', 'class', 'src'];
+    const MAX_BADGE_LABEL_LENGTH = 30;
+
+    // Satır başında veya boşluktan sonra gelen @mention / #hashtag
+    const INLINE_TOKEN_PATTERN = /(?<=^|\s)([@#][\p{L}\p{N}_.]*[\p{L}\p{N}_])/u;
+    const MAX_SEGMENTS = 200;
+
+    // Gönderilen yorum, yazma alanı bu sürede boşalmazsa gitmemiş sayılır
+    const SUBMIT_TIMEOUT = 3000;
+    const POLL_INTERVAL = 100;
+    // Moderasyon menüsü ve onay penceresinin açılması için beklenen süreler
+    const MENU_TIMEOUT = 2000;
+    const CONFIRM_TIMEOUT = 1000;
+    const MENU_ITEM_SELECTOR = '[role="menuitem"], [role="menu"] [role="button"], [role="dialog"] [role="button"], [role="dialog"] button';
+    const CONFIRM_SELECTOR = '[role="dialog"] [role="button"], [role="dialog"] button, [role="alertdialog"] button';
+    // Kendi gönderdiğimiz mesajın sohbette görünmesi için tanınan süre
+    const ECHO_TTL = 30000;
+
+    // Gönderilen yorum satırına yazılan işaret; değeri yazar anahtarıdır
+    const SEEN_ATTR = 'data-unicast-seen';
+    // Sayfadan kalkan satır bu süre içinde aynı yazar+metinle yeniden çıkarsa yeniden çizim sayılır
+    const RERENDER_WINDOW = 5000;
+
+    // Observer çalışırken tam sayfa taraması sadece kaçanları yakalamak için yapılır
+    const FULL_SCAN_INTERVAL = 15000;
+    // Sayfa hiç boşa çıkmazsa birikmiş değişiklikler en geç bu sürede taranır
+    const IDLE_TIMEOUT = 300;
+    // Bundan fazla değişen kök birikirse tek tek yerine sayfa taranır
+    const MAX_DIRTY_ROOTS = 300;
+    // Debug modunda bundan uzun süren taramalar loglanır
+    const SLOW_SCAN_MS = 16;
+
+    // Container keşfinde sayfanın tamamı bu süre izlenip yeni satır eklenen elementler sayılır
+    const DISCOVERY_WINDOW = 3000;
+    // Yorum yoksa keşif bu aralıkla tekrarlanır
+    const DISCOVERY_RETRY = 10000;
+    // Container dışında yorum bulununca tekrar keşfe çıkmadan önce beklenen en kısa süre
+    const REDISCOVERY_COOLDOWN = 60000;
+
+    // Sayı kısaltmaları; Türkçe arayüzde "B" bin, İngilizcede milyar demek
+    const COUNT_SUFFIXES = {
+        en: { k: 1e3, m: 1e6, b: 1e9 },
+        tr: { k: 1e3, b: 1e3, bin: 1e3, m: 1e6, mn: 1e6, milyon: 1e6, mr: 1e9, milyar: 1e9 }
+    };
+
+    const REQUIRED_ADAPTER_FIELDS = ['platform', 'matchesUrl', 'extract'];
+
+    const adapters = new Map();
+    // Sayfanın kabul etmediği seçiciler; her biri bir kez loglanır
+    const invalidSelectors = new Set();
+
+    /**
+     * Benzersiz yorum hash'i oluştur
+     */
+    function createCommentHash(username, text) {
+        const str = `${username}:${text}`.toLowerCase().trim();
+        let hash = 0;
+        for (let i = 0; i < str.length; i++) {
+            const char = str.charCodeAt(i);
+            hash = ((hash << 5) - hash) + char;
+            hash = hash & hash;
+        }
+        return hash.toString(36);
+    }
+
+    /**
+     * Bir taramada aynı yorumu iki stratejiden almamak için anahtar
+     * Element varsa element, yoksa kullanıcı+metin; aynı metinli farklı satırlar ayrı kalır
+     */
+    function commentKey(comment) {
+        return comment.element || `${comment.username}|${comment.text}`;
+    }
+
+    /**
+     * Strateji başına extractor sayaçları
+     * Adapter'lar bulunan aday ve reddedilenleri (nedeniyle) sayar; bridge bulunan yorumlardan
+     * gönderilenleri ve daha önce görülenleri ekler. Platform DOM'u değişince hangi stratejinin
+     * bozulduğu ve ne kadar gürültünün geçtiği buradan görülür.
+     */
+    function createDiagnostics() {
+        const strategies = new Map();
+
+        function entry(strategy) {
+            const name = strategy || 'unknown';
+            let counters = strategies.get(name);
+            if (!counters) {
+                counters = { found: 0, accepted: 0, deduped: 0, rejected: 0, reasons: {} };
+                strategies.set(name, counters);
+            }
+            return counters;
+        }
+
+        return {
+            found: (strategy) => {
+                entry(strategy).found++;
+            },
+            /**
+             * @returns {boolean} Her zaman false; doğrulama fonksiyonları sonucu doğrudan döndürebilir
+             */
+            reject: (strategy, reason) => {
+                const counters = entry(strategy);
+                counters.rejected++;
+                counters.reasons[reason] = (counters.reasons[reason] || 0) + 1;
+                return false;
+            },
+            accept: (strategy) => {
+                entry(strategy).accepted++;
+            },
+            dedupe: (strategy) => {
+                entry(strategy).deduped++;
+            },
+            /**
+             * { strategy: { found, accepted, deduped, rejected, hitRate, reasons } }
+             * hitRate: adaylardan doğrulamayı geçenlerin oranı
+             */
+            report: () => {
+                const report = {};
+                strategies.forEach((counters, name) => {
+                    report[name] = Object.assign({}, counters, {
+                        hitRate: counters.found ? Math.round((1 - counters.rejected / counters.found) * 100) / 100 : null,
+                        reasons: Object.assign({}, counters.reasons)
+                    });
+                });
+                return report;
+            },
+            reset: () => strategies.clear()
+        };
+    }
+
+    /**
+     * Kökün kendisi dahil seçiciye uyan elementler
+     * Artımlı taramada kök çoğu zaman yorum satırının kendisidir
+     */
+    function queryAll(root, selector) {
+        try {
+            const found = Array.from(root.querySelectorAll(selector));
+            if (root.nodeType === Node.ELEMENT_NODE && root.matches(selector)) {
+                found.unshift(root);
+            }
+            return found;
+        } catch (e) {
+            reportInvalidSelector(selector);
+            return [];
+        }
+    }
+
+    /**
+     * Seçiciye uyan en yakın üst element; seçici geçersizse null
+     */
+    function closestMatch(element, selector) {
+        try {
+            return element.closest(selector);
+        } catch (e) {
+            reportInvalidSelector(selector);
+            return null;
+        }
+    }
+
+    function reportInvalidSelector(selector) {
+        if (invalidSelectors.has(selector)) return;
+        invalidSelectors.add(selector);
+        console.error('[UniCast] Geçersiz seçici atlandı:', selector);
+    }
+
+    function byDocumentOrder(a, b) {
+        return a.compareDocumentPosition(b) & Node.DOCUMENT_POSITION_FOLLOWING ? -1 : 1;
+    }
+
+    /**
+     * Boşta çalıştır; requestIdleCallback yoksa bir sonraki frame'de
+     * @returns {function()} İptal
+     */
+    function scheduleIdle(callback) {
+        if (typeof requestIdleCallback === 'function') {
+            const id = requestIdleCallback(callback, { timeout: IDLE_TIMEOUT });
+            return () => cancelIdleCallback(id);
+        }
+        const id = requestAnimationFrame(callback);
+        return () => cancelAnimationFrame(id);
+    }
+
+    /**
+     * "1.2K", "12,5 B", "1.234" gibi sayaç metinlerini sayıya çevir
+     * @returns {number|null}
+     */
+    function parseCount(text) {
+        if (!text) return null;
+
+        const match = String(text).replace(/\u00a0/g, ' ')
+            .match(/(\d+(?:[.,]\d+)*)\s*(milyar|milyon|bin|mn|mr|[kmb])?(?![a-zçğıöşü])/i);
+        if (!match) return null;
+
+        const suffix = (match[2] || '').toLowerCase();
+        if (!suffix) {
+            // Kısaltma yoksa nokta/virgül binlik ayırıcıdır
+            return parseInt(match[1].replace(/[.,]/g, ''), 10);
+        }
+
+        const lang = (document.documentElement.lang || '').toLowerCase().startsWith('tr') ? 'tr' : 'en';
+        const multiplier = COUNT_SUFFIXES[lang][suffix] || COUNT_SUFFIXES.tr[suffix] || 1;
+        return Math.round(parseFloat(match[1].replace(',', '.')) * multiplier);
+    }
+
+    /**
+     * "12:34" veya "1:02:03" süre metnini saniyeye çevir
+     * @returns {number|null}
+     */
+    function parseDuration(text) {
+        const match = text && String(text).match(/(\d{1,2}):(\d{2})(?::(\d{2}))?/);
+        if (!match) return null;
+
+        const parts = match.slice(1).filter(part => part !== undefined).map(Number);
+        return parts.reduce((total, part) => total * 60 + part, 0);
+    }
+
+    /**
+     * Metni kalıba uyan ilk span'deki sayıyı bul ("1,2 B izliyor" gibi)
+     * @param {RegExp} pattern Sayıyı ilk grupta yakalayan, tüm metne uyan kalıp
+     */
+    function findTextCount(root, pattern) {
+        for (const span of root.querySelectorAll('span')) {
+            const match = span.textContent?.trim().match(pattern);
+            if (match) {
+                return parseCount(match[1]);
+            }
+        }
+        return null;
+    }
+
+    /**
+     * Göreli bağlantıyı sayfa adresine göre mutlak yap
+     * Şemaya sığmayan uzun adresler ve data: URL'leri atılır
+     * @returns {string|null}
+     */
+    function toAbsoluteUrl(href) {
+        if (!href) return null;
+        try {
+            const url = new URL(href, window.location.href);
+            const isWeb = url.protocol === 'https:' || url.protocol === 'http:';
+            return isWeb && url.href.length <= MAX_AUTHOR_FIELD_LENGTH ? url.href : null;
+        } catch (e) {
+            return null;
+        }
+    }
+
+    /**
+     * Yorum satırına ait profil resmini bul
+     * Satırdan yukarı çıkılır; bir seviyede birden fazla resim varsa
+     * komşu satırlara taşmış sayılır ve aramaya son verilir.
+     */
+    function findAvatarUrl(row, maxDepth = MAX_AVATAR_DEPTH) {
+        for (let el = row, depth = 0; el && depth <= maxDepth; el = el.parentElement, depth++) {
+            const images = Array.from(el.querySelectorAll('img, image'))
+                .filter(img => !/emoji/i.test(img.getAttribute('src') || '') && !/^\W{1,4}$/u.test(img.getAttribute('alt') || ''));
+
+            if (images.length > 1) return null;
+            if (images.length === 1) {
+                const img = images[0];
+                // SVG <image> (Facebook) href'i xlink:href'te tutar
+                return toAbsoluteUrl(img.getAttribute('src') || img.getAttribute('href') || img.getAttribute('xlink:href'));
+            }
+        }
+        return null;
+    }
+
+    /**
+     * Düz metni text / mention / hashtag segmentlerine böl
+     */
+    function tokenizeText(text) {
+        const segments = [];
+        text.split(INLINE_TOKEN_PATTERN).forEach((part, i) => {
+            if (!part) return;
+            // split yakalanan grupları tek indekslere koyar
+            if (i % 2 === 0) {
+                segments.push({ type: 'text', text: part });
+            } else if (part.startsWith('@')) {
+                segments.push({ type: 'mention', text: part, username: part.substring(1, 101) });
+            } else {
+                segments.push({ type: 'hashtag', text: part, tag: part.substring(1, 201) });
+            }
+        });
+        return segments;
+    }
+
+    /**
+     * Link element'inden mention, hashtag veya link segmenti
+     */
+    function linkSegment(link, text) {
+        const url = toAbsoluteUrl(link.getAttribute('href'));
+        const segment = text.startsWith('@')
+            ? { type: 'mention', text: text, username: text.substring(1, 101) }
+            : text.startsWith('#')
+                ? { type: 'hashtag', text: text, tag: text.substring(1, 201) }
+                : { type: 'link', text: text };
+
+        if (url) {
+            segment.url = url;
+        } else if (segment.type === 'link') {
+            return { type: 'text', text: text };
+        }
+        return segment;
+    }
+
+    /**
+     * Mesaj element'ini sırasıyla segmentlere ayır
+     * <img>/<image> emoji (alt + adres), <a> mention/hashtag/link olur; textContent'in
+     * kaybettiği özel emoji ve sticker'lar böylece korunur.
+     */
+    function extractSegments(element) {
+        const segments = [];
+
+        const pushText = (text) => {
+            tokenizeText(text).forEach((segment) => {
+                const last = segments[segments.length - 1];
+                if (segment.type === 'text' && last?.type === 'text') {
+                    last.text += segment.text;
+                } else {
+                    segments.push(segment);
+                }
+            });
+        };
+
+        const walk = (node) => {
+            for (const child of node.childNodes) {
+                if (child.nodeType === Node.TEXT_NODE) {
+                    pushText(child.textContent);
+                    continue;
+                }
+                if (child.nodeType !== Node.ELEMENT_NODE) continue;
+
+                const tag = child.tagName.toLowerCase();
+                if (tag === 'img' || tag === 'image') {
+                    const url = toAbsoluteUrl(child.getAttribute('src') || child.getAttribute('href') || child.getAttribute('xlink:href'));
+                    const alt = (child.getAttribute('alt') || child.getAttribute('aria-label') || '').substring(0, 200);
+                    if (url || alt) {
+                        segments.push(url ? { type: 'emoji', alt: alt, url: url } : { type: 'emoji', alt: alt });
+                    }
+                } else if (tag === 'a' && child.textContent.trim()) {
+                    segments.push(linkSegment(child, child.textContent.trim()));
+                } else if (tag === 'br') {
+                    pushText('\n');
+                } else if (tag !== 'script' && tag !== 'style') {
+                    walk(child);
+                }
+            }
+        };
+
+        walk(element);
+
+        // Baştaki ve sondaki boşlukları at, boş kalan text segmentlerini çıkar
+        const first = segments[0];
+        const last = segments[segments.length - 1];
+        if (first?.type === 'text') first.text = first.text.trimStart();
+        if (last?.type === 'text') last.text = last.text.trimEnd();
+
+        return segments.filter(segment => segment.type !== 'text' || segment.text).slice(0, MAX_SEGMENTS);
+    }
+
+    function segmentsToText(segments) {
+        // Alt metni olmayan resimler genelde sticker'dır; düz metinde kaybolmasın
+        return segments.map(segment => segment.type === 'emoji' ? (segment.alt || '[sticker]') : segment.text).join('').trim();
+    }
+
+    /**
+     * Mesaj element'ini oku: geriye uyumlu düz metin + segmentler
+     * Düz metinde emoji resimleri alt metinleriyle yer alır
+     * @returns {{text: string, segments: object[]}}
+     */
+    function readMessage(element) {
+        if (!element) return { text: '', segments: [] };
+
+        const segments = extractSegments(element);
+        return {
+            text: segmentsToText(segments) || element.textContent?.trim() || '',
+            segments: segments
+        };
+    }
+
+    /**
+     * Yorum satırındaki rol rozetlerini bul
+     * @param {Array<{badge: string, attr?: RegExp, text?: RegExp}>} rules
+     *        attr: ikon öznitelikleriyle, text: kısa etiket metninin tamamıyla eşleşir
+     * @param {string[]} ignoreTexts Kullanıcı adı ve yorum metni etiket sanılmasın diye atlanır
+     * @returns {string[]}
+     */
+    function detectBadges(row, rules, ignoreTexts = []) {
+        const badges = new Set();
+        if (!row) return [];
+
+        for (const el of [row, ...row.querySelectorAll('*')]) {
+            const signals = BADGE_ATTRIBUTES.map(name => el.getAttribute(name)).filter(Boolean).join(' ');
+            const label = el.children.length === 0 ? (el.textContent || '').trim() : '';
+            const isLabel = label && label.length <= MAX_BADGE_LABEL_LENGTH && !ignoreTexts.includes(label);
+
+            for (const rule of rules) {
+                if (badges.has(rule.badge)) continue;
+                if ((rule.attr && signals && rule.attr.test(signals)) ||
+                    (rule.text && isLabel && rule.text.test(label))) {
+                    badges.add(rule.badge);
+                }
+            }
+        }
+
+        return Array.from(badges);
+    }
+
+    function composerText(composer) {
+        const value = 'value' in composer ? composer.value : composer.textContent;
+        return (value || '').trim();
+    }
+
+    function isContentEditable(element) {
+        const attr = element.getAttribute('contenteditable');
+        return element.isContentEditable || (attr !== null && attr !== 'false');
+    }
+
+    /**
+     * Yazma alanına metni kullanıcı yazmış gibi gir
+     * React/Lexical editörleri value atamasını değil input olaylarını dinler
+     */
+    function fillComposer(composer, text) {
+        composer.focus();
+
+        if (isContentEditable(composer)) {
+            const inserted = typeof document.execCommand === 'function' &&
+                document.execCommand('selectAll', false, null) &&
+                document.execCommand('insertText', false, text);
+            if (!inserted) {
+                composer.textContent = text;
+                composer.dispatchEvent(new InputEvent('input', { bubbles: true, inputType: 'insertText', data: text }));
+            }
+            return;
+        }
+
+        // React'in izlediği setter'ı atlamamak için prototipteki value setter'ı kullan
+        const setter = Object.getOwnPropertyDescriptor(Object.getPrototypeOf(composer), 'value')?.set;
+        if (setter) {
+            setter.call(composer, text);
+        } else {
+            composer.value = text;
+        }
+        composer.dispatchEvent(new Event('input', { bubbles: true }));
+    }
+
+    function pressEnter(composer) {
+        const init = { key: 'Enter', code: 'Enter', keyCode: 13, which: 13, bubbles: true, cancelable: true };
+        ['keydown', 'keypress', 'keyup'].forEach((type) => {
+            composer.dispatchEvent(new KeyboardEvent(type, init));
+        });
+    }
+
+    function isDisabled(button) {
+        return button.disabled || button.getAttribute('aria-disabled') === 'true';
+    }
+
+    function waitFor(predicate, timeout) {
+        return new Promise((resolve) => {
+            const deadline = Date.now() + timeout;
+            const check = () => {
+                if (predicate()) {
+                    resolve(true);
+                } else if (Date.now() >= deadline) {
+                    resolve(false);
+                } else {
+                    setTimeout(check, POLL_INTERVAL);
+                }
+            };
+            check();
+        });
+    }
+
+    async function waitForElement(find, timeout) {
+        let found = null;
+        await waitFor(() => (found = find()) != null, timeout);
+        return found;
+    }
+
+    function commandFailure(reason) {
+        const error = new Error(reason);
+        error.reason = reason;
+        return error;
+    }
+
+    /**
+     * Metni yazma alanına girip gönder
+     * Yazma alanı boşalınca platform mesajı kabul etmiş sayılır
+     */
+    async function postToComposer(composer, button, text) {
+        if (!composer) {
+            throw commandFailure('no_composer');
+        }
+
+        fillComposer(composer, text);
+
+        // Buton, input olayından sonra etkinleşir
+        await new Promise(resolve => setTimeout(resolve, 0));
+        const target = typeof button === 'function' ? button() : button;
+        if (target && !isDisabled(target)) {
+            target.click();
+        } else {
+            pressEnter(composer);
+        }
+
+        if (!await waitFor(() => composerText(composer) === '', SUBMIT_TIMEOUT)) {
+            throw commandFailure('not_submitted');
+        }
+    }
+
+    /**
+     * Menü butonları çoğu platformda sadece fare satırın üstündeyken görünür
+     */
+    function hover(element) {
+        ['mouseover', 'mouseenter', 'mousemove'].forEach((type) => {
+            element.dispatchEvent(new MouseEvent(type, { bubbles: type !== 'mouseenter' }));
+        });
+    }
+
+    function closeMenu() {
+        document.body.dispatchEvent(new KeyboardEvent('keydown', { key: 'Escape', code: 'Escape', keyCode: 27, bubbles: true }));
+    }
+
+    /**
+     * Metni desene uyan en içteki menü öğesi
+     * Aynı metni taşıyan sarmalayıcıya tıklamak öğenin kendi dinleyicisini tetiklemez
+     */
+    function findMenuItem(pattern, selector, exclude = null) {
+        const matches = Array.from(document.querySelectorAll(selector)).filter((el) => {
+            if (el === exclude) return false;
+            const label = el.textContent.trim() || el.getAttribute('aria-label') || '';
+            return pattern.test(label);
+        });
+        return matches.find(el => !matches.some(other => other !== el && el.contains(other))) || null;
+    }
+
+    /**
+     * Yorum satırının menüsünü açıp desene uyan öğeye tıkla, onay istenirse onayla
+     */
+    async function runMenuAction(row, adapter, pattern) {
+        if (row.scrollIntoView) {
+            row.scrollIntoView({ block: 'nearest' });
+        }
+        hover(row);
+
+        const button = await waitForElement(() => adapter.findMenuButton(row), MENU_TIMEOUT);
+        if (!button) {
+            throw commandFailure('no_menu');
+        }
+        button.click();
+
+        const selector = adapter.menuItemSelector || MENU_ITEM_SELECTOR;
+        const item = await waitForElement(() => findMenuItem(pattern, selector), MENU_TIMEOUT);
+        if (!item) {
+            closeMenu();
+            throw commandFailure('no_menu_item');
+        }
+        item.click();
+
+        if (adapter.confirmPattern) {
+            const confirm = await waitForElement(() => findMenuItem(adapter.confirmPattern, CONFIRM_SELECTOR, item), CONFIRM_TIMEOUT);
+            if (confirm) {
+                confirm.click();
+            }
+        }
+    }
+
+    function normalizeEcho(text) {
+        return text.replace(/\s+/g, ' ').trim().toLowerCase();
+    }
+
+    /**
+     * Tek bir platform adapter'ı için bridge örneği oluştur
+     */
+    function createBridge(adapter) {
+        const platform = adapter.platform;
+        const logTag = `[UniCast ${adapter.name || platform}]`;
+        const idPrefix = adapter.idPrefix || platform;
+        // Element'i olmayan yorumların kullanıcı+metin hash'leri
+        const seenComments = new Set();
+        const seenNodes = new WeakSet();
+        const seenPlatformIds = new Set();
+        // Kullanıcı+metin hash'i → gönderilen satırlar [{ node: WeakRef, id, lastSeen }]
+        // Yeniden çizilen satırı aynı metnin gerçek tekrarından ayırmak için
+        const renderedComments = new Map();
+        const seenEvents = new Set();
+        // Background portu yokken (service worker yeniden başlarken) bekleyenler
+        const pendingMessages = [];
+        // UniCast'ten gönderilen, sohbette geri görünmesi beklenen metinler → son geçerlilik
+        const pendingEchoes = new Map();
+        // Gönderilen yorum id'si → yorum satırı (WeakRef); moderasyon komutları için
+        const commentNodes = new Map();
+        // Strateji sayaçları; adapter vermezse sadece bridge tarafı sayılır
+        const diagnostics = adapter.diagnostics || createDiagnostics();
+
+        let port = null;
+        let isConnected = false;
+        let connectionState = 'idle';   // background'ın bildirdiği bağlantı durumu
+        let observer = null;
+        let observedContainer = null;
+        // Keşif sürerken { appends: Map<Element, number>, timer }
+        let discovery = null;
+        let locating = false;
+        let lastDiscoveryAt = 0;
+        let scanTimer = null;
+        let lastFullScanAt = 0;
+        // Observer'ın bildirdiği, henüz taranmamış alt ağaç kökleri
+        const dirtyRoots = new Set();
+        let cancelFlush = null;
+        const scanTimings = {
+            full: { count: 0, totalMs: 0, lastMs: 0, maxMs: 0 },
+            incremental: { count: 0, totalMs: 0, lastMs: 0, maxMs: 0, roots: 0 }
+        };
+        let statsTimer = null;
+        let lastStats = null;
+        let observerTimer = null;
+        let portReconnectTimer = null;
+        let settings = UniCastSettings.defaults();
+        let debugMode = settings.debug;
+        let active = false;
+        // Yayın sayfasında tarama, observer ve istatistik döngüsü çalışıyor mu
+        let watching = false;
+        let navigationTimer = null;
+        // Yayın oturumu { streamId, startedAt }; yayın sayfası değilse null
+        let session = null;
+        let commentCount = 0;
+        let commentCounter = 0;
+        // Komutlar sırayla çalışır, aynı yazma alanına iki metin karışmasın
+        let commandChain = Promise.resolve();
+
+        function log(...args) {
+            if (debugMode) {
+                console.log(logTag, ...args);
+            }
+        }
+
+        function logError(...args) {
+            console.error(logTag, ...args);
+        }
+
+        /**
+         * Background service worker'a port aç
+         * UniCast bağlantısı background'da, bu port üzerinden çoklanır
+         */
+        function connectPort(reattach = false) {
+            try {
+                port = chrome.runtime.connect({ name: BRIDGE_PORT_NAME });
+            } catch (error) {
+                logError('Background bağlantı hatası:', error);
+                schedulePortReconnect(reattach);
+                return;
+            }
+
+            port.onMessage.addListener(handlePortMessage);
+
+            port.onDisconnect.addListener(() => {
+                port = null;
+                setConnected(false, connectionState);
+
+                // Extension güncellendi/kaldırıldıysa bu context artık geçersiz
+                if (!chrome.runtime?.id) {
+                    log('Extension context geçersiz, bridge durduruldu');
+                    return;
+                }
+
+                log('Background portu kapandı, yeniden bağlanılıyor...');
+                schedulePortReconnect(true);
+            });
+
+            port.postMessage({
+                kind: 'attach',
+                platform: platform,
+                adapterVersion: adapter.version || '1.0',
+                url: window.location.href,
+                live: adapter.matchesUrl(window.location.href),
+                session: session,
+                info: adapter.connectInfo ? adapter.connectInfo() : {},
+                // Yeniden bağlanan port, background'ın duraklatma kararını bozmaz
+                reattach: reattach
+            });
+            // Port kopukken biriken mesajları sırayla ilet
+            while (pendingMessages.length > 0) {
+                port.postMessage({ kind: 'event', message: pendingMessages.shift() });
+            }
+        }
+
+        function schedulePortReconnect(reattach) {
+            if (portReconnectTimer) clearTimeout(portReconnectTimer);
+            portReconnectTimer = setTimeout(() => connectPort(reattach), PORT_RECONNECT_INTERVAL);
+        }
+
+        function handlePortMessage(msg) {
+            switch (msg.kind) {
+                case 'connection':
+                    setConnected(msg.connected, msg.state);
+                    break;
+                case 'server':
+                    handleServerMessage(msg.message);
+                    break;
+            }
+        }
+
+        /**
+         * UniCast bağlantı durumu değişti (background bildirir)
+         * Tarama devam eder; bağlantı yokken yorumlar background kuyruğunda bekler
+         */
+        function setConnected(connected, state) {
+            const previousState = connectionState;
+            connectionState = state || (connected ? 'connected' : 'idle');
+            if (connected === isConnected && connectionState === previousState) return;
+            isConnected = connected;
+
+            if (connected) {
+                log('UniCast bağlantısı hazır ✓');
+            } else if (connectionState === 'paused') {
+                log('UniCast çevrimdışı, denemeler duraklatıldı; yorumlar kuyrukta bekletilecek');
+            } else if (connectionState === 'rejected') {
+                log('UniCast bağlantıyı reddetti; popup\'tan eşleştirme gerekebilir');
+            } else if (previousState === 'connected' || previousState === 'idle') {
+                log('UniCast bağlantısı yok, yorumlar kuyrukta bekletilecek');
+            }
+        }
+
+        /**
+         * Mesajı background'a ilet
+         * @returns {boolean} Hemen UniCast'e gidebilecekse true, bekletildiyse false
+         */
+        function sendMessage(data) {
+            if (port) {
+                port.postMessage({ kind: 'event', message: data });
+                return isConnected;
+            }
+
+            pendingMessages.push(data);
+            if (pendingMessages.length > MAX_PENDING) {
+                pendingMessages.shift();
+            }
+            return false;
+        }
+
+        function handleServerMessage(data) {
+            switch (data.type) {
+                case 'getStatus':
+                    sendMessage({
+                        type: 'status',
+                        platform: platform,
+                        observing: observer !== null,
+                        commentCount: commentCount,
+                        url: window.location.href,
+                        stats: lastStats || undefined,
+                        scanTimings: reportTimings(),
+                        diagnostics: diagnostics.report()
+                    });
+                    break;
+                case 'sendComment':
+                    runCommand(data, () => sendComment(data.text));
+                    break;
+                case 'pinComment':
+                case 'hideComment':
+                case 'blockUser':
+                    runCommand(data, () => moderate(data.type, data.commentId));
+                    break;
+            }
+        }
+
+        /**
+         * Komutu sıraya al ve sonucunu commandAck ile bildir
+         */
+        function runCommand(data, action) {
+            commandChain = commandChain.then(async () => {
+                const ack = { type: 'commandAck', requestId: data.requestId, command: data.type, ok: true };
+                try {
+                    if (!active) throw commandFailure('inactive');
+                    await action();
+                    log(`✓ Komut tamamlandı: ${data.type}`);
+                } catch (e) {
+                    ack.ok = false;
+                    ack.reason = e.reason || 'failed';
+                    if (!e.reason) logError(`Komut hatası (${data.type}):`, e);
+                    log(`✗ Komut başarısız: ${data.type} (${ack.reason})`);
+                }
+                sendMessage(ack);
+            });
+        }
+
+        async function sendComment(text) {
+            if (!adapter.findComposer) {
+                throw commandFailure('unsupported');
+            }
+
+            // Mesaj, yazma alanı boşalmadan sohbete düşebilir; önce kaydet
+            const echo = normalizeEcho(text);
+            pendingEchoes.set(echo, Date.now() + ECHO_TTL);
+            try {
+                await postToComposer(adapter.findComposer(), adapter.findSubmitButton, text);
+            } catch (e) {
+                pendingEchoes.delete(echo);
+                throw e;
+            }
+        }
+
+        /**
+         * Yorum satırının menüsünden moderasyon işlemi yap
+         */
+        async function moderate(action, commentId) {
+            const pattern = adapter.menuItems && adapter.menuItems[action];
+            if (!pattern || !adapter.findMenuButton) {
+                throw commandFailure('unsupported');
+            }
+
+            const row = commentNodes.get(commentId)?.deref();
+            if (!row || !row.isConnected) {
+                commentNodes.delete(commentId);
+                throw commandFailure('comment_not_found');
+            }
+
+            await runMenuAction(row, adapter, pattern);
+        }
+
+        function rememberCommentNode(id, element) {
+            commentNodes.set(id, new WeakRef(element));
+            // Map ekleme sırasını korur; en eskiler önce silinir
+            for (const key of commentNodes.keys()) {
+                if (commentNodes.size <= settings.maxSeenCache) break;
+                commentNodes.delete(key);
+            }
+        }
+
+        /**
+         * Yorum UniCast'in gönderdiği mesajın yankısı mı? Eşleşme bir kez kullanılır
+         */
+        function consumeEcho(text) {
+            const now = Date.now();
+            pendingEchoes.forEach((expires, key) => {
+                if (expires < now) pendingEchoes.delete(key);
+            });
+            return pendingEchoes.delete(normalizeEcho(text));
+        }
+
+        function scanForComments(root = document) {
+            try {
+                return adapter.extract(root) || [];
+            } catch (e) {
+                logError('Tarama hatası:', e);
+                return [];
+            }
+        }
+
+        function scanForEvents(root = document) {
+            if (!adapter.extractEvents) return [];
+            try {
+                return adapter.extractEvents(root) || [];
+            } catch (e) {
+                logError('Olay tarama hatası:', e);
+                return [];
+            }
+        }
+
+        /**
+         * Sayfadaki izleyici/beğeni/süre bilgisini topla ve gönder
+         * Anlık değer olduğu için background bunları kuyruğa almaz
+         */
+        function collectStats() {
+            if (!adapter.extractStats) return;
+
+            let stats;
+            try {
+                stats = adapter.extractStats(document);
+            } catch (e) {
+                logError('İstatistik tarama hatası:', e);
+                return;
+            }
+            if (!stats) return;
+
+            const data = {};
+            for (const field of STATS_FIELDS) {
+                if (Number.isFinite(stats[field]) && stats[field] >= 0) {
+                    data[field] = Math.round(stats[field]);
+                }
+            }
+            if (Object.keys(data).length === 0) return;
+
+            lastStats = data;
+            sendMessage({
+                type: 'stats',
+                data: Object.assign({ timestamp: Date.now(), platform: platform }, data)
+            });
+        }
+
+        function startStatsTimer() {
+            if (!adapter.extractStats) return;
+            if (statsTimer) clearInterval(statsTimer);
+            statsTimer = setInterval(collectStats, STATS_INTERVAL);
+        }
+
+        function stopStatsTimer() {
+            if (statsTimer) {
+                clearInterval(statsTimer);
+                statsTimer = null;
+            }
+        }
+
+        /**
+         * Gönderilecek yorum verisi
+         * details: extractor'ın döndürdüğü yazar, rozet ve segment alanları
+         */
+        function buildComment(username, text, suffix, details = {}) {
+            const comment = {
+                id: `${idPrefix}-${Date.now()}-${suffix}`,
+                username: username,
+                text: text,
+                timestamp: Date.now(),
+                platform: platform
+            };
+
+            for (const field of AUTHOR_FIELDS) {
+                const value = details[field];
+                if (typeof value === 'string' && value && value.length <= MAX_AUTHOR_FIELD_LENGTH) {
+                    comment[field] = value;
+                }
+            }
+
+            comment.segments = Array.isArray(details.segments) && details.segments.length > 0
+                ? details.segments
+                : tokenizeText(text);
+
+            if (Array.isArray(details.badges)) {
+                const badges = KNOWN_BADGES.filter(badge => details.badges.includes(badge));
+                if (badges.length > 0) {
+                    comment.badges = badges;
+                }
+            }
+            return comment;
+        }
+
+        function authorKey(comment) {
+            return comment.platformId || comment.username.toLowerCase();
+        }
+
+        /**
+         * Satır veya onu içeren / içindeki bir satır daha önce gönderildi mi?
+         * Stratejiler aynı yorum için iç içe farklı elementler döndürebilir.
+         * İşaretteki yazar farklıysa satır başka bir yoruma yeniden kullanılmıştır.
+         */
+        function isMarked(element, comment) {
+            const marked = element.closest(`[${SEEN_ATTR}]`) || element.querySelector(`[${SEEN_ATTR}]`);
+            if (marked) {
+                return marked.getAttribute(SEEN_ATTR) === authorKey(comment);
+            }
+            return seenNodes.has(element);
+        }
+
+        /**
+         * Aynı yazar+metinle yakın zamanda görülüp sayfadan kalkmış satır (yeniden çizim)
+         */
+        function takeReplaced(hash) {
+            const entries = renderedComments.get(hash);
+            if (!entries) return null;
+
+            const rerenderWindow = Math.max(RERENDER_WINDOW, settings.scanInterval * 2);
+            const now = Date.now();
+            return entries.find((entry) => {
+                const node = entry.node.deref();
+                return (!node || !node.isConnected) && now - entry.lastSeen <= rerenderWindow;
+            }) || null;
+        }
+
+        function touchRendered(hash, element) {
+            const entry = renderedComments.get(hash)?.find(e => e.node.deref() === element);
+            if (entry) entry.lastSeen = Date.now();
+        }
+
+        function markSeen(comment, hash, id) {
+            if (comment.platformId) {
+                seenPlatformIds.add(comment.platformId);
+            }
+
+            const element = comment.element;
+            if (!element) {
+                seenComments.add(hash);
+                return;
+            }
+
+            seenNodes.add(element);
+            element.setAttribute(SEEN_ATTR, authorKey(comment));
+
+            // Son eklenen hash'ler Map'in sonunda kalsın, budama en eskiden başlar
+            const entries = renderedComments.get(hash) || [];
+            renderedComments.delete(hash);
+            renderedComments.set(hash, entries.filter(e => e.node.deref()?.isConnected)
+                .concat({ node: new WeakRef(element), id: id, lastSeen: Date.now() }));
+        }
+
+        /**
+         * Yorum daha önce gönderildi mi?
+         * Sıra: platform yorum id'si → satır elementi → (element yoksa) kullanıcı+metin hash'i
+         */
+        function isSeenComment(comment, hash) {
+            if (comment.platformId && seenPlatformIds.has(comment.platformId)) {
+                return true;
+            }
+
+            const element = comment.element;
+            if (!element) {
+                return seenComments.has(hash);
+            }
+
+            if (isMarked(element, comment)) {
+                touchRendered(hash, element);
+                return true;
+            }
+
+            const replaced = takeReplaced(hash);
+            if (replaced) {
+                // Yeni satırı sahiplen; moderasyon komutları artık bu satıra gider
+                replaced.node = new WeakRef(element);
+                replaced.lastSeen = Date.now();
+                seenNodes.add(element);
+                element.setAttribute(SEEN_ATTR, authorKey(comment));
+                if (replaced.id) {
+                    rememberCommentNode(replaced.id, element);
+                }
+                log(`↻ Yeniden çizilen yorum atlandı: ${comment.username}: ${comment.text.substring(0, 50)}`);
+                return true;
+            }
+
+            return false;
+        }
+
+        /**
+         * Yorumları işle ve gönder
+         */
+        function processComments(comments) {
+            let newCount = 0;
+
+            comments.forEach((comment) => {
+                const { username, text, source } = comment;
+                const hash = createCommentHash(username, text);
+
+                if (isSeenComment(comment, hash)) {
+                    diagnostics.dedupe(source);
+                    return;
+                }
+
+                if (consumeEcho(text)) {
+                    markSeen(comment, hash, null);
+                    diagnostics.dedupe(source);
+                    log(`↩ Kendi mesajımız, atlandı: ${text.substring(0, 50)}`);
+                    return;
+                }
+                newCount++;
+                commentCount++;
+                diagnostics.accept(source);
+
+                const commentData = buildComment(username, text, `${hash}-${++commentCounter}`, comment);
+                markSeen(comment, hash, commentData.id);
+                if (comment.element) {
+                    rememberCommentNode(commentData.id, comment.element);
+                }
+
+                const badgeTag = commentData.badges ? ` {${commentData.badges.join(', ')}}` : '';
+                log(`✓ Yeni yorum [${source}]${badgeTag}: ${username}: ${text.substring(0, 50)}${text.length > 50 ? '...' : ''}`);
+
+                if (sendMessage({ type: 'comment', data: commentData })) {
+                    log('  → Gönderildi');
+                } else {
+                    log('  → UniCast bağlı değil, kuyruğa alındı');
+                }
+            });
+
+            pruneSeen(seenComments);
+            pruneSeen(seenPlatformIds);
+            pruneRendered();
+
+            return newCount;
+        }
+
+        /**
+         * Yorum dışı olayları (gift vb.) işle ve gönder
+         */
+        function processEvents(events) {
+            let newCount = 0;
+
+            events.forEach(({ type, key, data, source }) => {
+                if (seenEvents.has(key)) {
+                    diagnostics.dedupe(source);
+                    return;
+                }
+                seenEvents.add(key);
+                newCount++;
+                diagnostics.accept(source);
+
+                const message = {
+                    type: type,
+                    data: Object.assign({
+                        id: `${idPrefix}-${Date.now()}-${createCommentHash(type, key)}`,
+                        timestamp: Date.now(),
+                        platform: platform
+                    }, data)
+                };
+
+                log(`✓ Yeni ${type} [${source}]:`, data);
+
+                if (sendMessage(message)) {
+                    log('  → Gönderildi');
+                } else {
+                    log('  → UniCast bağlı değil, kuyruğa alındı');
+                }
+            });
+
+            pruneSeen(seenEvents);
+
+            return newCount;
+        }
+
+        /**
+         * Bellek temizliği: en eski kayıtların yarısını at
+         */
+        function pruneSeen(seen) {
+            const maxSeenCache = settings.maxSeenCache;
+            if (seen.size > maxSeenCache) {
+                const arr = Array.from(seen);
+                arr.splice(0, arr.length - maxSeenCache / 2);
+                seen.clear();
+                arr.forEach(h => seen.add(h));
+            }
+        }
+
+        function pruneRendered() {
+            for (const hash of renderedComments.keys()) {
+                if (renderedComments.size <= settings.maxSeenCache) break;
+                renderedComments.delete(hash);
+            }
+        }
+
+        /**
+         * Süreyi ölç ve tarama istatistiğine ekle
+         */
+        function timed(kind, fn, roots = 0) {
+            const started = performance.now();
+            const result = fn();
+            const elapsed = performance.now() - started;
+
+            const timing = scanTimings[kind];
+            timing.count++;
+            timing.totalMs += elapsed;
+            timing.lastMs = elapsed;
+            timing.maxMs = Math.max(timing.maxMs, elapsed);
+            if (timing.roots !== undefined) timing.roots += roots;
+
+            if (elapsed > SLOW_SCAN_MS) {
+                log(`Yavaş tarama (${kind}${roots ? `, ${roots} kök` : ''}): ${elapsed.toFixed(1)}ms`);
+            }
+            return result;
+        }
+
+        function reportTimings() {
+            const round = value => Math.round(value * 100) / 100;
+            const report = {};
+            for (const [kind, timing] of Object.entries(scanTimings)) {
+                report[kind] = {
+                    count: timing.count,
+                    avgMs: timing.count ? round(timing.totalMs / timing.count) : 0,
+                    lastMs: round(timing.lastMs),
+                    maxMs: round(timing.maxMs)
+                };
+                if (timing.roots !== undefined) report[kind].roots = timing.roots;
+            }
+            return report;
+        }
+
+        /**
+         * Tüm sayfayı tara (ilk tarama ve yedek)
+         */
+        function fullScan() {
+            lastFullScanAt = Date.now();
+            return timed('full', () => {
+                const comments = scanForComments();
+                const missed = countMissed(comments);
+                processComments(comments);
+                processEvents(scanForEvents());
+
+                if (missed > 0) {
+                    log(`İzlenen container dışında ${missed} yeni yorum bulundu`);
+                    if (missed >= 2 && Date.now() - lastDiscoveryAt >= REDISCOVERY_COOLDOWN) {
+                        ContainerLocator.clearPath(platform);
+                        startDiscovery();
+                    }
+                }
+                return comments;
+            });
+        }
+
+        /**
+         * Observer'ın görmediği, henüz gönderilmemiş yorum sayısı
+         */
+        function countMissed(comments) {
+            if (!observedContainer || observedContainer === document.body || discovery) return 0;
+            return comments.filter(comment => comment.element &&
+                !observedContainer.contains(comment.element) &&
+                !isMarked(comment.element, comment)).length;
+        }
+
+        /**
+         * Değişen node'u tarama köküne çevir
+         * Satırın içindeki metin değiştiyse satırın tamamı taranmalı
+         */
+        function markDirty(node) {
+            const element = node && (node.nodeType === Node.ELEMENT_NODE ? node : node.parentElement);
+            if (!element || !element.isConnected) return;
+            dirtyRoots.add((adapter.rowSelector && closestMatch(element, adapter.rowSelector)) || element);
+        }
+
+        function handleMutations(mutations) {
+            for (const mutation of mutations) {
+                if (mutation.type === 'characterData') {
+                    markDirty(mutation.target);
+                } else {
+                    mutation.addedNodes.forEach(markDirty);
+                    if (discovery) countAppends(mutation);
+                }
+            }
+
+            if (dirtyRoots.size > 0 && !cancelFlush) {
+                cancelFlush = scheduleIdle(flushDirtyRoots);
+            }
+        }
+
+        /**
+         * Birikmiş değişiklikleri tek seferde tara
+         */
+        function flushDirtyRoots() {
+            cancelFlush = null;
+            const roots = Array.from(dirtyRoots).filter(root => root.isConnected);
+            dirtyRoots.clear();
+            if (roots.length === 0) return;
+
+            if (roots.length > MAX_DIRTY_ROOTS) {
+                fullScan();
+                return;
+            }
+
+            // İç içe köklerde sadece en dıştaki taranır; yorumlar sohbetteki sırayla gider
+            const outer = roots.filter(root => !roots.some(other => other !== root && other.contains(root)));
+            outer.sort(byDocumentOrder);
+
+            timed('incremental', () => {
+                outer.forEach((root) => {
+                    processComments(scanForComments(root));
+                    processEvents(scanForEvents(root));
+                });
+            }, outer.length);
+        }
+
+        function cancelDirtyRoots() {
+            if (cancelFlush) {
+                cancelFlush();
+                cancelFlush = null;
+            }
+            dirtyRoots.clear();
+        }
+
+        /**
+         * Periyodik tur: zamanla biten olaylar ve yedek tam tarama
+         * Observer yokken (başlangıç gecikmesi) her turda tam tarama yapılır
+         */
+        function tick() {
+            if (observedContainer && !observedContainer.isConnected && !locating) {
+                log('Sohbet container\'ı sayfadan kalktı, yeniden aranıyor');
+                startObserver();
+            }
+            if (!observer || Date.now() - lastFullScanAt >= FULL_SCAN_INTERVAL) {
+                fullScan();
+            }
+            if (adapter.flushEvents) {
+                try {
+                    processEvents(adapter.flushEvents() || []);
+                } catch (e) {
+                    logError('Olay tarama hatası:', e);
+                }
+            }
+        }
+
+        /**
+         * Periyodik tur başlat
+         */
+        function startPeriodicScan() {
+            if (scanTimer) clearInterval(scanTimer);
+
+            log('Periyodik tarama başlatıldı (' + settings.scanInterval + 'ms aralıkla, tam tarama ' + FULL_SCAN_INTERVAL / 1000 + ' sn\'de bir)');
+
+            // İlk tarama
+            const comments = fullScan();
+            log(`İlk tarama: ${comments.length} yorum bulundu`);
+            if (comments.length > 0) {
+                log('Bulunan yorumlar:', comments);
+            }
+
+            scanTimer = setInterval(tick, settings.scanInterval);
+        }
+
+        function stopPeriodicScan() {
+            if (scanTimer) {
+                clearInterval(scanTimer);
+                scanTimer = null;
+            }
+            cancelDirtyRoots();
+        }
+
+        /**
+         * MutationObserver - DOM değişikliklerini izle
+         */
+        async function startObserver() {
+            observerTimer = null;
+            locating = true;
+
+            try {
+                // Önce son oturumda bulunan container; hâlâ yorum içeriyorsa keşfe gerek yok
+                const cachedPath = await ContainerLocator.loadPath(platform);
+                if (!watching) return;
+
+                const cached = ContainerLocator.resolve(cachedPath);
+                if (cached && (scanForComments(cached).length > 0 || scanForComments().length === 0)) {
+                    observeContainer(cached, 'kayıtlı');
+                } else {
+                    startDiscovery();
+                }
+            } finally {
+                locating = false;
+            }
+
+            // Observer'dan önce gelenler için son bir tam tarama
+            fullScan();
+        }
+
+        function observeContainer(container, source) {
+            if (observer) observer.disconnect();
+
+            observer = new MutationObserver(handleMutations);
+            observer.observe(container, {
+                childList: true,
+                characterData: true,
+                subtree: true
+            });
+            observedContainer = container;
+
+            log(`MutationObserver aktif (${source}): ${ContainerLocator.describe(container)}`);
+        }
+
+        /**
+         * Keşif: sayfanın tamamını izle, süre sonunda en iyi container'a geç
+         */
+        function startDiscovery(delay = DISCOVERY_WINDOW) {
+            stopDiscovery();
+            lastDiscoveryAt = Date.now();
+
+            if (observedContainer !== document.body || !observer) {
+                observeContainer(document.body, 'keşif');
+            }
+            discovery = {
+                appends: new Map(),
+                timer: setTimeout(finishDiscovery, delay)
+            };
+        }
+
+        function stopDiscovery() {
+            if (discovery) {
+                clearTimeout(discovery.timer);
+                discovery = null;
+            }
+        }
+
+        function countAppends(mutation) {
+            let added = 0;
+            mutation.addedNodes.forEach((node) => {
+                if (node.nodeType === Node.ELEMENT_NODE) added++;
+            });
+            if (added > 0) {
+                discovery.appends.set(mutation.target, (discovery.appends.get(mutation.target) || 0) + added);
+            }
+        }
+
+        function finishDiscovery() {
+            const appends = discovery.appends;
+            discovery = null;
+
+            const best = ContainerLocator.pickBest(scanForComments(), appends);
+            if (!best) {
+                log(`Sohbet container'ı bulunamadı, ${DISCOVERY_RETRY / 1000} sn sonra tekrar denenecek`);
+                startDiscovery(DISCOVERY_RETRY);
+                return;
+            }
+
+            log(`Sohbet container'ı bulundu: ${best.pairs} yorum, ${best.appends} yeni satır (puan ${best.score})`);
+            observeContainer(best.element, 'keşif sonucu');
+
+            const path = ContainerLocator.cssPath(best.element);
+            if (ContainerLocator.resolve(path) === best.element) {
+                ContainerLocator.savePath(platform, path);
+            }
+        }
+
+        /**
+         * Sayfanın yayın oturumunu güncelle
+         * @returns {boolean} Oturum değiştiyse true
+         */
+        function updateSession(url) {
+            if (!adapter.matchesUrl(url)) {
+                const changed = session !== null;
+                session = null;
+                return changed;
+            }
+
+            const page = new URL(url);
+            const streamId = (adapter.streamId && adapter.streamId()) || page.origin + page.pathname;
+            if (session && session.streamId === streamId) return false;
+
+            session = { streamId: String(streamId), startedAt: Date.now() };
+            return true;
+        }
+
+        /**
+         * Başlatma
+         */
+        function init() {
+            updateSession(window.location.href);
+
+            log('=========================================');
+            log(`UniCast ${adapter.name || platform} Bridge v${adapter.version || '1.0'}`);
+            log('URL:', window.location.href);
+            log('Yayın oturumu:', session ? session.streamId : 'yok');
+            log(`Selector paketi: v${SelectorPacks.version()}`);
+            if (adapter.describe) {
+                adapter.describe(log);
+            }
+            log('=========================================');
+
+            if (UniCastSettings.isPlatformEnabled(settings, platform)) {
+                activate();
+            } else {
+                log('Platform ayarlardan kapalı, bekleniyor');
+            }
+
+            // SPA navigation izle
+            let lastUrl = location.href;
+            new MutationObserver(() => {
+                const url = location.href;
+                if (url !== lastUrl) {
+                    lastUrl = url;
+                    log('Sayfa değişti:', url);
+
+                    // Background sekme listesini günceller; yayından çıkıldıysa sayaçlar sıfırlanır
+                    if (updateSession(url)) {
+                        log('Yayın oturumu:', session ? session.streamId : 'yok');
+                    }
+                    if (port) {
+                        port.postMessage({
+                            kind: 'navigate',
+                            url: url,
+                            live: session !== null,
+                            session: session,
+                            info: adapter.connectInfo ? adapter.connectInfo() : {}
+                        });
+                    }
+
+                    if (!active) return;
+
+                    // Yayından çıkıldıysa biten yayının yorumları ve istatistikleri gönderilmesin
+                    clearTimeout(navigationTimer);
+                    if (!adapter.matchesUrl(url)) {
+                        if (watching) {
+                            stopWatching();
+                            log('Yayın sayfasından çıkıldı, tarama durduruldu');
+                        }
+                        return;
+                    }
+
+                    navigationTimer = setTimeout(() => {
+                        seenComments.clear();
+                        seenPlatformIds.clear();
+                        renderedComments.clear();
+                        seenEvents.clear();
+                        commentNodes.clear();
+                        startWatching();
+                    }, 2000);
+                }
+            }).observe(document, { subtree: true, childList: true });
+        }
+
+        /**
+         * Bridge'i çalıştır: port, tarama ve observer
+         */
+        function activate() {
+            if (active) return;
+            active = true;
+
+            connectPort();
+            if (adapter.matchesUrl(window.location.href)) {
+                startWatching();
+            } else {
+                log('Yayın sayfası değil, tarama yayın açılınca başlayacak');
+            }
+        }
+
+        /**
+         * Yayın sayfasında tarama, istatistik döngüsü ve observer'ı başlat
+         */
+        function startWatching() {
+            watching = true;
+
+            startPeriodicScan();
+            startStatsTimer();
+
+            clearTimeout(observerTimer);
+            observerTimer = setTimeout(() => {
+                startObserver();
+            }, adapter.startDelay || DEFAULT_START_DELAY);
+        }
+
+        /**
+         * Tarama, istatistik döngüsü ve observer'ı durdur (yayından çıkıldı veya bridge durdu)
+         */
+        function stopWatching() {
+            watching = false;
+
+            stopPeriodicScan();
+            stopStatsTimer();
+            clearTimeout(observerTimer);
+            observerTimer = null;
+            lastStats = null;
+
+            stopDiscovery();
+            if (observer) {
+                observer.disconnect();
+                observer = null;
+            }
+            observedContainer = null;
+        }
+
+        /**
+         * Bridge'i durdur (platform ayarlardan kapatıldı)
+         */
+        function deactivate() {
+            if (!active) return;
+            active = false;
+
+            stopWatching();
+            clearTimeout(navigationTimer);
+            clearTimeout(portReconnectTimer);
+
+            if (port) {
+                const closing = port;
+                port = null;
+                closing.disconnect();
+            }
+            isConnected = false;
+            connectionState = 'idle';
+
+            log('Bridge durduruldu');
+        }
+
+        /**
+         * Ayar değişikliklerini sayfa yenilemeden uygula
+         */
+        function applySettings(next, previous) {
+            settings = next;
+            debugMode = next.debug;
+
+            const enabled = UniCastSettings.isPlatformEnabled(next, platform);
+            if (!enabled) {
+                deactivate();
+                return;
+            }
+
+            if (!active) {
+                log('Platform ayarlardan açıldı');
+                activate();
+                return;
+            }
+
+            if (watching && previous && previous.scanInterval !== next.scanInterval) {
+                startPeriodicScan();
+            }
+        }
+
+        /**
+         * UniCast'ten gelen yeni selector paketiyle sayfayı baştan tara
+         */
+        function applySelectorPack(version) {
+            log(`Selector paketi v${version} uygulandı`);
+            if (watching) {
+                fullScan();
+            }
+        }
+
+        /**
+         * Debug için global erişim
+         */
+        function exposeDebugHandle() {
+            if (!adapter.debugHandle) return;
+
+            window[adapter.debugHandle] = Object.assign({
+                timings: () => {
+                    const report = reportTimings();
+                    console.table(report);
+                    return report;
+                },
+                diagnostics: () => {
+                    const report = diagnostics.report();
+                    console.table(report);
+                    return report;
+                },
+                scan: () => {
+                    const comments = scanForComments();
+                    console.log('Bulunan yorumlar:', comments);
+                    return comments;
+                },
+                send: sendMessage,
+                status: () => Object.assign({
+                    connected: isConnected,
+                    connectionState: connectionState,
+                    portOpen: port !== null,
+                    stats: lastStats,
+                    scanTimings: reportTimings(),
+                    diagnostics: diagnostics.report(),
+                    selectorPack: SelectorPacks.version(),
+                    seenCount: seenComments.size
+                }, adapter.debugStatus ? adapter.debugStatus() : {}),
+                forceSend: () => {
+                    const comments = scanForComments();
+                    comments.forEach(c => {
+                        sendMessage({
+                            type: 'comment',
+                            data: buildComment(c.username, c.text, Math.random().toString(36).substr(2, 9))
+                        });
+                    });
+                    return `${comments.length} yorum gönderildi`;
+                },
+                debug: (enable = true) => {
+                    debugMode = enable;
+                    return `Debug modu: ${enable ? 'Açık' : 'Kapalı'}`;
+                }
+            }, adapter.debugExtras || {});
+
+            log(`Debug: window.${adapter.debugHandle}.scan() ile manuel tarama yapabilirsiniz`);
+        }
+
+        /**
+         * Popup'un aktif sekmeye sorduğu tarama teşhisi
+         */
+        function handleRuntimeMessage(message, sender, sendResponse) {
+            if (message?.action !== 'getDiagnostics') return false;
+
+            sendResponse({
+                platform: platform,
+                adapterVersion: adapter.version || '1.0',
+                selectorPack: SelectorPacks.version(),
+                observing: observer !== null,
+                commentCount: commentCount,
+                diagnostics: diagnostics.report()
+            });
+            return false;
+        }
+
+        function start() {
+            Promise.all([
+                UniCastSettings.load().catch(() => UniCastSettings.defaults()),
+                SelectorPacks.load().catch((error) => {
+                    logError('Selector paketi yüklenemedi, yerleşik paketle başlatılıyor:', error);
+                    return SelectorPacks.useBuiltIn();
+                })
+            ]).then(([loaded]) => {
+                settings = loaded;
+                debugMode = loaded.debug;
+
+                if (document.readyState === 'loading') {
+                    document.addEventListener('DOMContentLoaded', init);
+                } else {
+                    init();
+                }
+                exposeDebugHandle();
+
+                chrome.runtime.onMessage.addListener(handleRuntimeMessage);
+                UniCastSettings.onChange(applySettings);
+                SelectorPacks.onChange(applySelectorPack);
+            });
+        }
+
+        return {
+            platform,
+            start,
+            log,
+            logError,
+            sendMessage
+        };
+    }
+
+    /**
+     * Platform adapter'ını kaydet ve bridge'i başlat
+     */
+    function registerAdapter(adapter) {
+        for (const field of REQUIRED_ADAPTER_FIELDS) {
+            if (!adapter || !adapter[field]) {
+                throw new Error(`[UniCast Bridge] Adapter alanı eksik: ${field}`);
+            }
+        }
+
+        if (adapters.has(adapter.platform)) {
+            console.warn('[UniCast Bridge] Adapter zaten kayıtlı:', adapter.platform);
+            return adapters.get(adapter.platform);
+        }
+
+        const bridge = createBridge(adapter);
+        adapters.set(adapter.platform, bridge);
+        bridge.start();
+        return bridge;
+    }
+
+    window.UniCastBridge = {
+        registerAdapter,
+        createDiagnostics,
+        createCommentHash,
+        commentKey,
+        queryAll,
+        parseCount,
+        parseDuration,
+        findTextCount,
+        findAvatarUrl,
+        toAbsoluteUrl,
+        detectBadges,
+        readMessage,
+        adapters: () => Array.from(adapters.keys())
+    };
+
+})();
@@ -0,0 +1,148 @@
+/**
+ * UniCast Chat Bridge - Sohbet Container'ı Bulucu
+ * Observer'ın izleyeceği sohbet listesini sayfadaki yorumlardan bulur.
+ * Adaylar, bulunan yorum satırlarının ataları; her aday içerdiği geçerli
+ * kullanıcı adı/mesaj çifti ve keşif süresince aldığı yeni çocuk sayısıyla puanlanır.
+ * Kazananın CSS yolu platform başına chrome.storage.local'da saklanır,
+ * sonraki açılışta önce bu yol denenir.
+ */
+
+const ContainerLocator = (function() {
+    'use strict';
+
+    const STORAGE_KEY = 'containerPaths';
+    const MAX_CANDIDATE_DEPTH = 8;      // Yorum satırından en fazla bu kadar üst seviyeye çıkılır
+    const MAX_COMMENTS = 300;           // Puanlamada kullanılan en fazla yorum
+    const MIN_PAIRS = 2;                // Container sayılmak için gereken en az yorum
+    const APPEND_WEIGHT = 2;            // Yeni satır eklenmesi, var olan satırdan daha güçlü işaret
+    // Sayfa yenilenince değişmeyen öznitelikler; id'ler ve sınıflar çoğunlukla üretilmiş
+    const STABLE_ATTRIBUTES = ['data-e2e', 'data-testid'];
+
+    /**
+     * İç içe bulunan yorum elementlerinden sadece en dıştakiler
+     */
+    function outermost(elements) {
+        return elements.filter(el => !elements.some(other => other !== el && other.contains(el)));
+    }
+
+    /**
+     * En iyi container'ı seç
+     * @param {Array} comments extract() sonucu (element'i olanlar sayılır)
+     * @param {Map<Element, number>} appends Keşif süresince element'e eklenen çocuk sayısı
+     * @returns {{element, score, pairs, appends}|null}
+     */
+    function pickBest(comments, appends = new Map()) {
+        const elements = outermost(Array.from(new Set(
+            comments.map(comment => comment.element).filter(Boolean)
+        )).slice(-MAX_COMMENTS));
+
+        const candidates = new Map();
+        elements.forEach((element) => {
+            let el = element.parentElement;
+            for (let depth = 0; el && depth < MAX_CANDIDATE_DEPTH; depth++, el = el.parentElement) {
+                if (el === document.body || el === document.documentElement) break;
+                candidates.set(el, (candidates.get(el) || 0) + 1);
+            }
+        });
+
+        let best = null;
+        candidates.forEach((pairs, element) => {
+            if (pairs < MIN_PAIRS) return;
+
+            const appendCount = appends.get(element) || 0;
+            const score = pairs + APPEND_WEIGHT * appendCount;
+            // Eşit puanda daha içteki (daha dar) element kazanır
+            if (!best || score > best.score || (score === best.score && best.element.contains(element))) {
+                best = { element, score, pairs, appends: appendCount };
+            }
+        });
+
+        return best;
+    }
+
+    function attributeSelector(name, value) {
+        return `[${name}=${JSON.stringify(value)}]`;
+    }
+
+    /**
+     * Element'e giden seçici yolu
+     * Sayfada tek olan kararlı bir özniteliğe rastlanırsa yol oradan başlar
+     */
+    function cssPath(element) {
+        const parts = [];
+
+        for (let el = element; el && el !== document.body; el = el.parentElement) {
+            const tag = el.tagName.toLowerCase();
+            const stable = STABLE_ATTRIBUTES.find(name => el.hasAttribute(name));
+
+            if (stable) {
+                const part = tag + attributeSelector(stable, el.getAttribute(stable));
+                if (document.querySelectorAll(part).length === 1) {
+                    parts.unshift(part);
+                    return parts.join(' > ');
+                }
+            }
+
+            const siblings = el.parentElement
+                ? Array.from(el.parentElement.children).filter(child => child.tagName === el.tagName)
+                : [el];
+            parts.unshift(siblings.length > 1 ? `${tag}:nth-of-type(${siblings.indexOf(el) + 1})` : tag);
+        }
+
+        return ['body'].concat(parts).join(' > ');
+    }
+
+    function resolve(path) {
+        try {
+            return path ? document.querySelector(path) : null;
+        } catch (e) {
+            return null;
+        }
+    }
+
+    async function loadPath(platform) {
+        try {
+            const stored = await chrome.storage.local.get(STORAGE_KEY);
+            return (stored[STORAGE_KEY] || {})[platform] || null;
+        } catch (e) {
+            return null;
+        }
+    }
+
+    async function savePath(platform, path) {
+        try {
+            const stored = await chrome.storage.local.get(STORAGE_KEY);
+            const paths = stored[STORAGE_KEY] || {};
+            if (paths[platform] === path) return;
+            paths[platform] = path;
+            await chrome.storage.local.set({ [STORAGE_KEY]: paths });
+        } catch (e) {
+            console.error('[UniCast Locator] Container yolu kaydedilemedi:', e);
+        }
+    }
+
+    async function clearPath(platform) {
+        await savePath(platform, undefined);
+    }
+
+    /**
+     * Log için kısa element tanımı
+     */
+    function describe(element) {
+        if (!element || element === document.body) return 'body';
+        const stable = STABLE_ATTRIBUTES.find(name => element.hasAttribute(name));
+        const label = stable ? attributeSelector(stable, element.getAttribute(stable)) : '';
+        const className = typeof element.className === 'string' ? element.className.split(/\s+/)[0] : '';
+        return element.tagName.toLowerCase() + label + (className ? `.${className}` : '');
+    }
+
+    return {
+        pickBest,
+        cssPath,
+        resolve,
+        loadPath,
+        savePath,
+        clearPath,
+        describe
+    };
+})();
@@ -3,170 +3,139 @@
  * Facebook Live sayfasındaki yorumları izler ve UniCast'e gönderir
  * 
  * v1.0 - Facebook Live DOM yapısı için optimize edilmiş
+ * Bağlantı ve tarama döngüsü bridge-core.js'te
  */
 
 (function() {
     'use strict';
 
-    const UNICAST_WS_PORT = 9876;
-    const RECONNECT_INTERVAL = 3000;
-    const SCAN_INTERVAL = 500;
-    const SEEN_COMMENTS = new Set();
-    const MAX_SEEN_CACHE = 500;
-
-    let ws = null;
-    let isConnected = false;
-    let observer = null;
-    let scanTimer = null;
-    let reconnectTimer = null;
-    let debugMode = true;
-
-    function log(...args) {
-        if (debugMode) {
-            console.log('[UniCast Facebook]', ...args);
-        }
-    }
+    // "1,2 B kişi izliyor", "345 watching", "1.2K viewers"
+    const WATCHING_PATTERN = /^([\d.,]+\s*(?:[KMB]|bin|Mn)?)\s+(?:kişi\s+)?(?:izliyor|watching|viewers?)$/i;
+    // Tepki sayısı: "1,2 B tepki", "345 reactions"
+    const REACTIONS_PATTERN = /^([\d.,]+\s*(?:[KMB]|bin|Mn)?)\s+(?:tepki|reactions?)$/i;
+
+    // Profil olmayan ilk path parçaları
+    const NON_PROFILE_PATHS = new Set([
+        'watch', 'videos', 'groups', 'events', 'pages', 'photo', 'photo.php', 'hashtag',
+        'story.php', 'permalink.php', 'reel', 'live', 'gaming', 'marketplace', 'l.php'
+    ]);
+
+    // Yorum menüsündeki öğe metinleri; "Block messages", "Delete all" gibi öğeler tıklanmasın diye tam eşleşir
+    const MENU_ITEMS = {
+        pinComment: /^(Pin comment|Yorumu sabitle)$/i,
+        hideComment: /^(Hide comment|Yorumu gizle|Delete|Delete comment|Sil|Yorumu sil)$/i,
+        blockUser: /^(Block|Engelle)$/i
+    };
 
-    function logError(...args) {
-        console.error('[UniCast Facebook]', ...args);
+    // Strateji başına bulunan/reddedilen sayaçları (getStatus ve popup'ta gösterilir)
+    const diagnostics = UniCastBridge.createDiagnostics();
+
+    /**
+     * Etkin selector paketinin Facebook kuralları (selector-packs.js)
+     */
+    function rules() {
+        return SelectorPacks.rules('facebook');
     }
 
     /**
-     * WebSocket bağlantısını başlat
+     * Yazar linkinden profil adresi ve kullanıcı id'si çıkar
+     * profile.php?id=123 ve /groups/x/user/123/ sayısal id verir, diğerleri kullanıcı adı (vanity)
      */
-    function connectWebSocket() {
-        if (ws && ws.readyState === WebSocket.OPEN) {
-            return;
+    function parseProfileLink(href) {
+        const absolute = UniCastBridge.toAbsoluteUrl(href);
+        if (!absolute) return {};
+
+        const url = new URL(absolute);
+        if (!/(^|\.)facebook\.com$/i.test(url.hostname)) return {};
+
+        const segments = url.pathname.split('/').filter(Boolean);
+        let userId = null;
+
+        if (segments[0] === 'profile.php') {
+            userId = url.searchParams.get('id');
+        } else if (segments.includes('user')) {
+            userId = segments[segments.indexOf('user') + 1] || null;
+        } else if (segments[0] && !NON_PROFILE_PATHS.has(segments[0].toLowerCase())) {
+            userId = segments[0];
         }
 
-        try {
-            log('WebSocket bağlantısı deneniyor...');
-            ws = new WebSocket(`ws://localhost:${UNICAST_WS_PORT}/facebook`);
-
-            ws.onopen = () => {
-                log('WebSocket bağlandı ✓');
-                isConnected = true;
-                clearTimeout(reconnectTimer);
-                
-                sendMessage({
-                    type: 'connected',
-                    platform: 'facebook',
-                    url: window.location.href,
-                    timestamp: Date.now()
-                });
-
-                try {
-                    chrome.runtime.sendMessage({ action: 'setConnected', connected: true, platform: 'facebook' });
-                } catch (e) {}
-
-                startPeriodicScan();
-            };
-
-            ws.onclose = () => {
-                log('WebSocket kapandı, yeniden bağlanılıyor...');
-                isConnected = false;
-                stopPeriodicScan();
-                try {
-                    chrome.runtime.sendMessage({ action: 'setConnected', connected: false, platform: 'facebook' });
-                } catch (e) {}
-                scheduleReconnect();
-            };
-
-            ws.onerror = (error) => {
-                logError('WebSocket hatası:', error);
-                isConnected = false;
-            };
-
-            ws.onmessage = (event) => {
-                try {
-                    const data = JSON.parse(event.data);
-                    handleServerMessage(data);
-                } catch (e) {
-                    logError('Mesaj parse hatası:', e);
-                }
-            };
+        if (!userId) return {};
 
-        } catch (error) {
-            logError('WebSocket bağlantı hatası:', error);
-            scheduleReconnect();
-        }
+        return {
+            userId: userId,
+            // comment_id, __cft__ gibi izleme parametreleri atılır
+            profileUrl: /^\d+$/.test(userId)
+                ? `https://www.facebook.com/profile.php?id=${userId}`
+                : `https://www.facebook.com/${userId}`
+        };
     }
 
-    function scheduleReconnect() {
-        if (reconnectTimer) clearTimeout(reconnectTimer);
-        reconnectTimer = setTimeout(connectWebSocket, RECONNECT_INTERVAL);
-    }
-
-    function sendMessage(data) {
-        if (ws && ws.readyState === WebSocket.OPEN) {
-            ws.send(JSON.stringify(data));
-            return true;
-        }
-        return false;
+    /**
+     * Yayın sayfasının sahibi: facebook.com/<sayfa>/videos/... veya /<sayfa>/live
+     */
+    function extractPageName() {
+        const first = window.location.pathname.split('/').filter(Boolean)[0];
+        return first && !NON_PROFILE_PATHS.has(first.toLowerCase()) ? decodeURIComponent(first) : undefined;
     }
 
-    function handleServerMessage(data) {
-        switch (data.type) {
-            case 'ping':
-                sendMessage({ type: 'pong' });
-                break;
-            case 'getStatus':
-                sendMessage({
-                    type: 'status',
-                    platform: 'facebook',
-                    observing: observer !== null,
-                    commentCount: SEEN_COMMENTS.size,
-                    url: window.location.href
-                });
-                break;
+    /**
+     * Yayının video id'si: /<sayfa>/videos/<id>, /watch/?v=<id>, /watch/live/?v=<id>
+     * Id'siz adreslerde (/<sayfa>/live) sayfa adı kullanılır
+     */
+    function extractStreamId() {
+        const url = new URL(window.location.href);
+        const videoId = url.searchParams.get('v') ||
+            url.pathname.match(/\/videos\/(?:[^/]+\/)?(\d+)/)?.[1];
+        if (videoId && /^\d+$/.test(videoId)) {
+            return videoId;
         }
+        return extractPageName() || null;
     }
 
     /**
-     * Benzersiz yorum hash'i oluştur
+     * Yorumun Facebook id'si: zaman damgası ve yazar linkleri ?comment_id=... taşır
      */
-    function createCommentHash(username, text) {
-        const str = `${username}:${text}`.toLowerCase().trim();
-        let hash = 0;
-        for (let i = 0; i < str.length; i++) {
-            const char = str.charCodeAt(i);
-            hash = ((hash << 5) - hash) + char;
-            hash = hash & hash;
-        }
-        return hash.toString(36);
+    function parseCommentId(row) {
+        const href = row.querySelector('a[href*="comment_id="]')?.getAttribute('href');
+        const match = href && href.match(/[?&]comment_id=(\d+)/);
+        return match ? match[1] : undefined;
+    }
+
+    function extractAuthor(row, link, username, text) {
+        return Object.assign({
+            // Stratejiler aynı yorumun farklı iç elementlerini bulabilir; hepsi yorum kutusuna bağlanır
+            element: row.closest('[role="article"]') || row,
+            platformId: parseCommentId(row),
+            avatarUrl: UniCastBridge.findAvatarUrl(row),
+            badges: UniCastBridge.detectBadges(row, rules().badges, [username, text])
+        }, parseProfileLink(link?.getAttribute('href')));
     }
 
     /**
      * Facebook Live yorumlarını tara
      * Facebook DOM yapısı karmaşık, birden fazla strateji kullanıyoruz
      */
-    function scanForComments() {
+    function scanForComments(root) {
         const comments = [];
-        const foundPairs = new Set();
+        // Aynı satırı birden fazla stratejiden almamak için (aynı metinli farklı satırlar ayrı kalır)
+        const foundRows = new Set();
+
+        function addComment(comment) {
+            const key = UniCastBridge.commentKey(comment);
+            if (foundRows.has(key)) {
+                diagnostics.dedupe(comment.source);
+                return;
+            }
+            foundRows.add(key);
+            comments.push(comment);
+        }
 
         // Strateji 1: Facebook'un yorum container class'ları
-        const selectors = [
-            // Live video yorumları
-            '[class*="x1lliihq"][class*="x1n2onr6"]', // Modern FB class pattern
-            'div[role="article"]',
-            '[data-testid="UFI2Comment/root_depth_0"]',
-            '[data-testid="comment"]',
-            // Eski FB yapısı
-            '.UFICommentContent',
-            '.UFICommentBody',
-            // Live specific
-            '[class*="live-video-comment"]',
-            '[class*="comment-item"]'
-        ];
-
-        for (const selector of selectors) {
+        for (const selector of rules().selectors.commentItem) {
             try {
-                document.querySelectorAll(selector).forEach(item => {
-                    const result = extractFromFacebookComment(item);
-                    if (result && !foundPairs.has(result.pairKey)) {
-                        foundPairs.add(result.pairKey);
-                        comments.push(result.comment);
-                    }
+                UniCastBridge.queryAll(root, selector).forEach(item => {
+                    const comment = extractFromFacebookComment(item);
+                    if (comment) addComment(comment);
                 });
             } catch (e) {
                 // Selector geçersiz olabilir
@@ -176,7 +145,7 @@
         // Strateji 2: Genel div taraması - Facebook'un dinamik class'ları için
         if (comments.length === 0) {
             // Yorum içeren container'ları bul
-            document.querySelectorAll('div').forEach(div => {
+            UniCastBridge.queryAll(root, 'div').forEach(div => {
                 // Facebook yorumları genellikle:
                 // - Bir link (kullanıcı adı) içerir
                 // - Yanında metin içerir
@@ -184,7 +153,10 @@
                 
                 links.forEach(link => {
                     const username = link.textContent?.trim();
-                    if (!username || username.length > 50) return;
+                    if (!username || username.length > 50) {
+                        rejectCandidate('link-parent', username ? 'username_too_long' : 'empty');
+                        return;
+                    }
                     
                     // Link'in parent'ında mesaj ara
                     const parent = link.closest('div');
@@ -197,39 +169,33 @@
                     // Zaman bilgisini temizle (örn: "2 dk", "1 sa")
                     message = message.replace(/^\d+\s*(dk|sa|gün|sn|m|h|d|s)\s*/i, '').trim();
                     
-                    if (isValidFacebookComment(username, message)) {
-                        const pairKey = `${username}|${message}`;
-                        if (!foundPairs.has(pairKey)) {
-                            foundPairs.add(pairKey);
-                            comments.push({
-                                username: username,
-                                text: message,
-                                source: 'link-parent'
-                            });
-                        }
+                    if (checkCandidate('link-parent', username, message)) {
+                        addComment(Object.assign({
+                            username: username,
+                            text: message,
+                            source: 'link-parent'
+                        }, extractAuthor(parent, link, username, message)));
                     }
                 });
             });
         }
 
         // Strateji 3: Span çiftleri (Instagram'daki gibi)
-        document.querySelectorAll('div').forEach(div => {
+        UniCastBridge.queryAll(root, 'div').forEach(div => {
             const childSpans = Array.from(div.children).filter(el => el.tagName === 'SPAN');
             
             if (childSpans.length === 2) {
                 const username = childSpans[0]?.textContent?.trim();
-                const message = childSpans[1]?.textContent?.trim();
+                const content = UniCastBridge.readMessage(childSpans[1]);
+                const message = content.text;
                 
-                if (isValidFacebookComment(username, message)) {
-                    const pairKey = `${username}|${message}`;
-                    if (!foundPairs.has(pairKey)) {
-                        foundPairs.add(pairKey);
-                        comments.push({
-                            username: username,
-                            text: message,
-                            source: 'span-pair'
-                        });
-                    }
+                if (checkCandidate('span-pair', username, message)) {
+                    addComment(Object.assign({
+                        username: username,
+                        text: message,
+                        segments: content.segments,
+                        source: 'span-pair'
+                    }, extractAuthor(div, div.querySelector('a[href]'), username, message)));
                 }
             }
         });
@@ -241,20 +207,13 @@
      * Facebook yorum elementinden veri çıkar
      */
     function extractFromFacebookComment(item) {
-        // Username için link ara
-        const usernameSelectors = [
-            'a[role="link"]',
-            'a[href*="/profile"]',
-            'a[href*="facebook.com/"]',
-            'span[dir="auto"] a',
-            '.UFICommentActorName',
-            '[class*="author"]'
-        ];
+        const { selectors } = rules();
 
         let username = null;
         let usernameEl = null;
 
-        for (const sel of usernameSelectors) {
+        // Username için link ara
+        for (const sel of selectors.username) {
             const el = item.querySelector(sel);
             if (el && el.textContent?.trim()) {
                 username = el.textContent.trim();
@@ -267,25 +226,26 @@
             }
         }
 
-        if (!username) return null;
+        if (!username) {
+            rejectCandidate('fb-extract', 'no_username');
+            return null;
+        }
 
         // Message - username dışındaki text
         let message = '';
+        let segments = null;
         
         // Mesaj için özel selector'lar dene
-        const messageSelectors = [
-            '[class*="comment-text"]',
-            '[class*="CommentBody"]',
-            '.UFICommentBody',
-            'span[dir="auto"]:not(:first-child)',
-            'div[dir="auto"]'
-        ];
-
-        for (const sel of messageSelectors) {
+        for (const sel of selectors.message) {
             const el = item.querySelector(sel);
-            if (el && el.textContent?.trim() && el !== usernameEl) {
-                message = el.textContent.trim();
-                break;
+            if (el && el !== usernameEl) {
+                // Emoji resimleri textContent'te kaybolur, segmentlerden okunur
+                const content = UniCastBridge.readMessage(el);
+                if (content.text) {
+                    message = content.text;
+                    segments = content.segments;
+                    break;
+                }
             }
         }
 
@@ -306,241 +266,109 @@
             }
         }
 
-        if (isValidFacebookComment(username, message)) {
-            return {
-                pairKey: `${username}|${message}`,
-                comment: {
-                    username: username,
-                    text: message,
-                    source: 'fb-extract'
-                }
-            };
+        if (checkCandidate('fb-extract', username, message)) {
+            return Object.assign({
+                username: username,
+                text: message,
+                segments: segments,
+                source: 'fb-extract'
+            }, extractAuthor(item, usernameEl.closest('a[href]'), username, message));
         }
 
         return null;
     }
 
     function isUIElement(text) {
-        const uiTexts = [
-            'Beğen', 'Like', 'Yanıtla', 'Reply', 'Paylaş', 'Share',
-            'Gizle', 'Hide', 'Bildir', 'Report', 'Sabitle', 'Pin',
-            'Yorum yap', 'Comment', 'Görüntüle', 'View',
-            'dk', 'sa', 'gün', 'sn', 'm', 'h', 'd', 's',
-            'CANLI', 'LIVE', 'izliyor', 'watching', 'izleyici', 'viewers'
-        ];
-        
-        const lower = text.toLowerCase();
-        return uiTexts.some(ui => lower === ui.toLowerCase() || /^\d+\s*(dk|sa|gün|sn)$/i.test(text));
-    }
-
-    function isValidFacebookComment(username, message) {
-        if (!username || !message) return false;
-        if (username.length === 0 || username.length > 50) return false;
-        if (message.length === 0 || message.length > 1000) return false;
-        if (username === message) return false;
-        if (isUIElement(username) || isUIElement(message)) return false;
-        if (username.includes('http') || username.includes('www.')) return false;
-        
-        return true;
+        return rules().isUIText(text) || /^\d+\s*(dk|sa|gün|sn)$/i.test(text);
     }
 
     /**
-     * Yorumları işle ve gönder
+     * Kullanıcı adı/mesaj çifti neden yorum sayılmadı; geçerliyse null
      */
-    function processComments(comments) {
-        let newCount = 0;
-
-        comments.forEach(({ username, text, source }) => {
-            const hash = createCommentHash(username, text);
-            
-            if (!SEEN_COMMENTS.has(hash)) {
-                SEEN_COMMENTS.add(hash);
-                newCount++;
-
-                const commentData = {
-                    id: `fb-${Date.now()}-${hash}`,
-                    username: username,
-                    text: text,
-                    timestamp: Date.now(),
-                    platform: 'facebook'
-                };
-
-                log(`✓ Yeni yorum [${source}]: ${username}: ${text.substring(0, 50)}${text.length > 50 ? '...' : ''}`);
-
-                if (sendMessage({ type: 'comment', data: commentData })) {
-                    log('  → Gönderildi');
-                } else {
-                    log('  → HATA: WebSocket bağlı değil');
-                }
-            }
-        });
+    function rejectReason(username, message) {
+        if (!username || !message) return 'empty';
+        if (username.length > 50) return 'username_too_long';
+        if (message.length > 1000) return 'text_too_long';
+        if (username === message) return 'same_text';
+        if (isUIElement(username) || isUIElement(message)) return 'ui_text';
+        if (username.includes('http') || username.includes('www.')) return 'username_url';
 
-        // Bellek temizliği
-        if (SEEN_COMMENTS.size > MAX_SEEN_CACHE) {
-            const arr = Array.from(SEEN_COMMENTS);
-            arr.splice(0, arr.length - MAX_SEEN_CACHE / 2);
-            SEEN_COMMENTS.clear();
-            arr.forEach(h => SEEN_COMMENTS.add(h));
-        }
-
-        return newCount;
+        return null;
     }
 
     /**
-     * Periyodik tarama başlat
+     * Adayı say; geçersizse nedeniyle reddet
      */
-    function startPeriodicScan() {
-        if (scanTimer) clearInterval(scanTimer);
-
-        log('Periyodik tarama başlatıldı (' + SCAN_INTERVAL + 'ms aralıkla)');
-
-        // İlk tarama
-        const comments = scanForComments();
-        log(`İlk tarama: ${comments.length} yorum bulundu`);
-        if (comments.length > 0) {
-            log('Bulunan yorumlar:', comments);
-        }
-        processComments(comments);
-
-        // Periyodik tarama
-        scanTimer = setInterval(() => {
-            const comments = scanForComments();
-            processComments(comments);
-        }, SCAN_INTERVAL);
+    function checkCandidate(source, username, message) {
+        diagnostics.found(source);
+        const reason = rejectReason(username, message);
+        return reason ? diagnostics.reject(source, reason) : true;
     }
 
-    function stopPeriodicScan() {
-        if (scanTimer) {
-            clearInterval(scanTimer);
-            scanTimer = null;
-        }
+    function rejectCandidate(source, reason) {
+        diagnostics.found(source);
+        return diagnostics.reject(source, reason);
     }
 
     /**
-     * MutationObserver - DOM değişikliklerini izle
+     * Facebook Live sayfası mı kontrol et: /<sayfa>/videos/<id>, /<sayfa>/live, /watch/live, /watch/?v=<id>
      */
-    function startObserver() {
-        if (observer) observer.disconnect();
-
-        // Facebook'ta yorum alanını bulmaya çalış
-        const commentContainer = 
-            document.querySelector('[class*="comment"]') ||
-            document.querySelector('[role="complementary"]') ||
-            document.querySelector('[role="main"]') || 
-            document.body;
-
-        log('Observer başlatılıyor:', commentContainer.tagName || 'body');
-
-        observer = new MutationObserver((mutations) => {
-            let hasNewNodes = false;
-            for (const mutation of mutations) {
-                if (mutation.addedNodes.length > 0) {
-                    hasNewNodes = true;
-                    break;
-                }
-            }
-
-            if (hasNewNodes) {
-                const comments = scanForComments();
-                processComments(comments);
-            }
-        });
-
-        observer.observe(commentContainer, {
-            childList: true,
-            subtree: true
-        });
-
-        log('MutationObserver aktif');
+    function isFacebookLivePage(url = window.location.href) {
+        const { pathname, searchParams } = new URL(url);
+        const segments = pathname.split('/').filter(Boolean).map(segment => segment.toLowerCase());
+        return segments.includes('videos') ||
+               segments.includes('live') ||
+               (segments[0] === 'watch' && searchParams.has('v'));
     }
 
     /**
-     * Facebook Live sayfası mı kontrol et
+     * İzleyen sayısı, tepki sayısı ve yayın süresi
      */
-    function isFacebookLivePage() {
-        const url = window.location.href;
-        return url.includes('/videos/') || 
-               url.includes('/watch/live') ||
-               url.includes('/watch/?v=') ||
-               url.includes('live') ||
-               document.querySelector('[data-testid="live_video"]') !== null;
+    function scanForStats(root) {
+        const { any } = rules();
+        const reactionsLabel = root.querySelector(any.reactions)?.getAttribute('aria-label');
+        const timeEl = root.querySelector(any.duration);
+
+        return {
+            viewers: UniCastBridge.findTextCount(root, WATCHING_PATTERN),
+            likes: UniCastBridge.findTextCount(root, REACTIONS_PATTERN) ?? UniCastBridge.parseCount(reactionsLabel),
+            duration: UniCastBridge.parseDuration(timeEl?.textContent)
+        };
     }
 
-    /**
-     * Başlatma
-     */
-    function init() {
-        log('=========================================');
-        log('UniCast Facebook Bridge v1.0');
-        log('Facebook sayfası tespit edildi');
-        log('URL:', window.location.href);
-        log('Live sayfa:', isFacebookLivePage() ? 'Evet' : 'Muhtemelen');
-        log('=========================================');
-
-        connectWebSocket();
-
-        setTimeout(() => {
-            startObserver();
-        }, 2000);
-
-        // SPA navigation izle (Facebook SPA kullanıyor)
-        let lastUrl = location.href;
-        new MutationObserver(() => {
-            const url = location.href;
-            if (url !== lastUrl) {
-                lastUrl = url;
-                log('Sayfa değişti:', url);
-                
-                if (isFacebookLivePage()) {
-                    setTimeout(() => {
-                        SEEN_COMMENTS.clear();
-                        startPeriodicScan();
-                    }, 2000);
-                }
-            }
-        }).observe(document, { subtree: true, childList: true });
-    }
+    UniCastBridge.registerAdapter({
+        platform: 'facebook',
+        name: 'Facebook',
+        version: '1.0',
+        idPrefix: 'fb',
+        debugHandle: '__unicastFacebook',
 
-    // Başlat
-    if (document.readyState === 'loading') {
-        document.addEventListener('DOMContentLoaded', init);
-    } else {
-        init();
-    }
+        matchesUrl: (url) => isFacebookLivePage(url),
+        streamId: extractStreamId,
 
-    // Debug için global erişim
-    window.__unicastFacebook = {
-        scan: () => {
-            const comments = scanForComments();
-            console.log('Bulunan yorumlar:', comments);
-            return comments;
+        get rowSelector() {
+            return rules().any.commentRow;
         },
-        send: sendMessage,
-        status: () => ({
-            connected: isConnected,
-            wsState: ws?.readyState,
-            seenCount: SEEN_COMMENTS.size,
-            isLive: isFacebookLivePage()
+        extract: scanForComments,
+        extractStats: scanForStats,
+        diagnostics: diagnostics,
+
+        findComposer: () => document.querySelector(rules().any.composer),
+        findMenuButton: (row) => row.querySelector(rules().any.menuButton),
+        menuItems: MENU_ITEMS,
+        confirmPattern: /^(Delete|Sil|Hide|Gizle|Block|Engelle|Confirm|Onayla)$/i,
+
+        connectInfo: () => ({
+            username: extractPageName()
         }),
-        forceSend: () => {
-            const comments = scanForComments();
-            comments.forEach(c => {
-                sendMessage({ type: 'comment', data: {
-                    id: `fb-${Date.now()}-${Math.random().toString(36).substr(2, 9)}`,
-                    username: c.username,
-                    text: c.text,
-                    timestamp: Date.now(),
-                    platform: 'facebook'
-                }});
-            });
-            return `${comments.length} yorum gönderildi`;
+
+        describe: (log) => {
+            log('Live sayfa:', isFacebookLivePage() ? 'Evet' : 'Muhtemelen');
         },
-        debug: (enable = true) => {
-            debugMode = enable;
-            return `Debug modu: ${enable ? 'Açık' : 'Kapalı'}`;
-        }
-    };
 
-    log('Debug: window.__unicastFacebook.scan() ile manuel tarama yapabilirsiniz');
+        debugStatus: () => ({
+            isLive: isFacebookLivePage()
+        })
+    });
 
 })();
@@ -1,391 +1,217 @@
 /**
  * UniCast Chat Bridge - Content Script
  * Instagram Live sayfasındaki yorumları izler ve UniCast'e gönderir
- * 
+ *
  * v3.0 - Instagram Live DOM yapısı: DIV > SPAN (username) + SPAN (message)
+ * Bağlantı ve tarama döngüsü bridge-core.js'te
  */
 
 (function() {
     'use strict';
 
-    const UNICAST_WS_PORT = 9876;
-    const RECONNECT_INTERVAL = 3000;
-    const SCAN_INTERVAL = 500; // Her 500ms yeni yorum tara
-    const SEEN_COMMENTS = new Set();
-    const MAX_SEEN_CACHE = 500;
-
-    let ws = null;
-    let isConnected = false;
-    let observer = null;
-    let scanTimer = null;
-    let reconnectTimer = null;
-    let debugMode = true;
-
-    function log(...args) {
-        if (debugMode) {
-            console.log('[UniCast Bridge]', ...args);
-        }
-    }
+    // Metin olarak gösterilen izleyici sayısı: "1.234 viewers", "1,2 B izleyici"
+    const VIEWER_TEXT_PATTERN = /^([\d.,]+\s*(?:[KMB]|bin|Mn)?)\s+(?:viewers?|watching|izleyici|kişi izliyor)$/i;
 
-    function logError(...args) {
-        console.error('[UniCast Bridge]', ...args);
-    }
+    // Yorum kutusunun formunda type="submit" yoksa gönder butonunun metni
+    const SUBMIT_TEXT_PATTERN = /^(Post|Paylaş|Gönder|Send)$/i;
+
+    // Yorum seçenekleri butonu dialog olarak açılır
+    const MENU_ITEMS = {
+        pinComment: /^(Pin comment|Yorumu sabitle)$/i,
+        hideComment: /^(Hide|Hide comment|Delete|Gizle|Yorumu gizle|Sil)$/i,
+        blockUser: /^(Block|Engelle)$/i
+    };
+
+    // Strateji başına bulunan/reddedilen sayaçları (getStatus ve popup'ta gösterilir)
+    const diagnostics = UniCastBridge.createDiagnostics();
 
     /**
-     * WebSocket bağlantısını başlat
+     * Etkin selector paketinin Instagram kuralları (selector-packs.js)
      */
-    function connectWebSocket() {
-        if (ws && ws.readyState === WebSocket.OPEN) {
-            return;
-        }
-
-        try {
-            log('WebSocket bağlantısı deneniyor...');
-            ws = new WebSocket(`ws://localhost:${UNICAST_WS_PORT}/instagram`);
-
-            ws.onopen = () => {
-                log('WebSocket bağlandı ✓');
-                isConnected = true;
-                clearTimeout(reconnectTimer);
-                
-                sendMessage({
-                    type: 'connected',
-                    platform: 'instagram',
-                    url: window.location.href,
-                    timestamp: Date.now()
-                });
-
-                try {
-                    chrome.runtime.sendMessage({ action: 'setConnected', connected: true });
-                } catch (e) {}
-
-                // Taramayı başlat
-                startPeriodicScan();
-            };
-
-            ws.onclose = () => {
-                log('WebSocket kapandı, yeniden bağlanılıyor...');
-                isConnected = false;
-                stopPeriodicScan();
-                try {
-                    chrome.runtime.sendMessage({ action: 'setConnected', connected: false });
-                } catch (e) {}
-                scheduleReconnect();
-            };
-
-            ws.onerror = (error) => {
-                logError('WebSocket hatası:', error);
-                isConnected = false;
-            };
-
-            ws.onmessage = (event) => {
-                try {
-                    const data = JSON.parse(event.data);
-                    handleServerMessage(data);
-                } catch (e) {
-                    logError('Mesaj parse hatası:', e);
-                }
-            };
+    function rules() {
+        return SelectorPacks.rules('instagram');
+    }
 
-        } catch (error) {
-            logError('WebSocket bağlantı hatası:', error);
-            scheduleReconnect();
-        }
+    function isUIText(text) {
+        return rules().isUIText(text);
     }
 
-    function scheduleReconnect() {
-        if (reconnectTimer) clearTimeout(reconnectTimer);
-        reconnectTimer = setTimeout(connectWebSocket, RECONNECT_INTERVAL);
+    /**
+     * Kullanıcı adı/mesaj çifti neden yorum sayılmadı; geçerliyse null
+     */
+    function rejectReason(username, message) {
+        if (!username || !message) return 'empty';
+        if (username.length >= 50) return 'username_too_long';
+        if (message.length >= 1000) return 'text_too_long';
+        if (username.includes('\n')) return 'username_newline';
+        if (username.includes(' ')) return 'username_space'; // Username'de boşluk olmaz
+        if (username === message) return 'same_text';
+        if (isUIText(username) || isUIText(message)) return 'ui_text'; // UI elementleri değil
+        return null;
     }
 
-    function sendMessage(data) {
-        if (ws && ws.readyState === WebSocket.OPEN) {
-            ws.send(JSON.stringify(data));
-            return true;
-        }
-        return false;
+    /**
+     * Adayı say; geçersizse nedeniyle reddet
+     */
+    function checkCandidate(source, username, message) {
+        diagnostics.found(source);
+        const reason = rejectReason(username, message);
+        return reason ? diagnostics.reject(source, reason) : true;
     }
 
-    function handleServerMessage(data) {
-        switch (data.type) {
-            case 'ping':
-                sendMessage({ type: 'pong' });
-                break;
-            case 'getStatus':
-                sendMessage({
-                    type: 'status',
-                    observing: observer !== null,
-                    commentCount: SEEN_COMMENTS.size,
-                    url: window.location.href
-                });
-                break;
-        }
+    /**
+     * Yayıncının kullanıcı adı: instagram.com/<kullanıcı>/live
+     */
+    function extractLiveHost() {
+        const match = window.location.pathname.match(/^\/([^/]+)\/live/);
+        return match ? decodeURIComponent(match[1]).toLowerCase() : null;
     }
 
     /**
-     * Benzersiz yorum hash'i oluştur
+     * Yorum satırından yazar bilgisi: profil resmi, profil adresi ve rozetler
+     * Instagram sayısal kullanıcı id'sini sayfada göstermez
      */
-    function createCommentHash(username, text) {
-        const str = `${username}:${text}`.toLowerCase().trim();
-        let hash = 0;
-        for (let i = 0; i < str.length; i++) {
-            const char = str.charCodeAt(i);
-            hash = ((hash << 5) - hash) + char;
-            hash = hash & hash;
+    function extractAuthor(row, username, text) {
+        const link = row.querySelector('a[href]') || row.closest('a[href]');
+        const profileUrl = UniCastBridge.toAbsoluteUrl(link?.getAttribute('href')) ||
+            `https://www.instagram.com/${encodeURIComponent(username)}/`;
+
+        const badges = UniCastBridge.detectBadges(row, rules().badges, [username, text]);
+        if (username.toLowerCase() === extractLiveHost()) {
+            badges.push('host');
         }
-        return hash.toString(36);
+
+        return {
+            element: row,
+            avatarUrl: UniCastBridge.findAvatarUrl(row),
+            profileUrl: profileUrl,
+            badges: badges
+        };
     }
 
     /**
      * Instagram Live yorumlarını tara
      * Yapı: DIV > SPAN (username) + SPAN (message)
      */
-    function scanForComments() {
+    function scanForComments(root) {
         const comments = [];
-        const foundPairs = new Set(); // Tekrar önleme
+        // Aynı satırı iki stratejiden almamak için (aynı metinli farklı satırlar ayrı kalır)
+        const foundRows = new Set();
+
+        function addComment(comment) {
+            const key = UniCastBridge.commentKey(comment);
+            if (foundRows.has(key)) {
+                diagnostics.dedupe(comment.source);
+                return;
+            }
+            foundRows.add(key);
+            comments.push(comment);
+        }
 
         // Ana strateji: 2 çocuk span'ı olan div'leri bul
-        document.querySelectorAll('div').forEach(div => {
+        UniCastBridge.queryAll(root, 'div').forEach(div => {
             // Sadece direkt çocuk span'ları al
             const childSpans = Array.from(div.children).filter(el => el.tagName === 'SPAN');
-            
+
             if (childSpans.length === 2) {
                 const username = childSpans[0]?.textContent?.trim();
-                const message = childSpans[1]?.textContent?.trim();
-                
-                // Geçerlilik kontrolleri
-                if (username && message &&
-                    username.length > 0 && username.length < 50 &&
-                    message.length > 0 && message.length < 1000 &&
-                    !username.includes('\n') &&
-                    !username.includes(' ') && // Username'de boşluk olmaz
-                    username !== message && // Username ve message farklı olmalı
-                    !/^(LIVE|Messages|Share|Like|Comment|Send|Follow)$/i.test(username) && // UI elementleri değil
-                    !/^(LIVE|Messages|Share|Like|Comment|Send|Follow)$/i.test(message)) {
-                    
-                    const pairKey = `${username}|${message}`;
-                    if (!foundPairs.has(pairKey)) {
-                        foundPairs.add(pairKey);
-                        comments.push({ 
-                            username: username.replace('@', ''), 
-                            text: message, 
-                            source: 'div-2span' 
-                        });
-                    }
+                const content = UniCastBridge.readMessage(childSpans[1]);
+                const message = content.text;
+
+                if (checkCandidate('div-2span', username, message)) {
+                    addComment(Object.assign({
+                        username: username.replace('@', ''),
+                        text: message,
+                        segments: content.segments,
+                        source: 'div-2span'
+                    }, extractAuthor(div, username.replace('@', ''), message)));
                 }
             }
         });
 
         // Yedek strateji: prevSibling username olan span'lar
-        document.querySelectorAll('span').forEach(span => {
-            const text = span.textContent?.trim();
+        UniCastBridge.queryAll(root, 'span').forEach(span => {
             const prevSibling = span.previousElementSibling;
-            
-            if (prevSibling?.tagName === 'SPAN' && text) {
-                const username = prevSibling.textContent?.trim();
-                
-                if (username && text &&
-                    username.length > 0 && username.length < 50 &&
-                    text.length > 0 && text.length < 1000 &&
-                    !username.includes(' ') &&
-                    username !== text &&
-                    !/^(LIVE|Messages|Share|Like|Comment|Send|Follow)$/i.test(username)) {
-                    
-                    const pairKey = `${username}|${text}`;
-                    if (!foundPairs.has(pairKey)) {
-                        foundPairs.add(pairKey);
-                        comments.push({ 
-                            username: username.replace('@', ''), 
-                            text: text, 
-                            source: 'sibling-span' 
-                        });
-                    }
-                }
-            }
-        });
+            if (prevSibling?.tagName !== 'SPAN') return;
 
-        return comments;
-    }
+            const content = UniCastBridge.readMessage(span);
+            const text = content.text;
+            const username = prevSibling.textContent?.trim();
 
-    /**
-     * Yorumları işle ve gönder
-     */
-    function processComments(comments) {
-        let newCount = 0;
-
-        comments.forEach(({ username, text, source }) => {
-            const hash = createCommentHash(username, text);
-            
-            if (!SEEN_COMMENTS.has(hash)) {
-                SEEN_COMMENTS.add(hash);
-                newCount++;
-
-                const commentData = {
-                    id: `ig-${Date.now()}-${hash}`,
-                    username: username,
+            if (checkCandidate('sibling-span', username, text)) {
+                addComment(Object.assign({
+                    username: username.replace('@', ''),
                     text: text,
-                    timestamp: Date.now(),
-                    platform: 'instagram'
-                };
-
-                log(`✓ Yeni yorum [${source}]: @${username}: ${text.substring(0, 50)}${text.length > 50 ? '...' : ''}`);
-
-                if (sendMessage({ type: 'comment', data: commentData })) {
-                    log('  → Gönderildi');
-                } else {
-                    log('  → HATA: WebSocket bağlı değil');
-                }
+                    segments: content.segments,
+                    source: 'sibling-span'
+                }, extractAuthor(span.parentElement, username.replace('@', ''), text)));
             }
         });
 
-        // Bellek temizliği
-        if (SEEN_COMMENTS.size > MAX_SEEN_CACHE) {
-            const arr = Array.from(SEEN_COMMENTS);
-            arr.splice(0, arr.length - MAX_SEEN_CACHE / 2);
-            SEEN_COMMENTS.clear();
-            arr.forEach(h => SEEN_COMMENTS.add(h));
-        }
-
-        return newCount;
+        return comments;
     }
 
     /**
-     * Periyodik tarama başlat
+     * Live izleyici sayacını oku
+     * Instagram sayacı göz ikonunun yanında sadece sayı olarak gösterir
      */
-    function startPeriodicScan() {
-        if (scanTimer) clearInterval(scanTimer);
-
-        log('Periyodik tarama başlatıldı (' + SCAN_INTERVAL + 'ms aralıkla)');
+    function scanForStats(root) {
+        const icon = root.querySelector(rules().any.viewerIcon);
 
-        // İlk tarama
-        const comments = scanForComments();
-        log(`İlk tarama: ${comments.length} yorum bulundu`);
-        if (comments.length > 0) {
-            log('Bulunan yorumlar:', comments);
+        let viewers = null;
+        // İkonun yanındaki sayıyı bulmak için birkaç üst seviyeye çık
+        for (let el = icon?.parentElement, depth = 0; el && depth < 3 && viewers === null; el = el.parentElement, depth++) {
+            viewers = UniCastBridge.parseCount(el.textContent);
         }
-        processComments(comments);
-
-        // Periyodik tarama
-        scanTimer = setInterval(() => {
-            const comments = scanForComments();
-            const newCount = processComments(comments);
-            // Sadece yeni yorum varsa log bas (spam önleme)
-        }, SCAN_INTERVAL);
-    }
 
-    function stopPeriodicScan() {
-        if (scanTimer) {
-            clearInterval(scanTimer);
-            scanTimer = null;
+        if (viewers === null) {
+            viewers = UniCastBridge.findTextCount(root, VIEWER_TEXT_PATTERN);
         }
-    }
-
-    /**
-     * MutationObserver - DOM değişikliklerini izle
-     */
-    function startObserver() {
-        if (observer) observer.disconnect();
-
-        // Live video alanını bul
-        const liveContainer = document.querySelector('[role="main"]') || 
-                             document.querySelector('section') || 
-                             document.body;
-
-        log('Observer başlatılıyor:', liveContainer.tagName);
-
-        observer = new MutationObserver((mutations) => {
-            let hasNewNodes = false;
-            for (const mutation of mutations) {
-                if (mutation.addedNodes.length > 0) {
-                    hasNewNodes = true;
-                    break;
-                }
-            }
-
-            if (hasNewNodes) {
-                // Yeni node eklendiğinde hemen tara
-                const comments = scanForComments();
-                processComments(comments);
-            }
-        });
-
-        observer.observe(liveContainer, {
-            childList: true,
-            subtree: true
-        });
 
-        log('MutationObserver aktif');
+        return { viewers: viewers };
     }
 
     /**
-     * Başlatma
+     * Yorum kutusunun formundaki gönder butonu
      */
-    function init() {
-        log('=========================================');
-        log('UniCast Bridge v3.0');
-        log('Instagram Live sayfası tespit edildi');
-        log('URL:', window.location.href);
-        log('=========================================');
-
-        connectWebSocket();
-
-        setTimeout(() => {
-            startObserver();
-        }, 1500);
-
-        // SPA navigation izle
-        let lastUrl = location.href;
-        new MutationObserver(() => {
-            const url = location.href;
-            if (url !== lastUrl) {
-                lastUrl = url;
-                log('Sayfa değişti:', url);
-                
-                if (url.includes('/live')) {
-                    setTimeout(() => {
-                        SEEN_COMMENTS.clear();
-                        startPeriodicScan();
-                    }, 2000);
-                }
-            }
-        }).observe(document, { subtree: true, childList: true });
-    }
+    function findSubmitButton() {
+        const form = document.querySelector(rules().any.composer)?.closest('form');
+        if (!form) return null;
 
-    // Başlat
-    if (document.readyState === 'loading') {
-        document.addEventListener('DOMContentLoaded', init);
-    } else {
-        init();
+        return form.querySelector('button[type="submit"]') ||
+            Array.from(form.querySelectorAll('[role="button"], button'))
+                .find(el => SUBMIT_TEXT_PATTERN.test(el.textContent.trim())) || null;
     }
 
-    // Debug için global erişim
-    window.__unicastBridge = {
-        scan: () => {
-            const comments = scanForComments();
-            console.log('Bulunan yorumlar:', comments);
-            return comments;
-        },
-        send: sendMessage,
-        status: () => ({
-            connected: isConnected,
-            wsState: ws?.readyState,
-            seenCount: SEEN_COMMENTS.size
+    UniCastBridge.registerAdapter({
+        platform: 'instagram',
+        name: 'Instagram',
+        version: '3.0',
+        idPrefix: 'ig',
+        debugHandle: '__unicastBridge',
+        startDelay: 1500,
+
+        matchesUrl: (url) => url.includes('/live'),
+        // Instagram'da her hesabın tek canlı yayını olur
+        streamId: extractLiveHost,
+
+        extract: scanForComments,
+        extractStats: scanForStats,
+        diagnostics: diagnostics,
+
+        // Yayıncının kullanıcı adını URL'den çıkar
+        connectInfo: () => ({
+            username: extractLiveHost() || undefined
         }),
-        forceSend: () => {
-            const comments = scanForComments();
-            comments.forEach(c => {
-                sendMessage({ type: 'comment', data: {
-                    id: `ig-${Date.now()}-${Math.random().toString(36).substr(2, 9)}`,
-                    username: c.username,
-                    text: c.text,
-                    timestamp: Date.now(),
-                    platform: 'instagram'
-                }});
-            });
-            return `${comments.length} yorum gönderildi`;
-        }
-    };
 
-    log('Debug: window.__unicastBridge.scan() ile manuel tarama yapabilirsiniz');
+        findComposer: () => document.querySelector(rules().any.composer),
+        findSubmitButton: findSubmitButton,
+        findMenuButton: (row) => {
+            const icon = row.querySelector(rules().any.menuIcon);
+            return icon ? icon.closest('[role="button"], button') || icon : null;
+        },
+        menuItems: MENU_ITEMS,
+        confirmPattern: /^(Delete|Sil|Block|Engelle)$/i
+    });
 
-})();
\ No newline at end of file
+})();
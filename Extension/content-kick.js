@@ -0,0 +1,337 @@
+/**
+ * UniCast Chat Bridge - Kick Content Script
+ * Kick kanal sayfasındaki sohbeti izler ve UniCast'e gönderir
+ *
+ * v1.0 - Yorumlar, rozetler, abonelikler ve hediye abonelikler
+ * Seçiciler, rozet desenleri ve UI metinleri selector paketinden okunur
+ * Bağlantı ve tarama döngüsü bridge-core.js'te
+ */
+
+(function() {
+    'use strict';
+
+    // Kanal adı olmayan ilk path parçaları
+    const NON_CHANNEL_PATHS = new Set([
+        'browse', 'categories', 'category', 'following', 'search', 'video', 'videos', 'clips',
+        'dashboard', 'settings', 'subscriptions', 'messages', 'signup', 'login', 'terms-of-service',
+        'privacy-policy', 'community-guidelines', 'dmca-policy', 'popout'
+    ]);
+
+    // Sohbetteki abonelik satırları; kullanıcı adlarında boşluk olmaz
+    const SUBSCRIPTION_PATTERNS = [
+        { gifted: true, pattern: /^(\S+) gifted (?:a|1) sub(?:scription)? to (\S+?)!?$/i },
+        { gifted: true, pattern: /^(\S+) gifted (\d+) (?:subs|subscriptions)(?: to the community)?!?$/i },
+        { gifted: true, pattern: /^(\S+) (\d+) abonelik hediye etti!?$/i },
+        { gifted: false, pattern: /^(\S+) (?:just )?(?:re)?subscribed(?: for (\d+) months?)?!?$/i },
+        { gifted: false, pattern: /^(\S+) (?:(\d+) aydır abone|abone oldu)!?$/i }
+    ];
+
+    // Satır başındaki saat: "21:05", "9:05 PM"
+    const TIMESTAMP_PREFIX = /^\d{1,2}:\d{2}(?:\s*[AP]M)?\s+/i;
+
+    // "1,234 watching", "1.2K viewers", "345 izleyici"
+    const VIEWER_TEXT_PATTERN = /^([\d.,]+\s*(?:[KMB]|bin|Mn)?)\s+(?:viewers?|watching|izleyici)$/i;
+
+    // Strateji başına bulunan/reddedilen sayaçları (getStatus ve popup'ta gösterilir)
+    const diagnostics = UniCastBridge.createDiagnostics();
+
+    // Gönderilen abonelik satırları (satırlar DOM'da kaldıkça tekrar taranır)
+    const reportedRows = new WeakSet();
+    let subscriptionCounter = 0;
+
+    /**
+     * Etkin selector paketinin Kick kuralları (selector-packs.js)
+     */
+    function rules() {
+        return SelectorPacks.rules('kick');
+    }
+
+    /**
+     * Kanal adı: kick.com/<kanal> veya açılır sohbet kick.com/popout/<kanal>/chat
+     */
+    function extractChannel(url = window.location.href) {
+        const segments = new URL(url).pathname.split('/').filter(Boolean);
+        if (segments[0] === 'popout') {
+            return segments[1] ? decodeURIComponent(segments[1]).toLowerCase() : null;
+        }
+        if (segments.length === 0 || NON_CHANNEL_PATHS.has(segments[0].toLowerCase())) {
+            return null;
+        }
+        return decodeURIComponent(segments[0]).toLowerCase();
+    }
+
+    /**
+     * Kullanıcı adı kanal adresiyle karşılaştırılırken alt çizgi tire olur
+     */
+    function toSlug(username) {
+        return username.toLowerCase().replace(/_/g, '-');
+    }
+
+    function cleanUsername(username) {
+        return (username || '').replace(/^@/, '').replace(/:$/, '').trim();
+    }
+
+    /**
+     * Değişen node'un genişletileceği satır: yorum satırı veya sohbet listesinin bir çocuğu
+     */
+    function rowSelector() {
+        const { any, selectors } = rules();
+        return [any.commentRow, ...selectors.chatList.map(selector => `${selector} > *`)].join(', ');
+    }
+
+    /**
+     * Kök içindeki sohbet satırları
+     * Liste çocuklarından sadece satır sarmalayıcısı olmayanlar eklenir (sanal listeler tek bir iç div kullanır)
+     */
+    function chatRows(root) {
+        const { any } = rules();
+        const rows = new Set(UniCastBridge.queryAll(root, any.commentRow));
+
+        const lists = UniCastBridge.queryAll(root, any.chatList);
+        if (root.parentElement?.matches(any.chatList)) {
+            lists.push({ children: [root] });
+        }
+        lists.forEach((list) => {
+            Array.from(list.children).forEach((child) => {
+                if (!child.matches(any.commentRow) && child.querySelector(any.commentRow)) return;
+                rows.add(child);
+            });
+        });
+
+        // İç içe eşleşmelerde sadece en dıştaki satır sayılır
+        return Array.from(rows)
+            .filter(row => !row.parentElement?.closest(any.commentRow))
+            .sort((a, b) => (a.compareDocumentPosition(b) & Node.DOCUMENT_POSITION_FOLLOWING ? -1 : 1));
+    }
+
+    function matchSubscription(text) {
+        const normalized = text.replace(/\s+/g, ' ').trim().replace(TIMESTAMP_PREFIX, '');
+        for (const { gifted, pattern } of SUBSCRIPTION_PATTERNS) {
+            const match = normalized.match(pattern);
+            // "alice: subscribed" bir yorumdur
+            if (match && !match[1].endsWith(':')) return { gifted, match };
+        }
+        return null;
+    }
+
+    /**
+     * Kullanıcı adı/mesaj çifti neden yorum sayılmadı; geçerliyse null
+     */
+    function rejectReason(username, message) {
+        if (!username || !message) return 'empty';
+        if (username.length > 50) return 'username_too_long';
+        if (message.length > 1000) return 'text_too_long';
+        if (/\s/.test(username)) return 'username_space';
+        if (username === message) return 'same_text';
+        if (rules().isUIText(username) || rules().isUIText(message)) return 'ui_text';
+
+        return null;
+    }
+
+    /**
+     * Adayı say; geçersizse nedeniyle reddet
+     */
+    function checkCandidate(source, username, message) {
+        diagnostics.found(source);
+        const reason = rejectReason(username, message);
+        return reason ? diagnostics.reject(source, reason) : true;
+    }
+
+    /**
+     * Rozetler sadece kullanıcı adının çevresinden okunur; mesajdaki emote'ların alt metni sayılmaz
+     */
+    function extractBadges(row, username, message) {
+        const badges = new Set();
+        UniCastBridge.queryAll(row, rules().any.badge).forEach((area) => {
+            UniCastBridge.detectBadges(area, rules().badges, [username, message]).forEach(badge => badges.add(badge));
+        });
+
+        // Yayıncının kendi yorumu
+        if (toSlug(username) === extractChannel()) {
+            badges.add('host');
+        }
+        return Array.from(badges);
+    }
+
+    /**
+     * Sohbet satırından yorum çıkar
+     * Yapı: [rozetler] kullanıcı adı ":" mesaj (emote'lar <img>)
+     */
+    function extractFromRow(row) {
+        const { selectors } = rules();
+
+        let usernameEl = null;
+        for (const sel of selectors.username) {
+            usernameEl = row.querySelector(sel);
+            if (usernameEl) break;
+        }
+        // Abonelik ve sistem satırlarında kullanıcı adı elementi olmaz
+        if (!usernameEl) return null;
+
+        const username = cleanUsername(usernameEl.getAttribute('data-chat-entry-user') || usernameEl.textContent);
+
+        // Kullanıcı adı elementi olan abonelik satırları yorum değil, olay olarak gönderilir
+        if (matchSubscription(row.textContent || '')) {
+            diagnostics.found('row-extract');
+            diagnostics.reject('row-extract', 'social_row');
+            return null;
+        }
+
+        let content = null;
+        for (const sel of selectors.message) {
+            const el = row.querySelector(sel);
+            if (el && el !== usernameEl && !el.contains(usernameEl)) {
+                content = UniCastBridge.readMessage(el);
+                if (content.text) break;
+            }
+        }
+
+        // Fallback: "kullanıcı: mesaj" düz metni
+        if (!content?.text) {
+            const fullText = row.textContent?.trim() || '';
+            const index = fullText.indexOf(username);
+            const rest = index >= 0 ? fullText.substring(index + username.length).trim() : '';
+            content = { text: rest.startsWith(':') ? rest.substring(1).trim() : '', segments: null };
+        }
+
+        if (!checkCandidate('row-extract', username, content.text)) return null;
+
+        const comment = {
+            username: username,
+            text: content.text,
+            segments: content.segments,
+            source: 'row-extract',
+            element: row,
+            badges: extractBadges(row, username, content.text)
+        };
+
+        const platformId = row.getAttribute('data-chat-entry') || row.querySelector('[data-chat-entry]')?.getAttribute('data-chat-entry');
+        if (platformId) comment.platformId = platformId;
+
+        const userId = usernameEl.getAttribute('data-chat-entry-user-id');
+        if (userId) comment.userId = userId;
+
+        return comment;
+    }
+
+    /**
+     * Kick sohbet yorumlarını tara
+     */
+    function scanForComments(root) {
+        const comments = [];
+        const foundRows = new Set();
+
+        chatRows(root).forEach((row) => {
+            const comment = extractFromRow(row);
+            if (!comment) return;
+
+            const key = UniCastBridge.commentKey(comment);
+            if (foundRows.has(key)) {
+                diagnostics.dedupe(comment.source);
+                return;
+            }
+            foundRows.add(key);
+            comments.push(comment);
+        });
+
+        return comments;
+    }
+
+    /**
+     * Abonelik satırını ayrıştır: { username, months?, giftCount?, recipient? } veya null
+     */
+    function parseSubscription(row) {
+        const found = matchSubscription(row.textContent || '');
+        if (!found) return null;
+
+        const { gifted, match } = found;
+        const data = { username: cleanUsername(match[1]) };
+        const number = match[2] && /^\d+$/.test(match[2]) ? parseInt(match[2], 10) : null;
+
+        if (gifted) {
+            // "X gifted a sub to Y" tek abonelik, alıcı belli
+            if (number === null && match[2]) {
+                data.giftCount = 1;
+                data.recipient = cleanUsername(match[2]);
+            } else {
+                data.giftCount = number || 1;
+            }
+        } else if (number) {
+            data.months = number;
+        }
+        return data;
+    }
+
+    /**
+     * Abonelik ve hediye abonelik satırlarını olay olarak döndür
+     * Aynı satır tekrar taranınca gönderilmez.
+     */
+    function collectSubscriptionEvents(root) {
+        const events = [];
+
+        chatRows(root).forEach((row) => {
+            if (reportedRows.has(row)) return;
+
+            const data = parseSubscription(row);
+            if (!data) return;
+
+            reportedRows.add(row);
+            events.push({
+                type: 'subscription',
+                key: `subscription-${++subscriptionCounter}`,
+                data: data,
+                source: 'subscription-row'
+            });
+        });
+
+        return events;
+    }
+
+    /**
+     * İzleyici sayısı (oynatıcının altındaki sayaç)
+     */
+    function scanForStats(root) {
+        const viewersEl = root.querySelector(rules().any.viewers);
+
+        return {
+            viewers: UniCastBridge.parseCount(viewersEl?.textContent) ?? UniCastBridge.findTextCount(root, VIEWER_TEXT_PATTERN)
+        };
+    }
+
+    UniCastBridge.registerAdapter({
+        platform: 'kick',
+        name: 'Kick',
+        version: '1.0',
+        idPrefix: 'kk',
+        debugHandle: '__unicastKick',
+
+        // Kick tek sayfa uygulaması; kanal sayfası dışındaki adreslerde bridge bekler
+        matchesUrl: (url) => extractChannel(url) !== null,
+        // Her kanalın tek canlı yayını olur
+        streamId: extractChannel,
+
+        extract: scanForComments,
+        diagnostics: diagnostics,
+        get rowSelector() {
+            return rowSelector();
+        },
+        extractEvents: collectSubscriptionEvents,
+        extractStats: scanForStats,
+
+        findComposer: () => document.querySelector(rules().any.composer),
+        findSubmitButton: () => document.querySelector(rules().any.submitButton),
+
+        connectInfo: () => ({
+            username: extractChannel() || undefined
+        }),
+
+        describe: (log) => {
+            log('Kanal:', extractChannel() || '-');
+        },
+
+        debugStatus: () => ({
+            channel: extractChannel()
+        })
+    });
+
+})();
@@ -3,97 +3,55 @@
  * TikTok Live sayfasındaki yorumları izler ve UniCast'e gönderir
  * 
  * v1.0 - TikTok Live DOM yapısı için optimize edilmiş
+ * Bağlantı ve tarama döngüsü bridge-core.js'te
  */
 
 (function() {
     'use strict';
 
-    const UNICAST_WS_PORT = 9876;
-    const RECONNECT_INTERVAL = 3000;
-    const SCAN_INTERVAL = 500;
-    const SEEN_COMMENTS = new Set();
-    const MAX_SEEN_CACHE = 500;
-
-    let ws = null;
-    let isConnected = false;
-    let observer = null;
-    let scanTimer = null;
-    let reconnectTimer = null;
-    let debugMode = true;
-
-    function log(...args) {
-        if (debugMode) {
-            console.log('[UniCast TikTok]', ...args);
-        }
-    }
+    // Combo sayacı bu kadar süre artmazsa seri bitmiş sayılır
+    const COMBO_IDLE_TIMEOUT = 3000;
 
-    function logError(...args) {
-        console.error('[UniCast TikTok]', ...args);
-    }
+    // Gift element'i → combo serisi { username, giftName, iconUrl, count, reported, changedAt }
+    const giftStreaks = new Map();
+    let giftEventCounter = 0;
 
-    /**
-     * WebSocket bağlantısını başlat
-     */
-    function connectWebSocket() {
-        if (ws && ws.readyState === WebSocket.OPEN) {
-            return;
-        }
+    // Değişen node'un genişletileceği satır: yorum, sistem satırı, gift veya sohbet listesinin bir çocuğu
+    // Paket değişince yeniden kurulur
+    let rowSelectorRules = null;
+    let rowSelector = '';
 
-        try {
-            log('WebSocket bağlantısı deneniyor...');
-            ws = new WebSocket(`ws://localhost:${UNICAST_WS_PORT}/tiktok`);
-
-            ws.onopen = () => {
-                log('WebSocket bağlandı ✓');
-                isConnected = true;
-                clearTimeout(reconnectTimer);
-                
-                // Kullanıcı adını URL'den çıkar
-                const username = extractUsername();
-                
-                sendMessage({
-                    type: 'connected',
-                    platform: 'tiktok',
-                    username: username,
-                    url: window.location.href,
-                    timestamp: Date.now()
-                });
+    // Sistem satırı türleri; metin desenleri selector paketinin patterns bölümünde
+    const SOCIAL_TYPES = ['member_join', 'follow', 'share', 'like'];
 
-                try {
-                    chrome.runtime.sendMessage({ action: 'setConnected', connected: true, platform: 'tiktok' });
-                } catch (e) {}
+    // Gönderilen sosyal olaylar "tür|kullanıcı" → son beğeni sayısı (diğer türlerde 0)
+    // TikTok satırları yeniden çizince element değişir, olay kullanıcı ve metinden tanınır
+    const MAX_SOCIAL_SEEN = 500;
 
-                startPeriodicScan();
-            };
+    // Strateji başına bulunan/reddedilen sayaçları (getStatus ve popup'ta gösterilir)
+    const diagnostics = UniCastBridge.createDiagnostics();
 
-            ws.onclose = () => {
-                log('WebSocket kapandı, yeniden bağlanılıyor...');
-                isConnected = false;
-                stopPeriodicScan();
-                try {
-                    chrome.runtime.sendMessage({ action: 'setConnected', connected: false, platform: 'tiktok' });
-                } catch (e) {}
-                scheduleReconnect();
-            };
-
-            ws.onerror = (error) => {
-                logError('WebSocket hatası:', error);
-                isConnected = false;
-            };
+    const socialSeen = new Map();
 
-            ws.onmessage = (event) => {
-                try {
-                    const data = JSON.parse(event.data);
-                    handleServerMessage(data);
-                } catch (e) {
-                    logError('Mesaj parse hatası:', e);
-                }
-            };
+    /**
+     * Etkin selector paketinin TikTok kuralları (selector-packs.js)
+     */
+    function rules() {
+        return SelectorPacks.rules('tiktok');
+    }
 
-        } catch (error) {
-            logError('WebSocket bağlantı hatası:', error);
-            scheduleReconnect();
+    function getRowSelector() {
+        const current = rules();
+        if (rowSelectorRules !== current) {
+            rowSelectorRules = current;
+            rowSelector = [
+                current.any.commentRow,
+                current.any.socialRow,
+                ...current.selectors.gift,
+                ...current.selectors.chatList.map(selector => `${selector} > *`)
+            ].join(', ');
         }
+        return rowSelector;
     }
 
     function extractUsername() {
@@ -101,80 +59,48 @@
         return match ? match[1] : 'unknown';
     }
 
-    function scheduleReconnect() {
-        if (reconnectTimer) clearTimeout(reconnectTimer);
-        reconnectTimer = setTimeout(connectWebSocket, RECONNECT_INTERVAL);
-    }
-
-    function sendMessage(data) {
-        if (ws && ws.readyState === WebSocket.OPEN) {
-            ws.send(JSON.stringify(data));
-            return true;
-        }
-        return false;
-    }
-
-    function handleServerMessage(data) {
-        switch (data.type) {
-            case 'ping':
-                sendMessage({ type: 'pong' });
-                break;
-            case 'getStatus':
-                sendMessage({
-                    type: 'status',
-                    platform: 'tiktok',
-                    observing: observer !== null,
-                    commentCount: SEEN_COMMENTS.size,
-                    url: window.location.href
-                });
-                break;
-        }
-    }
-
     /**
-     * Benzersiz yorum hash'i oluştur
+     * Yayının kimliği: TikTok'ta her yayıncının tek canlı yayını olur
      */
-    function createCommentHash(username, text) {
-        const str = `${username}:${text}`.toLowerCase().trim();
-        let hash = 0;
-        for (let i = 0; i < str.length; i++) {
-            const char = str.charCodeAt(i);
-            hash = ((hash << 5) - hash) + char;
-            hash = hash & hash;
-        }
-        return hash.toString(36);
+    function extractStreamId() {
+        const username = extractUsername();
+        return username !== 'unknown' ? decodeURIComponent(username).toLowerCase() : null;
     }
 
     /**
      * TikTok Live yorumlarını tara
      * TikTok DOM yapısı çeşitli class'lar kullanır
      */
-    function scanForComments() {
+    function scanForComments(root) {
         const comments = [];
-        const foundPairs = new Set();
+        // Aynı satırı birden fazla stratejiden almamak için (aynı metinli farklı satırlar ayrı kalır)
+        const foundRows = new Set();
+
+        function addComment(comment) {
+            const key = UniCastBridge.commentKey(comment);
+            if (foundRows.has(key)) {
+                diagnostics.dedupe(comment.source);
+                return;
+            }
+            foundRows.add(key);
+            comments.push(comment);
+        }
+
+        const { selectors, any } = rules();
 
         // Strateji 1: Comment container class'larını ara
-        const selectors = [
-            '[class*="DivCommentItemContainer"]',
-            '[class*="comment-item"]',
-            '[data-e2e="chat-message"]',
-            '[class*="ChatMessage"]',
-            '[class*="tiktok-"][class*="comment"]'
-        ];
-
-        for (const selector of selectors) {
-            document.querySelectorAll(selector).forEach(item => {
-                const result = extractFromCommentItem(item);
-                if (result && !foundPairs.has(result.pairKey)) {
-                    foundPairs.add(result.pairKey);
-                    comments.push(result.comment);
-                }
+        for (const selector of selectors.commentItem) {
+            UniCastBridge.queryAll(root, selector).forEach(item => {
+                if (item.closest(any.socialRow)) return;
+                const comment = extractFromCommentItem(item);
+                if (comment) addComment(comment);
             });
         }
 
         // Strateji 2: Genel div taraması - username:message yapısı
         if (comments.length === 0) {
-            document.querySelectorAll('div').forEach(div => {
+            UniCastBridge.queryAll(root, 'div').forEach(div => {
+                if (div.closest(any.socialRow)) return;
                 // Username span ve message span ara
                 const spans = div.querySelectorAll('span');
                 if (spans.length >= 2) {
@@ -183,18 +109,16 @@
                         const messageSpan = spans[i + 1];
                         
                         const username = usernameSpan?.textContent?.trim();
-                        const message = messageSpan?.textContent?.trim();
+                        const content = UniCastBridge.readMessage(messageSpan);
+                        const message = content.text;
                         
-                        if (isValidComment(username, message)) {
-                            const pairKey = `${username}|${message}`;
-                            if (!foundPairs.has(pairKey)) {
-                                foundPairs.add(pairKey);
-                                comments.push({
-                                    username: cleanUsername(username),
-                                    text: message,
-                                    source: 'span-pair'
-                                });
-                            }
+                        if (checkCandidate('span-pair', username, message)) {
+                            addComment(Object.assign({
+                                username: cleanUsername(username),
+                                text: message,
+                                segments: content.segments,
+                                source: 'span-pair'
+                            }, extractAuthor(pairRow(usernameSpan, messageSpan), username, message)));
                         }
                     }
                 }
@@ -202,48 +126,42 @@
         }
 
         // Strateji 3: Chat list container
-        const chatLists = document.querySelectorAll('[class*="ChatList"], [class*="chat-list"], [data-e2e="chat-list"]');
-        chatLists.forEach(list => {
-            const items = list.children;
-            for (const item of items) {
-                const result = extractFromCommentItem(item);
-                if (result && !foundPairs.has(result.pairKey)) {
-                    foundPairs.add(result.pairKey);
-                    comments.push(result.comment);
-                }
-            }
+        chatListItems(root).forEach(item => {
+            if (item.closest(any.socialRow)) return;
+            const comment = extractFromCommentItem(item);
+            if (comment) addComment(comment);
         });
 
         return comments;
     }
 
+    /**
+     * Kök içindeki sohbet listesi satırları; kök listenin bir satırıysa kendisi
+     */
+    function chatListItems(root) {
+        const chatList = rules().any.chatList;
+        const items = [];
+        if (root.parentElement?.matches(chatList)) {
+            items.push(root);
+        }
+        UniCastBridge.queryAll(root, chatList).forEach(list => {
+            items.push(...list.children);
+        });
+        return items;
+    }
+
     /**
      * Comment item'dan username ve message çıkar
      */
     function extractFromCommentItem(item) {
-        // Username selectors
-        const usernameSelectors = [
-            '[class*="SpanUserNameText"]',
-            '[class*="user-name"]',
-            '[class*="username"]',
-            '[data-e2e="comment-username"]',
-            'span[class*="Name"]'
-        ];
-
-        // Message selectors
-        const messageSelectors = [
-            '[class*="SpanCommentText"]',
-            '[class*="comment-text"]',
-            '[class*="message-text"]',
-            '[data-e2e="comment-text"]',
-            '[class*="CommentText"]'
-        ];
+        const { selectors } = rules();
 
         let username = null;
         let message = null;
+        let segments = null;
 
         // Username bul
-        for (const sel of usernameSelectors) {
+        for (const sel of selectors.username) {
             const el = item.querySelector(sel);
             if (el) {
                 username = el.textContent?.trim();
@@ -252,10 +170,13 @@
         }
 
         // Message bul
-        for (const sel of messageSelectors) {
+        for (const sel of selectors.message) {
             const el = item.querySelector(sel);
             if (el) {
-                message = el.textContent?.trim();
+                // TikTok emote'ları <img> olarak gelir, segmentlerde korunur
+                const content = UniCastBridge.readMessage(el);
+                message = content.text;
+                segments = content.segments;
                 break;
             }
         }
@@ -272,177 +193,209 @@
             }
         }
 
-        if (isValidComment(username, message)) {
-            return {
-                pairKey: `${username}|${message}`,
-                comment: {
-                    username: cleanUsername(username),
-                    text: message,
-                    source: 'item-extract'
-                }
-            };
+        if (checkCandidate('item-extract', username, message)) {
+            return Object.assign({
+                username: cleanUsername(username),
+                text: message,
+                segments: segments,
+                source: 'item-extract'
+            }, extractAuthor(item, username, message));
         }
 
         return null;
     }
 
-    function cleanUsername(username) {
-        if (!username) return 'unknown';
-        return username.replace(/^@/, '').replace(/:$/, '').trim();
+    /**
+     * Span çiftini kapsayan en yakın element (genel div taramasında dış container'lar da eşleşir)
+     */
+    function pairRow(usernameSpan, messageSpan) {
+        let row = usernameSpan.parentElement;
+        while (row && !row.contains(messageSpan)) {
+            row = row.parentElement;
+        }
+        return row;
     }
 
-    function isValidComment(username, message) {
-        if (!username || !message) return false;
-        if (username.length === 0 || username.length > 50) return false;
-        if (message.length === 0 || message.length > 1000) return false;
-        if (username.includes('\n')) return false;
-        if (username === message) return false;
-        
-        // TikTok UI elementlerini filtrele
-        const uiTexts = [
-            'LIVE', 'Follow', 'Share', 'Gift', 'Like', 'Comment',
-            'Send', 'Rose', 'viewers', 'watching', 'joined',
-            'Top', 'Gifts', 'Chat', 'Settings'
-        ];
-        
-        for (const ui of uiTexts) {
-            if (username.toLowerCase() === ui.toLowerCase()) return false;
+    /**
+     * Yorum satırından yazar bilgisi ve rozetler
+     * Profil linki /@kullanici_adi biçimindedir; görünen ad değişse de bu kullanıcı adı kalıcıdır
+     */
+    function extractAuthor(item, username, message) {
+        if (!item) return {};
+
+        const author = {
+            element: item,
+            avatarUrl: UniCastBridge.findAvatarUrl(item, 1),
+            badges: UniCastBridge.detectBadges(item, rules().badges, [username, message])
+        };
+
+        const href = item.querySelector('a[href*="/@"]')?.getAttribute('href');
+        const match = href && href.match(/\/@([^/?#]+)/);
+        if (match) {
+            const uniqueId = decodeURIComponent(match[1]);
+            author.userId = uniqueId;
+            author.profileUrl = `https://www.tiktok.com/@${encodeURIComponent(uniqueId)}`;
         }
-        
-        return true;
+
+        // Yayıncının kendi yorumu
+        const host = extractUsername().toLowerCase();
+        if ((author.userId || cleanUsername(username)).toLowerCase() === host) {
+            author.badges.push('host');
+        }
+        return author;
+    }
+
+    function cleanUsername(username) {
+        if (!username) return 'unknown';
+        return username.replace(/^@/, '').replace(/:$/, '').trim();
     }
 
     /**
-     * Yorumları işle ve gönder
+     * Kullanıcı adı/mesaj çifti neden yorum sayılmadı; geçerliyse null
      */
-    function processComments(comments) {
-        let newCount = 0;
-
-        comments.forEach(({ username, text, source }) => {
-            const hash = createCommentHash(username, text);
-            
-            if (!SEEN_COMMENTS.has(hash)) {
-                SEEN_COMMENTS.add(hash);
-                newCount++;
-
-                const commentData = {
-                    id: `tt-${Date.now()}-${hash}`,
-                    username: username,
-                    text: text,
-                    timestamp: Date.now(),
-                    platform: 'tiktok'
-                };
-
-                log(`✓ Yeni yorum [${source}]: @${username}: ${text.substring(0, 50)}${text.length > 50 ? '...' : ''}`);
-
-                if (sendMessage({ type: 'comment', data: commentData })) {
-                    log('  → Gönderildi');
-                } else {
-                    log('  → HATA: WebSocket bağlı değil');
-                }
-            }
-        });
+    function rejectReason(username, message) {
+        if (!username || !message) return 'empty';
+        if (username.length > 50) return 'username_too_long';
+        if (message.length > 1000) return 'text_too_long';
+        if (username.includes('\n')) return 'username_newline';
+        if (username === message) return 'same_text';
 
-        // Bellek temizliği
-        if (SEEN_COMMENTS.size > MAX_SEEN_CACHE) {
-            const arr = Array.from(SEEN_COMMENTS);
-            arr.splice(0, arr.length - MAX_SEEN_CACHE / 2);
-            SEEN_COMMENTS.clear();
-            arr.forEach(h => SEEN_COMMENTS.add(h));
-        }
+        // TikTok UI elementlerini filtrele
+        if (rules().isUIText(username)) return 'ui_text';
 
-        return newCount;
+        // Sistem satırları yorum değil, sosyal olay olarak gönderilir
+        if (matchSocialText(message)) return 'social_row';
+
+        return null;
     }
 
     /**
-     * Periyodik tarama başlat
+     * Adayı say; geçersizse nedeniyle reddet
      */
-    function startPeriodicScan() {
-        if (scanTimer) clearInterval(scanTimer);
+    function checkCandidate(source, username, message) {
+        diagnostics.found(source);
+        const reason = rejectReason(username, message);
+        return reason ? diagnostics.reject(source, reason) : true;
+    }
 
-        log('Periyodik tarama başlatıldı (' + SCAN_INTERVAL + 'ms aralıkla)');
+    function matchSocialText(text) {
+        const normalized = text.replace(/\s+/g, ' ').trim();
+        const { patterns } = rules();
+        const type = SOCIAL_TYPES.find(name => patterns[name]?.test(normalized));
+        return type ? { type } : null;
+    }
 
-        // İlk tarama
-        const comments = scanForComments();
-        log(`İlk tarama: ${comments.length} yorum bulundu`);
-        if (comments.length > 0) {
-            log('Bulunan yorumlar:', comments);
+    /**
+     * Sistem satırını ayrıştır: { type, username, count } veya null
+     */
+    function parseSocialRow(row) {
+        const { any } = rules();
+        const userEl = row.querySelector(any.socialUsername) || row.querySelector('span');
+        const username = userEl?.textContent?.trim();
+        const fullText = row.textContent?.trim();
+        if (!username || !fullText || !fullText.startsWith(username)) return null;
+
+        let rest = fullText.substring(username.length).trim();
+        if (rest.startsWith(':')) {
+            rest = rest.substring(1).trim();
         }
-        processComments(comments);
 
-        // Periyodik tarama
-        scanTimer = setInterval(() => {
-            const comments = scanForComments();
-            processComments(comments);
-        }, SCAN_INTERVAL);
-    }
+        const match = matchSocialText(rest);
+        if (!match) return null;
 
-    function stopPeriodicScan() {
-        if (scanTimer) {
-            clearInterval(scanTimer);
-            scanTimer = null;
+        const social = { type: match.type, username: cleanUsername(username) };
+        if (match.type === 'like') {
+            // "sent likes x15" veya ayrı sayaç element'i
+            const countMatch = rest.match(/[x×]\s*(\d+)/i) ||
+                row.querySelector(any.socialCount)?.textContent?.match(/(\d+)/);
+            social.count = countMatch ? parseInt(countMatch[1], 10) : 1;
         }
+        return social;
     }
 
     /**
-     * MutationObserver - DOM değişikliklerini izle
+     * Katılma, takip, beğeni ve paylaşım satırlarını olay olarak döndür
+     * Aynı kullanıcının aynı olayı (satır yeniden çizilse de) tekrar gönderilmez;
+     * beğeni sayacı artarsa sadece fark gönderilir.
      */
-    function startObserver() {
-        if (observer) observer.disconnect();
-
-        const liveContainer = document.querySelector('[class*="ChatList"]') ||
-                             document.querySelector('[data-e2e="chat-list"]') ||
-                             document.querySelector('[role="main"]') || 
-                             document.body;
-
-        log('Observer başlatılıyor:', liveContainer.tagName || 'body');
-
-        observer = new MutationObserver((mutations) => {
-            let hasNewNodes = false;
-            for (const mutation of mutations) {
-                if (mutation.addedNodes.length > 0) {
-                    hasNewNodes = true;
-                    break;
-                }
+    function collectSocialEvents(root) {
+        const events = [];
+        const socialRow = rules().any.socialRow;
+        const rows = new Set(UniCastBridge.queryAll(root, socialRow));
+
+        // Sınıfı bilinmeyen satırlar sohbet listesinin doğrudan çocukları olarak gelir
+        chatListItems(root).forEach(item => rows.add(item));
+
+        // Satırlar sohbetteki sırayla gönderilsin
+        const ordered = Array.from(rows).sort((a, b) =>
+            a.compareDocumentPosition(b) & Node.DOCUMENT_POSITION_FOLLOWING ? -1 : 1);
+
+        ordered.forEach(row => {
+            // İç içe eşleşmelerde sadece en dıştaki satır sayılır
+            if (row.parentElement?.closest(socialRow)) return;
+
+            const social = parseSocialRow(row);
+            if (!social) return;
+
+            const seenKey = `${social.type}|${social.username}`;
+            const previous = socialSeen.get(seenKey);
+            const count = social.type === 'like' ? social.count : 0;
+            if (previous !== undefined && count === previous) return;
+
+            socialSeen.delete(seenKey);
+            socialSeen.set(seenKey, count);
+            if (socialSeen.size > MAX_SOCIAL_SEEN) {
+                socialSeen.delete(socialSeen.keys().next().value);
             }
 
-            if (hasNewNodes) {
-                const comments = scanForComments();
-                processComments(comments);
+            const data = { username: social.username };
+            if (social.type === 'like') {
+                // Sayaç küçüldüyse yeni bir beğeni serisi başlamıştır
+                data.count = previous !== undefined && count > previous ? count - previous : count;
             }
-        });
 
-        observer.observe(liveContainer, {
-            childList: true,
-            subtree: true
+            events.push({
+                type: social.type,
+                key: `social|${seenKey}|${count}`,
+                data: data,
+                source: 'social-row'
+            });
         });
 
-        log('MutationObserver aktif');
+        return events;
     }
 
     /**
      * Gift mesajlarını tara
      */
-    function scanForGifts() {
+    function scanForGifts(root = document) {
         const gifts = [];
-        
-        const giftSelectors = [
-            '[class*="GiftCombo"]',
-            '[class*="gift-combo"]',
-            '[data-e2e="gift-message"]'
-        ];
-
-        for (const selector of giftSelectors) {
-            document.querySelectorAll(selector).forEach(item => {
-                const userEl = item.querySelector('[class*="username"], [class*="user-name"]');
-                const giftEl = item.querySelector('[class*="gift-name"], [class*="GiftName"]');
-                const countEl = item.querySelector('[class*="combo-count"], [class*="count"]');
+        const foundItems = new Set();
+
+        const { selectors, any } = rules();
+
+        for (const selector of selectors.gift) {
+            UniCastBridge.queryAll(root, selector).forEach(item => {
+                // İç içe eşleşen selector'lar aynı gift'i iki kez saymasın
+                if (foundItems.has(item)) return;
+
+                const userEl = item.querySelector(any.giftUsername);
+                const giftEl = item.querySelector(any.giftName);
+                const countEl = item.querySelector(any.giftCount);
+                // Satırda gönderenin avatarı da olabilir; önce gift'e benzeyen resim aranır
+                const iconEl = item.querySelector(any.giftIcon) || item.querySelector('img');
 
                 if (userEl && giftEl) {
+                    foundItems.add(item);
+                    // "x12" / "×12" gibi sayaçlardan sayıyı al
+                    const countMatch = countEl?.textContent?.match(/\d+/);
+
                     gifts.push({
+                        element: item,
                         username: cleanUsername(userEl.textContent),
                         giftName: giftEl.textContent?.trim() || 'Gift',
-                        count: parseInt(countEl?.textContent) || 1
+                        count: countMatch ? parseInt(countMatch[0], 10) : 1,
+                        iconUrl: iconEl?.src || null
                     });
                 }
             });
@@ -452,81 +405,159 @@
     }
 
     /**
-     * Başlatma
+     * Combo serilerini takip et, biten serileri tek bir gift olayı olarak döndür
+     * TikTok aynı element'te sayacı artırır (x1, x2, ...); her repaint'te değil,
+     * sayaç durduğunda veya element kaldırıldığında son sayı gönderilir.
      */
-    function init() {
-        log('=========================================');
-        log('UniCast TikTok Bridge v1.0');
-        log('TikTok Live sayfası tespit edildi');
-        log('URL:', window.location.href);
-        log('Yayıncı:', extractUsername());
-        log('=========================================');
-
-        connectWebSocket();
-
-        setTimeout(() => {
-            startObserver();
-        }, 2000);
-
-        // SPA navigation izle
-        let lastUrl = location.href;
-        new MutationObserver(() => {
-            const url = location.href;
-            if (url !== lastUrl) {
-                lastUrl = url;
-                log('Sayfa değişti:', url);
-                
-                if (url.includes('/live')) {
-                    setTimeout(() => {
-                        SEEN_COMMENTS.clear();
-                        startPeriodicScan();
-                    }, 2000);
-                }
+    function collectGiftEvents(root) {
+        const now = Date.now();
+        const events = [];
+
+        scanForGifts(root).forEach(gift => {
+            let streak = giftStreaks.get(gift.element);
+
+            // Element başka bir gift için yeniden kullanıldıysa eski seriyi kapat
+            if (streak && (streak.username !== gift.username || streak.giftName !== gift.giftName)) {
+                finishStreak(streak, events);
+                streak = null;
+            }
+
+            if (!streak) {
+                giftStreaks.set(gift.element, {
+                    username: gift.username,
+                    giftName: gift.giftName,
+                    iconUrl: gift.iconUrl,
+                    count: gift.count,
+                    reported: 0,
+                    changedAt: now
+                });
+            } else if (gift.count !== streak.count) {
+                streak.count = gift.count;
+                streak.iconUrl = gift.iconUrl || streak.iconUrl;
+                streak.changedAt = now;
+            }
+        });
+
+        return events.concat(flushGiftStreaks(now));
+    }
+
+    /**
+     * Sayacı duran veya sayfadan kalkan serileri bitir
+     * Artımlı taramada gift satırı değişmeyebilir; bridge her turda çağırır
+     */
+    function flushGiftStreaks(now = Date.now()) {
+        const events = [];
+
+        giftStreaks.forEach((streak, element) => {
+            const removed = !element.isConnected;
+            if (removed || now - streak.changedAt >= COMBO_IDLE_TIMEOUT) {
+                finishStreak(streak, events);
             }
-        }).observe(document, { subtree: true, childList: true });
+            if (removed) {
+                giftStreaks.delete(element);
+            }
+        });
+
+        return events;
     }
 
-    // Başlat
-    if (document.readyState === 'loading') {
-        document.addEventListener('DOMContentLoaded', init);
-    } else {
-        init();
+    function finishStreak(streak, events) {
+        // Bekleme sonrası devam eden seride sadece yeni gönderilenler sayılır
+        const count = streak.count - streak.reported;
+        if (count <= 0) return;
+
+        streak.reported = streak.count;
+
+        const data = {
+            username: streak.username,
+            giftName: streak.giftName,
+            count: count
+        };
+        if (streak.iconUrl) {
+            data.iconUrl = streak.iconUrl;
+        }
+
+        events.push({
+            type: 'gift',
+            key: `gift-${++giftEventCounter}`,
+            data: data,
+            source: 'gift-combo'
+        });
     }
 
-    // Debug için global erişim
-    window.__unicastTikTok = {
-        scan: () => {
-            const comments = scanForComments();
-            console.log('Bulunan yorumlar:', comments);
-            return comments;
+    /**
+     * İzleyici rozeti, beğeni toplamı ve yayın süresi
+     */
+    function scanForStats(root) {
+        const { any } = rules();
+        const viewersEl = root.querySelector(any.viewers);
+        const likesEl = root.querySelector(any.likes);
+        const durationEl = root.querySelector(any.duration);
+
+        return {
+            viewers: UniCastBridge.parseCount(viewersEl?.textContent),
+            likes: UniCastBridge.parseCount(likesEl?.textContent),
+            duration: UniCastBridge.parseDuration(durationEl?.textContent)
+        };
+    }
+
+    UniCastBridge.registerAdapter({
+        platform: 'tiktok',
+        name: 'TikTok',
+        version: '1.8',
+        idPrefix: 'tt',
+        debugHandle: '__unicastTikTok',
+
+        matchesUrl: (url) => url.includes('/live'),
+        streamId: extractStreamId,
+
+        extract: scanForComments,
+        diagnostics: diagnostics,
+        get rowSelector() {
+            return getRowSelector();
+        },
+        extractEvents: (root) => collectGiftEvents(root).concat(collectSocialEvents(root)),
+        flushEvents: () => flushGiftStreaks(),
+        extractStats: scanForStats,
+
+        findComposer: () => document.querySelector(rules().any.composer),
+        findSubmitButton: () => document.querySelector(rules().any.submitButton),
+        findMenuButton: (row) => row.querySelector(rules().any.menuButton),
+        get menuItems() {
+            const { patterns } = rules();
+            return {
+                pinComment: patterns.pinComment,
+                hideComment: patterns.hideComment,
+                blockUser: patterns.blockUser
+            };
         },
-        gifts: () => {
-            const gifts = scanForGifts();
-            console.log('Bulunan gift\'ler:', gifts);
-            return gifts;
+        get menuItemSelector() {
+            return rules().any.menuItem;
         },
-        send: sendMessage,
-        status: () => ({
-            connected: isConnected,
-            wsState: ws?.readyState,
-            seenCount: SEEN_COMMENTS.size,
+        get confirmPattern() {
+            return rules().patterns.confirm;
+        },
+
+        // Kullanıcı adını URL'den çıkar
+        connectInfo: () => ({
             username: extractUsername()
         }),
-        forceSend: () => {
-            const comments = scanForComments();
-            comments.forEach(c => {
-                sendMessage({ type: 'comment', data: {
-                    id: `tt-${Date.now()}-${Math.random().toString(36).substr(2, 9)}`,
-                    username: c.username,
-                    text: c.text,
-                    timestamp: Date.now(),
-                    platform: 'tiktok'
-                }});
-            });
-            return `${comments.length} yorum gönderildi`;
-        }
-    };
 
-    log('Debug: window.__unicastTikTok.scan() ile manuel tarama yapabilirsiniz');
+        describe: (log) => {
+            log('Yayıncı:', extractUsername());
+        },
+
+        debugStatus: () => ({
+            username: extractUsername()
+        }),
+
+        debugExtras: {
+            gifts: () => {
+                const gifts = scanForGifts().map(({ element, ...gift }) => gift);
+                console.log('Bulunan gift\'ler:', gifts);
+                return gifts;
+            }
+        }
+    });
 
 })();
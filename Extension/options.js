@@ -0,0 +1,69 @@
+/**
+ * UniCast Chat Bridge - Options Script
+ */
+
+const NUMBER_FIELDS = ['port', 'reconnectInterval', 'scanInterval', 'maxSeenCache'];
+
+document.addEventListener('DOMContentLoaded', async () => {
+    const form = document.getElementById('settingsForm');
+    const resetButton = document.getElementById('resetButton');
+    const savedText = document.getElementById('savedText');
+    const platformInputs = Array.from(document.querySelectorAll('[data-platform]'));
+
+    let savedTimer = null;
+
+    // Sayısal alanlara geçerli aralıkları uygula
+    NUMBER_FIELDS.forEach((name) => {
+        const [min, max] = UniCastSettings.LIMITS[name];
+        form.elements[name].min = min;
+        form.elements[name].max = max;
+    });
+
+    function fill(settings) {
+        form.elements.host.value = settings.host;
+        NUMBER_FIELDS.forEach((name) => {
+            form.elements[name].value = settings[name];
+        });
+        form.elements.debug.checked = settings.debug;
+        platformInputs.forEach((input) => {
+            input.checked = UniCastSettings.isPlatformEnabled(settings, input.dataset.platform);
+        });
+    }
+
+    function read() {
+        const values = {
+            host: form.elements.host.value,
+            debug: form.elements.debug.checked,
+            platforms: {}
+        };
+        NUMBER_FIELDS.forEach((name) => {
+            values[name] = form.elements[name].value;
+        });
+        platformInputs.forEach((input) => {
+            values.platforms[input.dataset.platform] = input.checked;
+        });
+        return values;
+    }
+
+    function showSaved(text) {
+        savedText.textContent = text;
+        clearTimeout(savedTimer);
+        savedTimer = setTimeout(() => {
+            savedText.textContent = '';
+        }, 2000);
+    }
+
+    form.addEventListener('submit', async (event) => {
+        event.preventDefault();
+        // Geçersiz değerler düzeltilmiş haliyle geri yazılır
+        fill(await UniCastSettings.save(read()));
+        showSaved('Kaydedildi ✓');
+    });
+
+    resetButton.addEventListener('click', async () => {
+        fill(await UniCastSettings.reset());
+        showSaved('Varsayılanlar yüklendi');
+    });
+
+    fill(await UniCastSettings.load());
+});
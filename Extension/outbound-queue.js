@@ -0,0 +1,106 @@
+/**
+ * UniCast Chat Bridge - Kalıcı Giden Kuyruk
+ * UniCast kapalıyken veya yeniden bağlanırken gelen olayları sırasıyla
+ * chrome.storage.local'da tutar, bağlantı gelince aynı sırayla gönderir.
+ * Service worker yeniden başlasa da kuyruk kaybolmaz.
+ */
+
+const OutboundQueue = (function() {
+    'use strict';
+
+    const STORAGE_KEY = 'outboundQueue';
+    const MAX_SIZE = 1000;               // En fazla bekleyen mesaj
+    const TTL = 10 * 60 * 1000;          // 10 dakikadan eski mesajlar atılır
+    const PERSIST_DELAY = 250;           // Storage yazımlarını birleştir
+
+    let items = [];
+    let seq = 0;
+    let loadPromise = null;
+    let loaded = false;
+    let persistTimer = null;
+    let droppedCount = 0;
+
+    /**
+     * Kayıtlı kuyruğu storage'dan yükle (bir kez)
+     */
+    function load() {
+        if (!loadPromise) {
+            loadPromise = chrome.storage.local.get(STORAGE_KEY).then((result) => {
+                const stored = result[STORAGE_KEY] || {};
+                // Yükleme sırasında eklenenler kayıtlıların arkasına gelir
+                items = (stored.items || []).concat(items);
+                seq = Math.max(seq, stored.seq || 0);
+                prune();
+            }).catch((e) => {
+                console.error('[UniCast Queue] Kuyruk yüklenemedi:', e);
+            }).then(() => {
+                loaded = true;
+            });
+        }
+        return loadPromise;
+    }
+
+    /**
+     * Süresi dolan ve kapasiteyi aşan en eski mesajları at
+     */
+    function prune() {
+        const cutoff = Date.now() - TTL;
+        const before = items.length;
+
+        items = items.filter(item => item.queuedAt >= cutoff);
+        if (items.length > MAX_SIZE) {
+            items.splice(0, items.length - MAX_SIZE);
+        }
+
+        droppedCount += before - items.length;
+    }
+
+    function schedulePersist() {
+        if (persistTimer) return;
+        persistTimer = setTimeout(() => {
+            persistTimer = null;
+            chrome.storage.local.set({ [STORAGE_KEY]: { seq: seq, items: items } }).catch((e) => {
+                console.error('[UniCast Queue] Kuyruk kaydedilemedi:', e);
+            });
+        }, PERSIST_DELAY);
+    }
+
+    /**
+     * Mesajı kuyruğun sonuna ekle
+     */
+    function enqueue(message) {
+        items.push({ seq: ++seq, queuedAt: Date.now(), message: message });
+        prune();
+        schedulePersist();
+    }
+
+    /**
+     * Kuyruğu sırayla gönder; send false dönerse durur, kalanlar bekler
+     * @returns {Promise<number>} Gönderilen mesaj sayısı
+     */
+    async function flush(send) {
+        await load();
+        prune();
+
+        let sent = 0;
+        while (items.length > 0 && send(items[0].message)) {
+            items.shift();
+            sent++;
+        }
+
+        if (sent > 0) {
+            schedulePersist();
+        }
+        return sent;
+    }
+
+    return {
+        load,
+        enqueue,
+        flush,
+        size: () => items.length,
+        // Yükleme bitmeden kayıtlı mesajların önüne geçilmemeli
+        isDrained: () => loaded && items.length === 0,
+        dropped: () => droppedCount
+    };
+})();
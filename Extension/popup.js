@@ -2,35 +2,291 @@
  * UniCast Chat Bridge - Popup Script
  */
 
+const PAIR_ERRORS = {
+    invalid_code: 'Kod hatalı veya süresi dolmuş',
+    no_code: 'UniCast\'te gösterilen bir kod yok; Ayarlar\'dan yeni kod üretin',
+    locked: 'Çok fazla hatalı deneme; UniCast Ayarlar\'dan yeni kod üretin',
+    rate_limited: 'Çok sık denendi, bir dakika sonra tekrar deneyin',
+    timeout: 'UniCast cevap vermedi',
+    unreachable: 'UniCast çalışmıyor'
+};
+
+// UniCast'in bağlantıyı reddetme nedenleri; eşleştirme retleri formu açar
+const AUTH_REJECTS = new Set(['unpaired']);
+const CONNECTION_REJECTS = {
+    protocol_version: 'UniCast sürümü uyumsuz',
+    no_welcome: 'UniCast el sıkışmaya cevap vermedi, UniCast\'i güncelleyin'
+};
+
+// Extractor ret nedenleri (content-*.js rejectReason)
+const REJECT_REASONS = {
+    empty: 'boş',
+    no_username: 'ad yok',
+    username_too_long: 'uzun ad',
+    text_too_long: 'uzun metin',
+    username_newline: 'çok satırlı ad',
+    username_space: 'adda boşluk',
+    username_url: 'adda link',
+    same_text: 'ad ve metin aynı',
+    ui_text: 'arayüz metni',
+    social_row: 'sistem satırı'
+};
+const MAX_SHOWN_REASONS = 3;
+
+const PLATFORM_NAMES = {
+    instagram: 'Instagram',
+    facebook: 'Facebook',
+    tiktok: 'TikTok',
+    kick: 'Kick'
+};
+
+// Sekme listesi ve tarama teşhisi popup açıkken bu aralıkla yenilenir
+const REFRESH_INTERVAL = 2000;
+
+/**
+ * "az önce", "12 sn önce", "3 dk önce"
+ */
+function formatAgo(timestamp) {
+    const seconds = Math.floor((Date.now() - timestamp) / 1000);
+    if (seconds < 5) return 'az önce';
+    if (seconds < 60) return `${seconds} sn önce`;
+    if (seconds < 3600) return `${Math.floor(seconds / 60)} dk önce`;
+    return `${Math.floor(seconds / 3600)} sa önce`;
+}
+
 document.addEventListener('DOMContentLoaded', async () => {
     const statusDot = document.getElementById('statusDot');
     const statusText = document.getElementById('statusText');
+    const pairing = document.getElementById('pairing');
+    const pairForm = document.getElementById('pairForm');
+    const pairCode = document.getElementById('pairCode');
+    const pairButton = document.getElementById('pairButton');
+    const pairError = document.getElementById('pairError');
+    const optionsLink = document.getElementById('optionsLink');
+    const retryButton = document.getElementById('retryButton');
+    const streams = document.getElementById('streams');
+    const diagnosticsBox = document.getElementById('diagnostics');
+    const diagnosticsTitle = document.getElementById('diagnosticsTitle');
+    const diagnosticsBody = document.getElementById('diagnosticsBody');
+
+    const settings = await UniCastSettings.load();
+
+    let countdownTimer = null;
+
+    function showStatus(text, state) {
+        ['connected', 'unpaired', 'connecting', 'backoff'].forEach((name) => {
+            statusDot.classList.toggle(name, state === name);
+        });
+        statusText.textContent = text;
+    }
+
+    // Bir sonraki denemeye kalan süreyi saniye saniye göster
+    function showBackoff(response) {
+        const tick = () => {
+            const seconds = Math.max(0, Math.ceil((response.nextRetryAt - Date.now()) / 1000));
+            showStatus(`UniCast bulunamadı, ${seconds} sn sonra yeniden denenecek (${response.failures}/${response.maxFailures})`, 'backoff');
+            if (seconds === 0) {
+                clearInterval(countdownTimer);
+                setTimeout(refresh, 500);
+            }
+        };
+        tick();
+        countdownTimer = setInterval(tick, 1000);
+    }
+
+    async function focusTab(tabId) {
+        try {
+            const tab = await chrome.tabs.update(tabId, { active: true });
+            await chrome.windows.update(tab.windowId, { focused: true });
+            window.close();
+        } catch (e) {
+            // Sekme bu arada kapandı; liste bir sonraki yenilemede düşer
+            refreshTabs();
+        }
+    }
+
+    function streamItem(tab) {
+        const item = document.createElement('li');
+        item.className = 'stream';
+
+        const dot = document.createElement('div');
+        dot.className = `status-dot ${tab.state}`;
+
+        const text = document.createElement('div');
+        text.className = 'stream-text';
+        const title = document.createElement('div');
+        title.className = 'stream-title';
+        title.textContent = PLATFORM_NAMES[tab.platform] || tab.platform;
+        if (tab.host) {
+            title.textContent += ` · ${tab.host}`;
+        }
+        title.title = tab.url;
+        const detail = document.createElement('div');
+        detail.className = 'stream-detail';
+        detail.textContent = tab.lastCommentAt
+            ? `${tab.commentCount} yorum · son yorum ${formatAgo(tab.lastCommentAt)}`
+            : 'Henüz yorum yok';
+        text.append(title, detail);
+
+        const button = document.createElement('button');
+        button.type = 'button';
+        button.textContent = 'Git';
+        button.title = 'Sekmeye geç';
+        button.addEventListener('click', () => focusTab(tab.tabId));
+
+        item.append(dot, text, button);
+        return item;
+    }
+
+    // Yayın sayfasındaki sekmeler; yayından çıkan sekmeler listelenmez
+    function renderTabs(response) {
+        const live = (response?.tabs || []).filter(tab => tab.live);
+        streams.hidden = live.length === 0;
+        streams.replaceChildren(...live.map(streamItem));
+    }
+
+    function refreshTabs() {
+        chrome.runtime.sendMessage({ action: 'getStatus' }, renderTabs);
+    }
+
+    function render(response) {
+        renderTabs(response);
+        clearInterval(countdownTimer);
+        const authRejected = Boolean(response) && AUTH_REJECTS.has(response.rejectReason);
+        pairing.hidden = !response || (response.paired && !authRejected);
+        retryButton.hidden = !response || !['backoff', 'paused', 'rejected'].includes(response.state);
 
-    // Background'dan durum al
-    chrome.runtime.sendMessage({ action: 'getStatus' }, (response) => {
-        if (response && response.connected) {
-            statusDot.classList.add('connected');
-            statusText.textContent = 'UniCast\'e bağlı';
+        if (response && (!response.paired || authRejected)) {
+            showStatus('Eşleştirilmedi', 'unpaired');
+            if (authRejected && !pairError.textContent) {
+                pairError.textContent = 'UniCast bu eşleştirmeyi tanımıyor, yeni kodu girin';
+            }
+        } else if (response && response.connected) {
+            showStatus('UniCast\'e bağlı', 'connected');
+        } else if (response && response.rejectReason) {
+            const reason = response.rejectReason;
+            showStatus(CONNECTION_REJECTS[reason] || `UniCast bağlantıyı reddetti (${reason})`, 'offline');
+        } else if (response && response.state === 'connecting') {
+            showStatus('UniCast\'e bağlanılıyor...', 'connecting');
+            setTimeout(refresh, 1000);
+        } else if (response && response.state === 'backoff' && response.nextRetryAt) {
+            showBackoff(response);
+        } else if (response && response.state === 'paused') {
+            showStatus('UniCast çevrimdışı, denemeler duraklatıldı', 'offline');
         } else {
-            statusDot.classList.remove('connected');
-            statusText.textContent = 'UniCast bağlantısı yok';
+            showStatus('UniCast bağlantısı yok', 'offline');
+            probeUniCast();
         }
-    });
+    }
 
-    // WebSocket durumunu kontrol et
-    try {
-        const ws = new WebSocket('ws://localhost:9876/ping');
-        ws.onopen = () => {
-            statusDot.classList.add('connected');
-            statusText.textContent = 'UniCast\'e bağlı';
-            ws.close();
-        };
-        ws.onerror = () => {
-            statusDot.classList.remove('connected');
-            statusText.textContent = 'UniCast çalışmıyor';
-        };
-    } catch (e) {
-        statusDot.classList.remove('connected');
-        statusText.textContent = 'UniCast bağlantısı yok';
+    // Açık yayın yokken background bağlanmaz; UniCast çalışıyor mu ayrıca bak
+    function probeUniCast() {
+        try {
+            const ws = new WebSocket(UniCastSettings.endpoint(settings, 'ping'));
+            ws.onopen = () => {
+                showStatus('UniCast çalışıyor, yayın sayfası bekleniyor', 'offline');
+                ws.close();
+            };
+            ws.onerror = () => {
+                showStatus('UniCast çalışmıyor', 'offline');
+            };
+        } catch (e) {
+            showStatus('UniCast bağlantısı yok', 'offline');
+        }
+    }
+
+    function refresh() {
+        chrome.runtime.sendMessage({ action: 'getStatus' }, render);
     }
+
+    function row(cells, className) {
+        const tr = document.createElement('tr');
+        if (className) tr.className = className;
+        cells.forEach((text) => {
+            const td = document.createElement('td');
+            td.textContent = text;
+            tr.appendChild(td);
+        });
+        return tr;
+    }
+
+    /**
+     * Aktif sekmedeki bridge'in strateji sayaçları
+     * Hiç aday bulamayan veya bulduğunun hepsini reddeden strateji işaretlenir
+     */
+    function renderDiagnostics(response) {
+        const strategies = Object.entries(response?.diagnostics || {});
+        diagnosticsBox.hidden = !response;
+        if (!response) return;
+
+        diagnosticsTitle.textContent = `Tarama: ${response.platform} (adapter ${response.adapterVersion}, paket v${response.selectorPack})`;
+        diagnosticsBody.replaceChildren();
+
+        if (strategies.length === 0) {
+            diagnosticsBody.appendChild(row([response.observing ? 'Henüz yorum taranmadı' : 'Sohbet bekleniyor']));
+            return;
+        }
+
+        strategies.forEach(([name, counters]) => {
+            diagnosticsBody.appendChild(row(
+                [name, counters.found, counters.accepted, counters.deduped, counters.rejected],
+                counters.hitRate === 0 ? 'broken' : ''
+            ));
+
+            const reasons = Object.entries(counters.reasons)
+                .sort((a, b) => b[1] - a[1])
+                .slice(0, MAX_SHOWN_REASONS)
+                .map(([reason, count]) => `${REJECT_REASONS[reason] || reason} ${count}`);
+            if (reasons.length > 0) {
+                const reasonRow = row([`Ret: ${reasons.join(', ')}`], 'reasons');
+                reasonRow.firstChild.colSpan = 5;
+                diagnosticsBody.appendChild(reasonRow);
+            }
+        });
+    }
+
+    // Yayın sekmesi değilse content script yok; cevap gelmez, bölüm gizli kalır
+    function refreshDiagnostics() {
+        chrome.tabs.query({ active: true, currentWindow: true }, ([tab]) => {
+            if (!tab) return renderDiagnostics(null);
+
+            chrome.tabs.sendMessage(tab.id, { action: 'getDiagnostics' }, (response) => {
+                renderDiagnostics(chrome.runtime.lastError ? null : response);
+            });
+        });
+    }
+
+    pairForm.addEventListener('submit', (event) => {
+        event.preventDefault();
+
+        pairButton.disabled = true;
+        pairError.textContent = '';
+
+        chrome.runtime.sendMessage({ action: 'pair', code: pairCode.value }, (result) => {
+            pairButton.disabled = false;
+
+            if (result && result.ok) {
+                pairCode.value = '';
+                refresh();
+            } else {
+                pairError.textContent = PAIR_ERRORS[result?.reason] || 'Eşleştirme başarısız';
+            }
+        });
+    });
+
+    retryButton.addEventListener('click', () => {
+        chrome.runtime.sendMessage({ action: 'reconnect' }, refresh);
+    });
+
+    optionsLink.addEventListener('click', (event) => {
+        event.preventDefault();
+        chrome.runtime.openOptionsPage();
+    });
+
+    refresh();
+    refreshDiagnostics();
+    setInterval(() => {
+        refreshTabs();
+        refreshDiagnostics();
+    }, REFRESH_INTERVAL);
 });
@@ -0,0 +1,510 @@
+/**
+ * UniCast Chat Bridge - Bridge Protokolü
+ * Mesaj tipleri, protokol sürümü ve her mesaj tipi için JSON Schema.
+ * Background, UniCast'e giden her mesajı göndermeden önce buradan doğrular.
+ *
+ * El sıkışma:
+ *   extension → { type: 'hello', protocolVersion, extensionVersion, installId, token, adapters, events, selectorPackVersion }
+ *   UniCast   → { type: 'welcome', protocolVersion, paired, accepts, platforms }
+ *             | { type: 'reject', reason }   // 'unpaired', 'protocol_version'
+ *
+ * Eşleştirme (popup'a girilen kod ile, ayrı bir bağlantıda):
+ *   extension → { type: 'pair', code, installId }
+ *   UniCast   → { type: 'paired', token } | { type: 'pairFailed', reason }
+ *             // reason: 'invalid_code', 'no_code' (UniCast kod göstermiyor), 'locked', 'rate_limited'
+ *   Sadece chrome-extension:// Origin'li bağlantılar kabul edilir.
+ *
+ * Komutlar (UniCast → yayın sekmesi):
+ *   UniCast   → { type: 'sendComment', requestId, platform, tabId?, text }
+ *             | { type: 'pinComment' | 'hideComment' | 'blockUser', requestId, platform, tabId?, commentId }
+ *   extension → { type: 'commandAck', requestId, command, ok, reason? }
+ *
+ * Selector paketi (selector-packs.js; hello'daki selectorPackVersion'dan yeniyse):
+ *   UniCast   → { type: 'selectorPack', pack }
+ *   extension → { type: 'selectorPackAck', version, ok, reason?, errors? }
+ *
+ * Yayın sekmelerinden gelen her mesaj { tabId, platform, streamId?, sessionStartedAt? } ile etiketlenir.
+ * streamId yayının kalıcı kimliğidir (Facebook video id'si, TikTok/Instagram yayıncısı, Kick kanalı);
+ * sessionStartedAt sekmede o yayının açıldığı an. SPA içinde başka yayına geçilince ikisi de
+ * değişir ve sekme yeni oturumla tekrar 'connected' gönderir. Sekme kapanınca, yenilenince veya
+ * başka yayına geçince biten oturumun etiketleriyle 'streamEnded' gönderilir.
+ *
+ * hello'ya welcome dönmeyen sunucular eşleştirmeyi doğrulayamaz; onlara veri gönderilmez.
+ */
+
+const BridgeProtocol = (function() {
+    'use strict';
+
+    const PROTOCOL_VERSION = 1;
+    const MIN_PROTOCOL_VERSION = 1;
+
+    const PLATFORMS = ['instagram', 'facebook', 'tiktok', 'kick'];
+
+    // Yorum yazarının rolleri (bridge-core.js KNOWN_BADGES ile aynı)
+    const BADGES = ['host', 'moderator', 'verified', 'subscriber', 'top_gifter', 'fan_club', 'top_fan'];
+
+    // commandAck.reason değerleri
+    const COMMAND_FAILURES = [
+        'no_tab', 'inactive', 'unsupported', 'no_composer', 'not_submitted',
+        'comment_not_found', 'no_menu', 'no_menu_item', 'failed'
+    ];
+
+    // selectorPackAck.reason değerleri
+    const SELECTOR_PACK_FAILURES = ['invalid', 'outdated', 'failed'];
+
+    // Background'ın sekmeden gelen her mesaja eklediği alanlar
+    const tagged = {
+        tabId: { type: 'integer' },
+        platform: { enum: PLATFORMS },
+        streamId: { type: 'string', minLength: 1, maxLength: 500 },
+        sessionStartedAt: { type: 'integer' }
+    };
+
+    /**
+     * Zengin mesaj segmenti: text, emoji (resim adresi + alt), mention, hashtag, link
+     */
+    const SEGMENT_SCHEMA = {
+        type: 'object',
+        required: ['type'],
+        properties: {
+            type: { enum: ['text', 'emoji', 'mention', 'hashtag', 'link'] },
+            text: { type: 'string', maxLength: 2000 },
+            alt: { type: 'string', maxLength: 200 },
+            url: { type: 'string', maxLength: 2000 },
+            username: { type: 'string', maxLength: 100 },
+            tag: { type: 'string', maxLength: 200 }
+        }
+    };
+
+    /**
+     * Sosyal olay şeması (katılma, takip, beğeni, paylaşım, abonelik)
+     */
+    function socialEvent(type, extraProperties = {}, extraRequired = []) {
+        return {
+            type: 'object',
+            required: ['type', 'data'],
+            properties: Object.assign({
+                type: { const: type },
+                data: {
+                    type: 'object',
+                    required: ['id', 'username', 'timestamp', 'platform'].concat(extraRequired),
+                    properties: Object.assign({
+                        id: { type: 'string', minLength: 1 },
+                        username: { type: 'string', minLength: 1, maxLength: 100 },
+                        timestamp: { type: 'integer' },
+                        platform: { enum: PLATFORMS }
+                    }, extraProperties)
+                }
+            }, tagged)
+        };
+    }
+
+    /**
+     * Moderasyon komutu şeması; commentId extension'ın gönderdiği yorum id'sidir
+     */
+    function moderationCommand(type) {
+        return {
+            type: 'object',
+            required: ['type', 'requestId', 'platform', 'commentId'],
+            properties: {
+                type: { const: type },
+                requestId: { type: 'string', minLength: 1, maxLength: 100 },
+                platform: { enum: PLATFORMS },
+                tabId: { type: 'integer' },
+                commentId: { type: 'string', minLength: 1, maxLength: 200 }
+            }
+        };
+    }
+
+    /**
+     * Giden mesaj şemaları (extension → UniCast)
+     */
+    const OUTBOUND_SCHEMAS = {
+        hello: {
+            type: 'object',
+            required: ['type', 'protocolVersion', 'extensionVersion', 'installId', 'adapters', 'events'],
+            properties: {
+                type: { const: 'hello' },
+                protocolVersion: { type: 'integer', minimum: 1 },
+                minProtocolVersion: { type: 'integer', minimum: 1 },
+                extensionVersion: { type: 'string', minLength: 1 },
+                installId: { type: 'string', minLength: 1 },
+                token: { type: 'string', minLength: 1 },
+                adapters: {
+                    type: 'array',
+                    items: {
+                        type: 'object',
+                        required: ['platform', 'adapterVersion'],
+                        properties: {
+                            platform: { enum: PLATFORMS },
+                            adapterVersion: { type: 'string' }
+                        }
+                    }
+                },
+                events: { type: 'array', items: { type: 'string' } },
+                selectorPackVersion: { type: 'integer', minimum: 1 }
+            }
+        },
+
+        pair: {
+            type: 'object',
+            required: ['type', 'code', 'installId'],
+            properties: {
+                type: { const: 'pair' },
+                code: { type: 'string', minLength: 4, maxLength: 12 },
+                installId: { type: 'string', minLength: 1 },
+                extensionVersion: { type: 'string' }
+            }
+        },
+
+        connected: {
+            type: 'object',
+            required: ['type', 'platform', 'url', 'timestamp'],
+            properties: Object.assign({
+                type: { const: 'connected' },
+                url: { type: 'string' },
+                adapterVersion: { type: 'string' },
+                timestamp: { type: 'integer' }
+            }, tagged)
+        },
+
+        // Etiketler biten oturumundur
+        streamEnded: {
+            type: 'object',
+            required: ['type', 'platform', 'tabId', 'timestamp'],
+            properties: Object.assign({
+                type: { const: 'streamEnded' },
+                timestamp: { type: 'integer' }
+            }, tagged)
+        },
+
+        comment: {
+            type: 'object',
+            required: ['type', 'data'],
+            properties: Object.assign({
+                type: { const: 'comment' },
+                data: {
+                    type: 'object',
+                    required: ['id', 'username', 'text', 'timestamp', 'platform'],
+                    properties: {
+                        id: { type: 'string', minLength: 1 },
+                        username: { type: 'string', minLength: 1, maxLength: 100 },
+                        text: { type: 'string', minLength: 1, maxLength: 2000 },
+                        timestamp: { type: 'integer' },
+                        platform: { enum: PLATFORMS },
+                        avatarUrl: { type: 'string', maxLength: 2000 },
+                        profileUrl: { type: 'string', maxLength: 2000 },
+                        userId: { type: 'string', minLength: 1, maxLength: 2000 },
+                        badges: { type: 'array', items: { enum: BADGES } },
+                        // text geriye uyumluluk için düz metin olarak kalır
+                        segments: { type: 'array', items: SEGMENT_SCHEMA }
+                    }
+                }
+            }, tagged)
+        },
+
+        gift: {
+            type: 'object',
+            required: ['type', 'data'],
+            properties: Object.assign({
+                type: { const: 'gift' },
+                data: {
+                    type: 'object',
+                    required: ['id', 'username', 'giftName', 'count', 'timestamp', 'platform'],
+                    properties: {
+                        id: { type: 'string', minLength: 1 },
+                        username: { type: 'string', minLength: 1, maxLength: 100 },
+                        giftName: { type: 'string', minLength: 1, maxLength: 100 },
+                        count: { type: 'integer', minimum: 1 },
+                        iconUrl: { type: 'string', maxLength: 2000 },
+                        timestamp: { type: 'integer' },
+                        platform: { enum: PLATFORMS }
+                    }
+                }
+            }, tagged)
+        },
+
+        member_join: socialEvent('member_join'),
+        follow: socialEvent('follow'),
+        share: socialEvent('share'),
+        like: socialEvent('like', { count: { type: 'integer', minimum: 1 } }, ['count']),
+        // Kick: months yeni/yenilenen abonelikte, giftCount ve recipient hediye abonelikte
+        subscription: socialEvent('subscription', {
+            months: { type: 'integer', minimum: 1 },
+            giftCount: { type: 'integer', minimum: 1 },
+            recipient: { type: 'string', minLength: 1, maxLength: 100 }
+        }),
+
+        stats: {
+            type: 'object',
+            required: ['type', 'data'],
+            properties: Object.assign({
+                type: { const: 'stats' },
+                data: {
+                    type: 'object',
+                    required: ['timestamp', 'platform'],
+                    properties: {
+                        viewers: { type: 'integer', minimum: 0 },
+                        likes: { type: 'integer', minimum: 0 },
+                        duration: { type: 'integer', minimum: 0 },   // saniye
+                        timestamp: { type: 'integer' },
+                        platform: { enum: PLATFORMS }
+                    }
+                }
+            }, tagged)
+        },
+
+        status: {
+            type: 'object',
+            required: ['type', 'platform'],
+            properties: Object.assign({
+                type: { const: 'status' },
+                observing: { type: 'boolean' },
+                commentCount: { type: 'integer', minimum: 0 },
+                url: { type: 'string' },
+                stats: { type: 'object' },
+                scanTimings: { type: 'object' },
+                // Strateji → { found, accepted, deduped, rejected, hitRate, reasons }
+                diagnostics: { type: 'object' }
+            }, tagged)
+        },
+
+        commandAck: {
+            type: 'object',
+            required: ['type', 'requestId', 'command', 'ok'],
+            properties: Object.assign({
+                type: { const: 'commandAck' },
+                requestId: { type: 'string', minLength: 1, maxLength: 100 },
+                command: { type: 'string', minLength: 1 },
+                ok: { type: 'boolean' },
+                reason: { enum: COMMAND_FAILURES }
+            }, tagged)
+        },
+
+        selectorPackAck: {
+            type: 'object',
+            required: ['type', 'ok'],
+            properties: {
+                type: { const: 'selectorPackAck' },
+                version: { type: 'integer', minimum: 1 },
+                ok: { type: 'boolean' },
+                reason: { enum: SELECTOR_PACK_FAILURES },
+                errors: { type: 'array', items: { type: 'string' } }
+            }
+        },
+
+        pong: {
+            type: 'object',
+            required: ['type'],
+            properties: { type: { const: 'pong' } }
+        }
+    };
+
+    /**
+     * Gelen mesaj şemaları (UniCast → extension)
+     */
+    const INBOUND_SCHEMAS = {
+        welcome: {
+            type: 'object',
+            required: ['type', 'protocolVersion', 'accepts'],
+            properties: {
+                type: { const: 'welcome' },
+                protocolVersion: { type: 'integer', minimum: 1 },
+                paired: { type: 'boolean' },
+                accepts: { type: 'array', items: { type: 'string' } },
+                platforms: { type: 'array', items: { type: 'string' } }
+            }
+        },
+
+        reject: {
+            type: 'object',
+            required: ['type', 'reason'],
+            properties: {
+                type: { const: 'reject' },
+                reason: { type: 'string' }
+            }
+        },
+
+        paired: {
+            type: 'object',
+            required: ['type', 'token'],
+            properties: {
+                type: { const: 'paired' },
+                token: { type: 'string', minLength: 16 }
+            }
+        },
+
+        pairFailed: {
+            type: 'object',
+            required: ['type', 'reason'],
+            properties: {
+                type: { const: 'pairFailed' },
+                reason: { type: 'string' }
+            }
+        },
+
+        ping: {
+            type: 'object',
+            required: ['type'],
+            properties: { type: { const: 'ping' } }
+        },
+
+        getStatus: {
+            type: 'object',
+            required: ['type'],
+            properties: {
+                type: { const: 'getStatus' },
+                tabId: { type: 'integer' }
+            }
+        },
+
+        sendComment: {
+            type: 'object',
+            required: ['type', 'requestId', 'platform', 'text'],
+            properties: {
+                type: { const: 'sendComment' },
+                requestId: { type: 'string', minLength: 1, maxLength: 100 },
+                platform: { enum: PLATFORMS },
+                tabId: { type: 'integer' },
+                text: { type: 'string', minLength: 1, maxLength: 500 }
+            }
+        },
+
+        pinComment: moderationCommand('pinComment'),
+        hideComment: moderationCommand('hideComment'),
+        blockUser: moderationCommand('blockUser'),
+
+        // Seçici listelerinin içeriği SelectorPacks.validate ile ayrıca doğrulanır
+        selectorPack: {
+            type: 'object',
+            required: ['type', 'pack'],
+            properties: {
+                type: { const: 'selectorPack' },
+                pack: {
+                    type: 'object',
+                    required: ['version', 'platforms'],
+                    properties: {
+                        version: { type: 'integer', minimum: 1 },
+                        platforms: { type: 'object' }
+                    }
+                }
+            }
+        }
+    };
+
+    // Bir yayın sekmesine yönlendirilip commandAck ile cevaplanan mesajlar
+    const COMMANDS = ['sendComment', 'pinComment', 'hideComment', 'blockUser'];
+
+    function typeOf(value) {
+        if (value === null) return 'null';
+        if (Array.isArray(value)) return 'array';
+        if (typeof value === 'number' && Number.isInteger(value)) return 'integer';
+        return typeof value;
+    }
+
+    function matchesType(value, expected) {
+        const actual = typeOf(value);
+        return actual === expected || (expected === 'number' && actual === 'integer');
+    }
+
+    /**
+     * JSON Schema alt kümesiyle doğrula
+     * Desteklenen: type, const, enum, required, properties, items, minLength, maxLength, minimum
+     * @returns {string[]} Hata listesi, geçerliyse boş
+     */
+    function validateSchema(value, schema, path = '$') {
+        const errors = [];
+
+        if (schema.const !== undefined && value !== schema.const) {
+            errors.push(`${path}: '${schema.const}' bekleniyordu`);
+            return errors;
+        }
+
+        if (schema.enum && !schema.enum.includes(value)) {
+            errors.push(`${path}: [${schema.enum.join(', ')}] dışında değer`);
+            return errors;
+        }
+
+        if (schema.type && !matchesType(value, schema.type)) {
+            errors.push(`${path}: ${schema.type} bekleniyordu, ${typeOf(value)} geldi`);
+            return errors;
+        }
+
+        if (typeof value === 'string') {
+            if (schema.minLength !== undefined && value.length < schema.minLength) {
+                errors.push(`${path}: en az ${schema.minLength} karakter olmalı`);
+            }
+            if (schema.maxLength !== undefined && value.length > schema.maxLength) {
+                errors.push(`${path}: en fazla ${schema.maxLength} karakter olmalı`);
+            }
+        }
+
+        if (typeof value === 'number' && schema.minimum !== undefined && value < schema.minimum) {
+            errors.push(`${path}: en az ${schema.minimum} olmalı`);
+        }
+
+        if (typeOf(value) === 'object') {
+            for (const key of schema.required || []) {
+                if (value[key] === undefined) {
+                    errors.push(`${path}.${key}: zorunlu alan eksik`);
+                }
+            }
+            for (const [key, propSchema] of Object.entries(schema.properties || {})) {
+                if (value[key] !== undefined) {
+                    errors.push(...validateSchema(value[key], propSchema, `${path}.${key}`));
+                }
+            }
+        }
+
+        if (Array.isArray(value) && schema.items) {
+            value.forEach((item, i) => {
+                errors.push(...validateSchema(item, schema.items, `${path}[${i}]`));
+            });
+        }
+
+        return errors;
+    }
+
+    function validate(message, schemas) {
+        if (typeOf(message) !== 'object' || typeof message.type !== 'string') {
+            return ['$.type: mesaj tipi yok'];
+        }
+
+        const schema = schemas[message.type];
+        if (!schema) {
+            return [`$.type: bilinmeyen mesaj tipi '${message.type}'`];
+        }
+
+        return validateSchema(message, schema);
+    }
+
+    /**
+     * welcome mesajından oturum çıkar; sürüm uyumsuzsa null
+     */
+    function negotiate(welcome) {
+        if (welcome.protocolVersion < MIN_PROTOCOL_VERSION) {
+            return null;
+        }
+
+        return {
+            protocolVersion: Math.min(welcome.protocolVersion, PROTOCOL_VERSION),
+            accepts: welcome.accepts,
+            platforms: welcome.platforms || PLATFORMS.slice()
+        };
+    }
+
+    return {
+        PROTOCOL_VERSION,
+        MIN_PROTOCOL_VERSION,
+        PLATFORMS,
+        BADGES,
+        COMMANDS,
+        COMMAND_FAILURES,
+        SELECTOR_PACK_FAILURES,
+        // El sıkışma ve eşleştirme dışında extension'ın gönderebildiği tüm olaylar
+        OUTBOUND_EVENTS: Object.keys(OUTBOUND_SCHEMAS).filter(type => type !== 'hello' && type !== 'pair'),
+        validateOutbound: (message) => validate(message, OUTBOUND_SCHEMAS),
+        validateInbound: (message) => validate(message, INBOUND_SCHEMAS),
+        negotiate
+    };
+})();
@@ -0,0 +1,745 @@
+/**
+ * UniCast Chat Bridge - Selector Paketleri
+ * Adapter'ların yorum satırı, kullanıcı adı, mesaj vb. için denediği seçiciler
+ * ve UI metni filtreleri sürümlü, salt veri bir pakette tutulur.
+ * Paketin yerleşik hali aşağıdadır; UniCast daha yeni bir paketi bridge üzerinden
+ * gönderebilir. Paket doğrulanıp chrome.storage.local'a yazılır, content script'ler
+ * değişikliği onChange ile alır ve sayfa yenilenmeden yeni kurallarla tarar.
+ *
+ * Paket biçimi:
+ *   { version, platforms: { <platform>: {
+ *       selectors: { <ad>: [seçici, ...] },
+ *       badges: { <rozet>: { attr?: desen, text?: desen } },
+ *       patterns: { <ad>: desen },
+ *       uiTexts: [metin, ...]
+ *   } } }
+ * Desenler büyük/küçük harf duyarsız RegExp kaynağıdır (rozetler: bridge-core.js detectBadges;
+ * patterns: menü öğesi, onay butonu ve sistem satırı metinleri).
+ * Gönderilen pakette olmayan platform, seçici, rozet ve desen adları yerleşik paketten alınır.
+ * Listeler boş olamaz; seçiciler background'da da (DOM olmadan) sözdizimiyle doğrulanır.
+ */
+
+const SelectorPacks = (function() {
+    'use strict';
+
+    const STORAGE_KEY = 'selectorPack';
+
+    // Paket sınırları; paket sadece seçici ve düz metin taşır, kod çalıştırılmaz
+    const MAX_LIST_LENGTH = 50;
+    const MAX_ENTRY_LENGTH = 500;
+
+    // Yorum yazarının rolleri (bridge-core.js KNOWN_BADGES ile aynı)
+    const BADGES = ['host', 'moderator', 'verified', 'subscriber', 'top_gifter', 'fan_club', 'top_fan'];
+
+    const BUILT_IN_PACK = {
+        version: 1,
+        platforms: {
+            instagram: {
+                selectors: {
+                    // Live yorum kutusu: "Add a comment…" / "Yorum ekle..."
+                    composer: [
+                        'textarea[aria-label*="comment" i]',
+                        'textarea[aria-label*="yorum" i]',
+                        'textarea[placeholder*="comment" i]',
+                        'textarea[placeholder*="yorum" i]'
+                    ],
+                    // Yorum seçenekleri ikonu; tıklanan buton ikonun üstündeki role="button"
+                    menuIcon: [
+                        'svg[aria-label*="Comment options" i]',
+                        'svg[aria-label*="Yorum seçenekleri" i]',
+                        'svg[aria-label="More options"]',
+                        'svg[aria-label="Diğer seçenekler"]'
+                    ],
+                    // Sayacın yanındaki göz ikonu
+                    viewerIcon: [
+                        'svg[aria-label*="viewer" i]',
+                        'svg[aria-label*="izley" i]'
+                    ]
+                },
+                // Instagram sadece doğrulanmış ve moderatör işaretlerini gösterir; yayıncı URL'den bulunur
+                badges: {
+                    verified: { attr: 'verified|doğrulan' },
+                    moderator: { attr: 'moderator|moderatör', text: '^(Moderator|Moderatör)$' }
+                },
+                // Kullanıcı adı/mesaj çifti gibi görünen arayüz yazıları
+                uiTexts: ['LIVE', 'Messages', 'Share', 'Like', 'Comment', 'Send', 'Follow']
+            },
+
+            facebook: {
+                selectors: {
+                    // Değişen node bu satıra genişletilerek taranır
+                    commentRow: [
+                        'div[role="article"]',
+                        '[data-testid="UFI2Comment/root_depth_0"]',
+                        '[data-testid="comment"]',
+                        '.UFICommentContent',
+                        '[class*="live-video-comment"]',
+                        '[class*="comment-item"]'
+                    ],
+                    commentItem: [
+                        '[class*="x1lliihq"][class*="x1n2onr6"]', // Modern FB class pattern
+                        'div[role="article"]',
+                        '[data-testid="UFI2Comment/root_depth_0"]',
+                        '[data-testid="comment"]',
+                        '.UFICommentContent',
+                        '.UFICommentBody',
+                        '[class*="live-video-comment"]',
+                        '[class*="comment-item"]'
+                    ],
+                    username: [
+                        'a[role="link"]',
+                        'a[href*="/profile"]',
+                        'a[href*="facebook.com/"]',
+                        'span[dir="auto"] a',
+                        '.UFICommentActorName',
+                        '[class*="author"]'
+                    ],
+                    message: [
+                        '[class*="comment-text"]',
+                        '[class*="CommentBody"]',
+                        '.UFICommentBody',
+                        'span[dir="auto"]:not(:first-child)',
+                        'div[dir="auto"]'
+                    ],
+                    // Yorumun "..." menüsü: yayıncıya "Düzenle veya sil", diğerlerine "Gizle veya şikayet et"
+                    menuButton: [
+                        '[aria-label*="Edit or delete" i]',
+                        '[aria-label*="Hide or report" i]',
+                        '[aria-label*="Düzenle veya sil" i]',
+                        '[aria-label*="Gizle veya şikayet" i]',
+                        '[role="button"][aria-haspopup="menu"]'
+                    ],
+                    // Yorum yazma alanı (Lexical editörü); Enter ile gönderilir
+                    composer: [
+                        'div[contenteditable="true"][role="textbox"][aria-label*="comment" i]',
+                        'div[contenteditable="true"][role="textbox"][aria-label*="yorum" i]'
+                    ],
+                    // Sayısı aria-label'da yazan tepki butonu ve yayın süresi
+                    reactions: [
+                        '[aria-label*="reaction" i]',
+                        '[aria-label*="tepki" i]'
+                    ],
+                    duration: [
+                        '[data-testid*="live" i] time',
+                        '[aria-label*="elapsed" i]',
+                        '[aria-label*="geçen süre" i]'
+                    ]
+                },
+                // Facebook rolleri çoğunlukla kullanıcı adının yanında metin etiketi olarak gösterir
+                badges: {
+                    host: { text: '^(Author|Yazar|Creator|İçerik üreticisi)$' },
+                    moderator: { attr: 'moderator|moderatör', text: '^(Moderator|Moderatör|Admin|Yönetici)$' },
+                    verified: { attr: 'verified|doğrulan' },
+                    top_fan: { attr: 'top[ _-]?fan', text: '^(Top fan|En iyi hayran)$' },
+                    subscriber: { attr: 'subscriber|abone', text: '^(Subscriber|Supporter|Abone|Destekçi)$' }
+                },
+                uiTexts: [
+                    'Beğen', 'Like', 'Yanıtla', 'Reply', 'Paylaş', 'Share',
+                    'Gizle', 'Hide', 'Bildir', 'Report', 'Sabitle', 'Pin',
+                    'Yorum yap', 'Comment', 'Görüntüle', 'View',
+                    'dk', 'sa', 'gün', 'sn', 'm', 'h', 'd', 's',
+                    'CANLI', 'LIVE', 'izliyor', 'watching', 'izleyici', 'viewers'
+                ]
+            },
+
+            tiktok: {
+                selectors: {
+                    // Değişen node bu satıra genişletilerek taranır (sistem satırı, gift ve liste çocukları da eklenir)
+                    commentRow: [
+                        '[class*="DivCommentItemContainer"]',
+                        '[data-e2e="chat-message"]'
+                    ],
+                    commentItem: [
+                        '[class*="DivCommentItemContainer"]',
+                        '[class*="comment-item"]',
+                        '[data-e2e="chat-message"]',
+                        '[class*="ChatMessage"]',
+                        '[class*="tiktok-"][class*="comment"]'
+                    ],
+                    username: [
+                        '[class*="SpanUserNameText"]',
+                        '[class*="user-name"]',
+                        '[class*="username"]',
+                        '[data-e2e="comment-username"]',
+                        'span[class*="Name"]'
+                    ],
+                    message: [
+                        '[class*="SpanCommentText"]',
+                        '[class*="comment-text"]',
+                        '[class*="message-text"]',
+                        '[data-e2e="comment-text"]',
+                        '[class*="CommentText"]'
+                    ],
+                    // Sistem satırları (yorum değil): "alice joined", "bob followed the host" ...
+                    socialRow: [
+                        '[data-e2e="social-message"]',
+                        '[data-e2e="enter-message"]',
+                        '[class*="SocialMessage"]',
+                        '[class*="MemberMessage"]',
+                        '[class*="member-message"]',
+                        '[class*="EnterMessage"]',
+                        '[class*="LikeMessage"]',
+                        '[class*="ShareMessage"]'
+                    ],
+                    chatList: [
+                        '[class*="ChatList"]',
+                        '[class*="chat-list"]',
+                        '[data-e2e="chat-list"]'
+                    ],
+                    gift: [
+                        '[class*="GiftCombo"]',
+                        '[class*="gift-combo"]',
+                        '[data-e2e="gift-message"]'
+                    ],
+                    // Gift satırının parçaları; ikon bulunamazsa satırdaki ilk resim kullanılır
+                    giftUsername: [
+                        '[class*="username"]',
+                        '[class*="user-name"]'
+                    ],
+                    giftName: [
+                        '[class*="gift-name"]',
+                        '[class*="GiftName"]'
+                    ],
+                    giftCount: [
+                        '[class*="combo-count"]',
+                        '[class*="count"]'
+                    ],
+                    giftIcon: [
+                        'img[class*="gift" i]',
+                        'img[src*="gift"]'
+                    ],
+                    // Sistem satırındaki kullanıcı adı ve beğeni sayacı
+                    socialUsername: [
+                        '[class*="SpanUserNameText"]',
+                        '[class*="username"]',
+                        '[class*="user-name"]',
+                        '[class*="UserName"]'
+                    ],
+                    socialCount: [
+                        '[class*="count"]'
+                    ],
+                    // İzleyici rozeti, beğeni toplamı ve yayın süresi
+                    viewers: [
+                        '[data-e2e="live-people-count"]',
+                        '[class*="LiveRoomViewerCount"]',
+                        '[class*="ViewerCount"]',
+                        '[class*="people-count"]'
+                    ],
+                    likes: [
+                        '[data-e2e="like-count"]',
+                        '[class*="LikeCount"]',
+                        '[class*="like-count"]'
+                    ],
+                    duration: [
+                        '[data-e2e="live-duration"]',
+                        '[class*="LiveDuration"]',
+                        '[class*="live-duration"]'
+                    ],
+                    // Sohbet yazma alanı ve gönder butonu
+                    composer: [
+                        '[data-e2e="comment-input"] [contenteditable]',
+                        '[class*="ChatInput"] [contenteditable]',
+                        'div[contenteditable="plaintext-only"]'
+                    ],
+                    submitButton: [
+                        '[data-e2e="comment-post"]',
+                        '[class*="SendButton"]',
+                        '[class*="PostButton"]'
+                    ],
+                    // Yorum satırında üstüne gelince çıkan "..." butonu ve açılan menünün öğeleri
+                    menuButton: [
+                        '[data-e2e*="more"]',
+                        '[class*="MoreIcon"]',
+                        '[class*="MoreButton"]',
+                        '[aria-label*="more" i]',
+                        '[aria-label*="daha fazla" i]'
+                    ],
+                    menuItem: [
+                        '[role="menuitem"]',
+                        '[class*="Popover"] [role="button"]',
+                        '[class*="Popover"] div',
+                        '[class*="Menu"] li',
+                        '[class*="Menu"] div'
+                    ]
+                },
+                // TikTok rozetleri ikon olarak gelir; sınıf adı, alt metni veya resim adresi rolü ele verir
+                badges: {
+                    host: {
+                        attr: '\\bhost\\b|host[-_ ]?(badge|label|tag)|anchor[-_ ]?badge|creator[-_ ]?badge',
+                        text: '^(Host|Yayıncı|Creator)$'
+                    },
+                    moderator: { attr: 'moderator|moderatör|mod[-_ ]?badge', text: '^(Moderator|Moderatör|Mod)$' },
+                    verified: { attr: 'verified|doğrulan' },
+                    top_gifter: {
+                        attr: 'top[-_ ]?gifter|gifter[-_ ]?(rank|badge)|ranklist',
+                        text: '^(Top Gifter|No\\.\\s*[1-3]|En çok hediye)$'
+                    },
+                    fan_club: { attr: 'fans?[-_ ]?(club|team|badge|level)', text: '^(Fan Club|Hayran Kulübü)$' },
+                    subscriber: { attr: 'subscriber|subscription|abone', text: '^(Subscriber|Abone)$' }
+                },
+                patterns: {
+                    // Yorum menüsündeki öğeler ve silme/engelleme onay butonu
+                    pinComment: '^(Pin|Sabitle)$',
+                    hideComment: '^(Delete|Sil|Hide|Gizle)$',
+                    blockUser: '^(Block|Engelle)$',
+                    confirm: '^(Delete|Sil|Block|Engelle|Confirm|Onayla)$',
+                    // Sistem satırında kullanıcı adından sonra gelen metnin tamamı; "joined late lol" yorumdur
+                    member_join: '^(joined|joined the live|yayına katıldı|katıldı)$',
+                    follow: '^(followed|followed the host|followed the live creator|yayıncıyı takip etti|takip etti)$',
+                    share: '^(shared|shared the live|yayını paylaştı|paylaştı)$',
+                    like: '^(liked the live|sent likes|yayını beğendi|beğendi)(\\s*[x×]\\s*\\d+)?$'
+                },
+                uiTexts: [
+                    'LIVE', 'Follow', 'Share', 'Gift', 'Like', 'Comment',
+                    'Send', 'Rose', 'viewers', 'watching', 'joined',
+                    'Top', 'Gifts', 'Chat', 'Settings'
+                ]
+            },
+
+            kick: {
+                selectors: {
+                    // Değişen node bu satıra genişletilerek taranır (abonelik satırları liste çocuğu olarak gelir)
+                    commentRow: [
+                        '[data-chat-entry]',
+                        '#chatroom-messages [data-index]',
+                        '.chat-entry'
+                    ],
+                    username: [
+                        '[data-chat-entry-user]',
+                        '.chat-entry-username',
+                        'button[title][data-prevent-expand]',
+                        'button.inline.font-bold'
+                    ],
+                    message: [
+                        '.chat-entry-content',
+                        'span.font-normal',
+                        '[class*="message-content"]'
+                    ],
+                    // Kullanıcı adının önündeki rozet alanı
+                    badge: [
+                        '.chat-message-identity .badge-tooltip',
+                        '.badge-tooltip',
+                        '[class*="badge"]'
+                    ],
+                    chatList: [
+                        '#chatroom-messages',
+                        '#chat-messages',
+                        '[data-testid="chat-messages"]'
+                    ],
+                    // Oynatıcının altındaki izleyici sayacı
+                    viewers: [
+                        '[data-testid="viewer-count"]',
+                        '[class*="viewer-count"]',
+                        '[class*="ViewerCount"]'
+                    ],
+                    // Sohbet yazma alanı ve gönder butonu
+                    composer: [
+                        '#message-input',
+                        '[data-testid="chat-input"]',
+                        '#chatroom-footer div[contenteditable="true"]'
+                    ],
+                    submitButton: [
+                        '#send-message-button',
+                        '[data-testid="send-message-button"]',
+                        '#chatroom-footer button[aria-label*="Send" i]'
+                    ]
+                },
+                // Kick rozetleri ikon olarak gelir; alt metni, sınıf adı veya resim adresi rolü ele verir
+                badges: {
+                    host: { attr: 'broadcaster|channel[-_ ]?owner|yayıncı', text: '^(Broadcaster|Yayıncı)$' },
+                    moderator: { attr: 'moderator|moderatör', text: '^(Moderator|Moderatör)$' },
+                    verified: { attr: 'verified|doğrulan' },
+                    subscriber: { attr: 'subscriber|subscription[-_]badge|founder|abone', text: '^(Subscriber|Founder|Abone)$' },
+                    top_gifter: { attr: 'sub[-_ ]?gifter|gifter', text: '^(Sub Gifter|Gifter)$' }
+                },
+                uiTexts: [
+                    'LIVE', 'Follow', 'Following', 'Subscribe', 'Gift', 'Chat',
+                    'Send', 'Pinned', 'Reply', 'Replying to', 'Chat rules', 'Settings'
+                ]
+            }
+        }
+    };
+
+    // Service worker'da DOM yok; seçici sözdizimi querySelector'ın kabul ettiği alt kümeyle denetlenir
+    const ESCAPE = '\\\\(?:[0-9a-fA-F]{1,6}\\s?|[^\\n0-9a-fA-F])';
+    const IDENT = `(?:--|-?(?:[a-zA-Z_\\u0080-\\uFFFF]|${ESCAPE}))(?:[\\w\\u0080-\\uFFFF-]|${ESCAPE})*`;
+    const SYNTAX = {
+        space: /\s*/y,
+        ident: new RegExp(IDENT, 'y'),
+        type: new RegExp(`\\*|${IDENT}`, 'y'),
+        string: /"(?:[^"\\\n]|\\[^])*"|'(?:[^'\\\n]|\\[^])*'/y,
+        attrOperator: /[~|^$*]?=/y,
+        attrFlag: /[iIsS](?![\w-])/y,
+        combinator: /[>+~]/y,
+        nth: /(?:[+-]?\d*n(?:\s*[+-]\s*\d+)?|[+-]?\d+|odd|even)(?![\w-])/iy,
+        of: /of(?=\s)/iy
+    };
+
+    const PSEUDO_CLASSES = new Set([
+        'active', 'any-link', 'checked', 'default', 'defined', 'disabled', 'empty', 'enabled',
+        'first-child', 'first-of-type', 'focus', 'focus-visible', 'focus-within', 'hover',
+        'in-range', 'indeterminate', 'invalid', 'last-child', 'last-of-type', 'link',
+        'only-child', 'only-of-type', 'optional', 'out-of-range', 'placeholder-shown',
+        'read-only', 'read-write', 'required', 'root', 'scope', 'target', 'valid', 'visited'
+    ]);
+
+    // Fonksiyonel pseudo-class → argüman türü
+    const FUNCTIONAL_PSEUDO_CLASSES = {
+        not: 'selectors',
+        is: 'selectors',
+        where: 'selectors',
+        has: 'relative',
+        'nth-child': 'nthOf',
+        'nth-last-child': 'nthOf',
+        'nth-of-type': 'nth',
+        'nth-last-of-type': 'nth',
+        lang: 'idents',
+        dir: 'idents'
+    };
+
+    let activePack = BUILT_IN_PACK;
+    // platform → derlenmiş kurallar; paket değişince sıfırlanır
+    const compiled = new Map();
+
+    function isStringList(value) {
+        return Array.isArray(value) && value.length > 0 && value.length <= MAX_LIST_LENGTH &&
+            value.every(item => typeof item === 'string' && item.length > 0 && item.length <= MAX_ENTRY_LENGTH);
+    }
+
+    /**
+     * Seçici listesi sözdizimi geçerli mi (pseudo-element ve namespace desteklenmez)
+     */
+    function isValidSelectorSyntax(selector) {
+        let pos = 0;
+
+        function take(pattern) {
+            pattern.lastIndex = pos;
+            const match = pattern.exec(selector);
+            if (!match) return null;
+            pos = pattern.lastIndex;
+            return match[0];
+        }
+
+        function skipSpace() {
+            return take(SYNTAX.space).length > 0;
+        }
+
+        function attribute() {
+            skipSpace();
+            if (take(SYNTAX.ident) === null) return false;
+            skipSpace();
+            if (take(SYNTAX.attrOperator) !== null) {
+                skipSpace();
+                if (take(SYNTAX.string) === null && take(SYNTAX.ident) === null) return false;
+                skipSpace();
+                if (take(SYNTAX.attrFlag) !== null) skipSpace();
+            }
+            return selector[pos++] === ']';
+        }
+
+        function idents() {
+            do {
+                skipSpace();
+                if (take(SYNTAX.ident) === null && take(SYNTAX.string) === null) return false;
+                skipSpace();
+            } while (selector[pos] === ',' && ++pos);
+            return true;
+        }
+
+        function pseudoClass() {
+            const name = take(SYNTAX.ident);
+            if (name === null) return false;
+            if (selector[pos] !== '(') return PSEUDO_CLASSES.has(name.toLowerCase());
+
+            pos++;
+            skipSpace();
+            let valid;
+            switch (FUNCTIONAL_PSEUDO_CLASSES[name.toLowerCase()]) {
+                case 'selectors':
+                    valid = list(false);
+                    break;
+                case 'relative':
+                    valid = list(true);
+                    break;
+                case 'nth':
+                case 'nthOf':
+                    valid = take(SYNTAX.nth) !== null;
+                    if (valid && FUNCTIONAL_PSEUDO_CLASSES[name.toLowerCase()] === 'nthOf' &&
+                        skipSpace() && take(SYNTAX.of) !== null) {
+                        valid = list(false);
+                    }
+                    break;
+                case 'idents':
+                    valid = idents();
+                    break;
+                default:
+                    valid = false;
+            }
+            skipSpace();
+            return valid && selector[pos++] === ')';
+        }
+
+        function compound() {
+            const start = pos;
+            take(SYNTAX.type);
+            for (;;) {
+                const char = selector[pos];
+                if (char === '#' || char === '.') {
+                    pos++;
+                    if (take(SYNTAX.ident) === null) return false;
+                } else if (char === '[') {
+                    pos++;
+                    if (!attribute()) return false;
+                } else if (char === ':') {
+                    pos++;
+                    if (!pseudoClass()) return false;
+                } else {
+                    return pos > start;
+                }
+            }
+        }
+
+        function complex(relative) {
+            skipSpace();
+            if (relative && take(SYNTAX.combinator) !== null) skipSpace();
+            if (!compound()) return false;
+
+            for (;;) {
+                const spaced = skipSpace();
+                if (take(SYNTAX.combinator) !== null) {
+                    skipSpace();
+                    if (!compound()) return false;
+                } else if (spaced && pos < selector.length && selector[pos] !== ',' && selector[pos] !== ')') {
+                    if (!compound()) return false;
+                } else {
+                    return true;
+                }
+            }
+        }
+
+        function list(relative) {
+            if (!complex(relative)) return false;
+            while (selector[pos] === ',') {
+                pos++;
+                if (!complex(relative)) return false;
+            }
+            return true;
+        }
+
+        return list(false) && pos === selector.length;
+    }
+
+    /**
+     * Seçici geçerli mi; sayfada ayrıca tarayıcının kendisine sorulur
+     */
+    function isValidSelector(selector) {
+        if (!isValidSelectorSyntax(selector)) return false;
+        if (typeof document === 'undefined') return true;
+        try {
+            document.createDocumentFragment().querySelector(selector);
+            return true;
+        } catch (e) {
+            return false;
+        }
+    }
+
+    function isValidPattern(pattern) {
+        if (typeof pattern !== 'string' || pattern.length === 0 || pattern.length > MAX_ENTRY_LENGTH) return false;
+        try {
+            new RegExp(pattern, 'i');
+            return true;
+        } catch (e) {
+            return false;
+        }
+    }
+
+    /**
+     * Paketi doğrula
+     * @returns {string[]} Hata listesi, geçerliyse boş
+     */
+    function validate(pack) {
+        const errors = [];
+
+        if (!pack || typeof pack !== 'object' || Array.isArray(pack)) {
+            return ['$: nesne bekleniyordu'];
+        }
+        if (!Number.isInteger(pack.version) || pack.version < 1) {
+            errors.push('$.version: pozitif tam sayı olmalı');
+        }
+        if (!pack.platforms || typeof pack.platforms !== 'object' || Array.isArray(pack.platforms)) {
+            errors.push('$.platforms: nesne bekleniyordu');
+            return errors;
+        }
+
+        for (const [platform, rules] of Object.entries(pack.platforms)) {
+            const path = `$.platforms.${platform}`;
+            if (!BUILT_IN_PACK.platforms[platform]) {
+                errors.push(`${path}: bilinmeyen platform`);
+                continue;
+            }
+            if (!rules || typeof rules !== 'object') {
+                errors.push(`${path}: nesne bekleniyordu`);
+                continue;
+            }
+
+            for (const [name, list] of Object.entries(rules.selectors || {})) {
+                if (!isStringList(list)) {
+                    errors.push(`${path}.selectors.${name}: 1-${MAX_LIST_LENGTH} seçicilik liste olmalı`);
+                    continue;
+                }
+                list.filter(selector => !isValidSelector(selector)).forEach((selector) => {
+                    errors.push(`${path}.selectors.${name}: geçersiz seçici '${selector}'`);
+                });
+            }
+
+            for (const [badge, rule] of Object.entries(rules.badges || {})) {
+                if (!BADGES.includes(badge)) {
+                    errors.push(`${path}.badges.${badge}: bilinmeyen rozet`);
+                } else if (!rule || typeof rule !== 'object' || (rule.attr === undefined && rule.text === undefined)) {
+                    errors.push(`${path}.badges.${badge}: attr veya text deseni olmalı`);
+                } else {
+                    ['attr', 'text'].filter(key => rule[key] !== undefined && !isValidPattern(rule[key])).forEach((key) => {
+                        errors.push(`${path}.badges.${badge}.${key}: geçersiz desen`);
+                    });
+                }
+            }
+
+            for (const [name, pattern] of Object.entries(rules.patterns || {})) {
+                if (!isValidPattern(pattern)) {
+                    errors.push(`${path}.patterns.${name}: geçersiz desen`);
+                }
+            }
+
+            if (rules.uiTexts !== undefined && !isStringList(rules.uiTexts)) {
+                errors.push(`${path}.uiTexts: 1-${MAX_LIST_LENGTH} metinlik liste olmalı`);
+            }
+        }
+
+        return errors;
+    }
+
+    /**
+     * Kayıtlı paket yerleşik paketten yeni ve geçerliyse onu kullan
+     */
+    function pickPack(stored) {
+        if (!stored || !(stored.version > BUILT_IN_PACK.version)) {
+            return BUILT_IN_PACK;
+        }
+
+        const errors = validate(stored);
+        if (errors.length > 0) {
+            console.error('[UniCast Selectors] Kayıtlı paket geçersiz, yerleşik paket kullanılıyor:', errors);
+            return BUILT_IN_PACK;
+        }
+        return stored;
+    }
+
+    function activate(pack) {
+        const changed = pack.version !== activePack.version;
+        activePack = pack;
+        compiled.clear();
+        return changed;
+    }
+
+    /**
+     * Kayıtlı paketi bırakıp yerleşik paketle devam et (yükleme hatasında)
+     */
+    function useBuiltIn() {
+        activate(BUILT_IN_PACK);
+        return activePack.version;
+    }
+
+    async function load() {
+        try {
+            const stored = await chrome.storage.local.get(STORAGE_KEY);
+            activate(pickPack(stored[STORAGE_KEY]));
+        } catch (e) {
+            activate(BUILT_IN_PACK);
+        }
+        return activePack.version;
+    }
+
+    /**
+     * UniCast'ten gelen paketi kaydet
+     * @returns {Promise<{ok: boolean, reason?: string, errors?: string[]}>}
+     */
+    async function save(pack) {
+        const errors = validate(pack);
+        if (errors.length > 0) {
+            return { ok: false, reason: 'invalid', errors: errors };
+        }
+
+        // Aynı sürüm tekrar gönderilebilir; yerleşik paketten eski veya aynı paket hiç kullanılmaz
+        const stored = (await chrome.storage.local.get(STORAGE_KEY))[STORAGE_KEY];
+        if (pack.version <= BUILT_IN_PACK.version || pack.version < (stored?.version || 0)) {
+            return { ok: false, reason: 'outdated' };
+        }
+
+        await chrome.storage.local.set({ [STORAGE_KEY]: pack });
+        activate(pickPack(pack));
+        return { ok: true };
+    }
+
+    /**
+     * Paket değişikliklerini dinle
+     * @param {function(number)} callback Yeni paket sürümü
+     */
+    function onChange(callback) {
+        chrome.storage.onChanged.addListener((changes, area) => {
+            if (area !== 'local' || !changes[STORAGE_KEY]) return;
+
+            if (activate(pickPack(changes[STORAGE_KEY].newValue))) {
+                callback(activePack.version);
+            }
+        });
+    }
+
+    /**
+     * Platformun etkin kuralları
+     * selectors: ad → seçici listesi (öncelik sırasıyla), any: ad → tek seçici,
+     * badges: detectBadges kuralları, patterns: ad → RegExp, isUIText(metin)
+     */
+    function rules(platform) {
+        if (compiled.has(platform)) return compiled.get(platform);
+
+        const builtIn = BUILT_IN_PACK.platforms[platform] || { selectors: {}, badges: {}, patterns: {}, uiTexts: [] };
+        const pushed = activePack.platforms[platform] || {};
+
+        const selectors = Object.assign({}, builtIn.selectors, pushed.selectors);
+        const any = {};
+        Object.keys(selectors).forEach((name) => {
+            any[name] = selectors[name].join(', ');
+        });
+        const badges = Object.entries(Object.assign({}, builtIn.badges, pushed.badges)).map(([badge, rule]) => ({
+            badge,
+            attr: rule.attr ? new RegExp(rule.attr, 'i') : null,
+            text: rule.text ? new RegExp(rule.text, 'i') : null
+        }));
+        const patterns = {};
+        Object.entries(Object.assign({}, builtIn.patterns, pushed.patterns)).forEach(([name, source]) => {
+            patterns[name] = new RegExp(source, 'i');
+        });
+        const uiTexts = new Set((pushed.uiTexts || builtIn.uiTexts).map(text => text.toLowerCase()));
+
+        const result = {
+            selectors,
+            any,
+            badges,
+            patterns,
+            isUIText: (text) => uiTexts.has(text.toLowerCase())
+        };
+        compiled.set(platform, result);
+        return result;
+    }
+
+    return {
+        BUILT_IN_VERSION: BUILT_IN_PACK.version,
+        validate,
+        load,
+        useBuiltIn,
+        save,
+        onChange,
+        rules,
+        version: () => activePack.version
+    };
+})();
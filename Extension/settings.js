@@ -0,0 +1,136 @@
+/**
+ * UniCast Chat Bridge - Ayarlar
+ * chrome.storage.sync'te tutulan kullanıcı ayarları.
+ * Content script'ler, background, popup ve options sayfası aynı modülü kullanır;
+ * değişiklikler sayfa yenilenmeden onChange ile dinleyicilere ulaşır.
+ */
+
+const UniCastSettings = (function() {
+    'use strict';
+
+    const DEFAULTS = {
+        host: 'localhost',
+        port: 9876,
+        platforms: {
+            instagram: true,
+            facebook: true,
+            tiktok: true,
+            kick: true
+        },
+        debug: true,
+        scanInterval: 500,          // ms, periyodik tur (gift combo bitişi, observer yokken tam tarama)
+        maxSeenCache: 500,          // Tekrar önleme için hatırlanan yorum sayısı
+        reconnectInterval: 3000     // ms, yeniden bağlanma beklemesinin başlangıcı (üstel artar)
+    };
+
+    // Sayısal ayarların geçerli aralıkları
+    const LIMITS = {
+        port: [1, 65535],
+        scanInterval: [100, 10000],
+        maxSeenCache: [50, 10000],
+        reconnectInterval: [500, 60000]
+    };
+
+    const HOST_PATTERN = /^[a-z0-9.\-]+$|^\[[0-9a-f:]+\]$/i;
+
+    function defaults() {
+        return JSON.parse(JSON.stringify(DEFAULTS));
+    }
+
+    function clamp(value, [min, max], fallback) {
+        const number = Number(value);
+        if (!Number.isFinite(number)) return fallback;
+        return Math.min(max, Math.max(min, Math.round(number)));
+    }
+
+    /**
+     * Kayıtlı değerleri varsayılanlarla birleştir, geçersizleri düzelt
+     */
+    function normalize(raw) {
+        const result = defaults();
+        if (!raw) return result;
+
+        if (typeof raw.host === 'string' && HOST_PATTERN.test(raw.host.trim())) {
+            result.host = raw.host.trim();
+        }
+
+        for (const key of Object.keys(LIMITS)) {
+            if (raw[key] !== undefined) {
+                result[key] = clamp(raw[key], LIMITS[key], DEFAULTS[key]);
+            }
+        }
+
+        if (typeof raw.debug === 'boolean') {
+            result.debug = raw.debug;
+        }
+
+        if (raw.platforms && typeof raw.platforms === 'object') {
+            for (const platform of Object.keys(result.platforms)) {
+                if (typeof raw.platforms[platform] === 'boolean') {
+                    result.platforms[platform] = raw.platforms[platform];
+                }
+            }
+        }
+
+        return result;
+    }
+
+    async function load() {
+        const stored = await chrome.storage.sync.get(Object.keys(DEFAULTS));
+        return normalize(stored);
+    }
+
+    async function save(values) {
+        const normalized = normalize(Object.assign(await load(), values));
+        await chrome.storage.sync.set(normalized);
+        return normalized;
+    }
+
+    async function reset() {
+        await chrome.storage.sync.set(defaults());
+        return defaults();
+    }
+
+    /**
+     * Ayar değişikliklerini dinle
+     * @param {function(object, object)} callback (yeniAyarlar, öncekiAyarlar)
+     */
+    function onChange(callback) {
+        let current = null;
+        load().then(settings => { current = settings; });
+
+        chrome.storage.onChanged.addListener((changes, area) => {
+            if (area !== 'sync') return;
+            if (!Object.keys(changes).some(key => key in DEFAULTS)) return;
+
+            load().then((settings) => {
+                const previous = current || defaults();
+                current = settings;
+                callback(settings, previous);
+            });
+        });
+    }
+
+    /**
+     * UniCast WebSocket adresi
+     */
+    function endpoint(settings, path) {
+        return `ws://${settings.host}:${settings.port}/${path}`;
+    }
+
+    function isPlatformEnabled(settings, platform) {
+        return settings.platforms[platform] !== false;
+    }
+
+    return {
+        LIMITS,
+        defaults,
+        normalize,
+        load,
+        save,
+        reset,
+        onChange,
+        endpoint,
+        isPlatformEnabled
+    };
+})();
@@ -0,0 +1,82 @@
+'use strict';
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { loadAdapter, readFixture, readExpected, plain, normalizeComments } = require('./harness');
+
+const expected = readExpected('facebook-live.expected.json');
+const generic = readExpected('facebook-live-generic.expected.json');
+
+test('facebook: yorum kutuları, profil linkleri ve yorum id\'leri', async () => {
+    const { window, document, adapter } = await loadAdapter('facebook', {
+        html: readFixture('facebook-live.html'),
+        url: expected.url
+    });
+
+    assert.deepEqual(normalizeComments(window, adapter.extract(document)), expected.comments);
+});
+
+test('facebook: emoji resimleri metinde ve segmentlerde korunur', async () => {
+    const { document, adapter } = await loadAdapter('facebook', {
+        html: readFixture('facebook-live.html'),
+        url: expected.url
+    });
+    const comment = adapter.extract(document).find(c => c.platformId === '1001');
+
+    assert.equal(comment.text, 'Harika yayın 👏');
+    assert.ok(comment.segments.some(segment => segment.type === 'emoji' && segment.alt === '👏'));
+});
+
+test('facebook: izleyici, tepki ve süre', async () => {
+    const { document, adapter } = await loadAdapter('facebook', {
+        html: readFixture('facebook-live.html'),
+        url: expected.url
+    });
+
+    assert.deepEqual(plain(adapter.extractStats(document)), expected.stats);
+});
+
+test('facebook: bilinmeyen DOM\'da buton ve zaman yazıları elenir (isUIElement)', async () => {
+    const { window, document, adapter } = await loadAdapter('facebook', {
+        html: readFixture('facebook-live-generic.html'),
+        url: generic.url
+    });
+
+    assert.deepEqual(normalizeComments(window, adapter.extract(document)), generic.comments);
+});
+
+test('facebook: yayın kimliği video id\'sinden, yoksa sayfa adından', async () => {
+    const cases = [
+        ['https://www.facebook.com/anon.page/videos/777', '777'],
+        ['https://www.facebook.com/anon.page/videos/vb.100/888/?comment_id=1', '888'],
+        ['https://www.facebook.com/watch/live/?v=999&ref=watch', '999'],
+        ['https://www.facebook.com/anon.page/live', 'anon.page']
+    ];
+
+    for (const [url, streamId] of cases) {
+        const { adapter } = await loadAdapter('facebook', { html: '<div></div>', url });
+        assert.equal(adapter.streamId(), streamId, url);
+    }
+});
+
+test('facebook: matchesUrl sayfanın değil verilen adresin yayın olup olmadığına bakar', async () => {
+    const { adapter } = await loadAdapter('facebook', { html: '<div></div>', url: 'https://www.facebook.com/anon.page/videos/777' });
+
+    assert.equal(adapter.matchesUrl('https://www.facebook.com/anon.page/videos/777'), true);
+    assert.equal(adapter.matchesUrl('https://www.facebook.com/marketplace/'), false);
+    assert.equal(adapter.matchesUrl('https://www.facebook.com/anon.page/live'), true);
+    assert.equal(adapter.matchesUrl('https://www.facebook.com/watch/?v=777'), true);
+    assert.equal(adapter.matchesUrl('https://www.facebook.com/olivia'), false);
+});
+
+test('facebook: moderasyon menü öğeleri tam metinle eşleşir', async () => {
+    const { adapter } = await loadAdapter('facebook', { html: '<div></div>', url: 'https://www.facebook.com/anon.page/videos/777' });
+    const { pinComment, hideComment, blockUser } = adapter.menuItems;
+
+    assert.equal(blockUser.test('Block'), true);
+    assert.equal(blockUser.test('Block messages…'), false);
+    assert.equal(blockUser.test('Mesajları engelle'), false);
+    assert.equal(hideComment.test('Delete'), true);
+    assert.equal(hideComment.test('Delete all…'), false);
+    assert.equal(pinComment.test('Yorumu sabitle'), true);
+});
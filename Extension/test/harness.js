@@ -0,0 +1,225 @@
+/**
+ * UniCast Chat Bridge - Test Ortamı
+ * Content script'leri jsdom'da manifest'teki sırayla yükler ve platform adapter'ını
+ * bridge'i başlatmadan yakalar; testler extractor'ları doğrudan fixture sayfasında çalıştırır.
+ * Tarayıcı ve ağ gerekmez, chrome.* API'si bellekte taklit edilir.
+ */
+
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+const { JSDOM } = require('jsdom');
+
+const EXTENSION_DIR = path.join(__dirname, '..');
+const FIXTURE_DIR = path.join(__dirname, 'fixtures');
+
+// Karşılaştırılan yorum alanları; element ve segmentler ayrıca test edilir
+const COMMENT_FIELDS = ['username', 'text', 'userId', 'profileUrl', 'avatarUrl', 'badges', 'platformId'];
+
+function readFixture(name) {
+    return fs.readFileSync(path.join(FIXTURE_DIR, name), 'utf8');
+}
+
+function readExpected(name) {
+    return JSON.parse(readFixture(name));
+}
+
+/**
+ * Platformun content script listesi (manifest.json)
+ */
+function contentScripts(platform) {
+    const manifest = JSON.parse(fs.readFileSync(path.join(EXTENSION_DIR, 'manifest.json'), 'utf8'));
+    const entry = manifest.content_scripts.find(script => script.js.includes(`content-${platform}.js`));
+    if (!entry) {
+        throw new Error(`Manifest'te ${platform} content script'i yok`);
+    }
+    return entry.js;
+}
+
+function createEvent() {
+    const listeners = [];
+    return {
+        addListener: listener => listeners.push(listener),
+        removeListener: (listener) => {
+            const index = listeners.indexOf(listener);
+            if (index >= 0) listeners.splice(index, 1);
+        },
+        fire: (...args) => listeners.forEach(listener => listener(...args))
+    };
+}
+
+/**
+ * chrome.storage ve chrome.runtime'ın bellekteki karşılığı
+ */
+function createChrome(storage = {}) {
+    const onChanged = createEvent();
+    const areas = { sync: {}, local: Object.assign({}, storage), session: {} };
+
+    function area(name) {
+        const data = areas[name];
+        return {
+            get: async (keys) => {
+                const list = keys == null ? Object.keys(data) : [].concat(keys);
+                const result = {};
+                list.filter(key => key in data).forEach((key) => {
+                    result[key] = JSON.parse(JSON.stringify(data[key]));
+                });
+                return result;
+            },
+            set: async (values) => {
+                const changes = {};
+                for (const [key, value] of Object.entries(values)) {
+                    changes[key] = { oldValue: data[key], newValue: value };
+                    data[key] = JSON.parse(JSON.stringify(value));
+                }
+                onChanged.fire(changes, name);
+            },
+            remove: async (keys) => {
+                [].concat(keys).forEach(key => delete data[key]);
+            }
+        };
+    }
+
+    return {
+        runtime: {
+            id: 'test',
+            getManifest: () => JSON.parse(fs.readFileSync(path.join(EXTENSION_DIR, 'manifest.json'), 'utf8')),
+            onMessage: createEvent(),
+            sendMessage: async () => {}
+        },
+        storage: {
+            sync: area('sync'),
+            local: area('local'),
+            session: area('session'),
+            onChanged
+        }
+    };
+}
+
+const BLOCK_TAGS = new Set([
+    'ADDRESS', 'ARTICLE', 'ASIDE', 'DIV', 'FOOTER', 'H1', 'H2', 'H3', 'H4', 'H5', 'H6',
+    'HEADER', 'LI', 'MAIN', 'NAV', 'OL', 'P', 'SECTION', 'UL'
+]);
+
+/**
+ * jsdom innerText'i desteklemez; Facebook extractor'ı satırları innerText'ten böler.
+ * Blok elementleri satır sonuyla ayıran basit bir karşılık yeterli.
+ */
+function installInnerText(window) {
+    function collect(node, parts) {
+        if (node.nodeType === window.Node.TEXT_NODE) {
+            parts.push(node.textContent.replace(/\s+/g, ' '));
+            return;
+        }
+        if (node.nodeType !== window.Node.ELEMENT_NODE) return;
+        if (node.tagName === 'BR') {
+            parts.push('\n');
+            return;
+        }
+
+        const block = BLOCK_TAGS.has(node.tagName);
+        if (block) parts.push('\n');
+        node.childNodes.forEach(child => collect(child, parts));
+        if (block) parts.push('\n');
+    }
+
+    Object.defineProperty(window.HTMLElement.prototype, 'innerText', {
+        configurable: true,
+        get() {
+            const parts = [];
+            collect(this, parts);
+            return parts.join('')
+                .split('\n')
+                .map(line => line.trim())
+                .filter(Boolean)
+                .join('\n');
+        }
+    });
+}
+
+/**
+ * Fixture sayfasını aç ve platform adapter'ını yükle
+ * @param {string} platform instagram | facebook | tiktok | kick
+ * @param {object} options { html, url, storage }
+ * @returns {Promise<{window, document, adapter}>}
+ */
+async function loadAdapter(platform, { html, url, storage } = {}) {
+    const dom = new JSDOM(html, { url, runScripts: 'outside-only', pretendToBeVisual: true });
+    const window = dom.window;
+    window.chrome = createChrome(storage);
+    installInnerText(window);
+
+    const context = dom.getInternalVMContext();
+    const run = (file) => {
+        const source = fs.readFileSync(path.join(EXTENSION_DIR, file), 'utf8');
+        new vm.Script(source, { filename: file }).runInContext(context);
+    };
+
+    const scripts = contentScripts(platform);
+    scripts.slice(0, -1).forEach(run);
+
+    // Bridge başlatılmaz: port, observer ve zamanlayıcı olmadan sadece extractor'lar çalışır
+    let adapter = null;
+    window.UniCastBridge.registerAdapter = (registered) => {
+        adapter = registered;
+    };
+    run(scripts[scripts.length - 1]);
+
+    if (!adapter) {
+        throw new Error(`${platform} adapter'ı kaydolmadı`);
+    }
+
+    // Kayıtlı bir selector paketi verildiyse content script'teki gibi yükle
+    await vm.runInContext('SelectorPacks.load()', context);
+
+    return { window, document: window.document, adapter };
+}
+
+/**
+ * Sayfanın VM bağlamında oluşan nesneleri Node nesnelerine çevir
+ * (deepStrictEqual prototipleri de karşılaştırır)
+ */
+function plain(value) {
+    return JSON.parse(JSON.stringify(value));
+}
+
+function byDocumentOrder(window) {
+    return (a, b) => (a.compareDocumentPosition(b) & window.Node.DOCUMENT_POSITION_FOLLOWING ? -1 : 1);
+}
+
+/**
+ * Extractor sonucunu karşılaştırılabilir hale getir: sayfa sırası, boş alanlar atılır
+ */
+function normalizeComments(window, comments) {
+    return plain(comments
+        .slice()
+        .sort((a, b) => byDocumentOrder(window)(a.element, b.element))
+        .map((comment) => {
+            const result = {};
+            COMMENT_FIELDS.forEach((field) => {
+                const value = comment[field];
+                if (value === undefined || value === null) return;
+                if (Array.isArray(value) && value.length === 0) return;
+                result[field] = value;
+            });
+            return result;
+        }));
+}
+
+/**
+ * Olayların bridge'e giden kısmı (key sayaçtan üretilir, karşılaştırılmaz)
+ */
+function normalizeEvents(events) {
+    return plain(events.map(event => ({ type: event.type, data: event.data })));
+}
+
+module.exports = {
+    loadAdapter,
+    readFixture,
+    readExpected,
+    plain,
+    normalizeComments,
+    normalizeEvents
+};
@@ -0,0 +1,49 @@
+'use strict';
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { loadAdapter, readFixture, readExpected, plain, normalizeComments } = require('./harness');
+
+const expected = readExpected('instagram-live.expected.json');
+
+async function openFixture() {
+    return loadAdapter('instagram', { html: readFixture('instagram-live.html'), url: expected.url });
+}
+
+test('instagram: yorumlar, yazarlar ve rozetler', async () => {
+    const { window, document, adapter } = await openFixture();
+    assert.deepEqual(normalizeComments(window, adapter.extract(document)), expected.comments);
+});
+
+test('instagram: başlık ve buton yazıları yorum sayılmaz', async () => {
+    const { document, adapter } = await openFixture();
+    const texts = adapter.extract(document).map(comment => comment.text);
+
+    for (const uiText of ['LIVE', 'Comment', 'Send']) {
+        assert.ok(!texts.includes(uiText), `'${uiText}' yorum olarak alındı`);
+    }
+});
+
+test('instagram: mention ve hashtag segmentleri', async () => {
+    const { document, adapter } = await openFixture();
+    const comment = adapter.extract(document).find(c => c.username === 'verified_two');
+
+    assert.deepEqual(plain(comment.segments.map(segment => segment.type)), ['text', 'mention', 'text', 'hashtag']);
+});
+
+test('instagram: izleyici sayısı', async () => {
+    const { document, adapter } = await openFixture();
+    assert.deepEqual(plain(adapter.extractStats(document)), expected.stats);
+});
+
+test('instagram: strateji sayaçları ret nedenlerini tutar', async () => {
+    const { document, adapter } = await openFixture();
+    const comments = adapter.extract(document);
+    const report = plain(adapter.diagnostics.report());
+
+    const fromDivs = comments.filter(comment => comment.source === 'div-2span').length;
+    assert.equal(report['div-2span'].found - report['div-2span'].rejected, fromDivs);
+    assert.ok(report['div-2span'].reasons.ui_text >= 2, 'LIVE ve Share/Send satırları arayüz metni sayılmadı');
+    // Aynı satırlar yedek stratejide tekrar bulunur, ikinci kez eklenmez
+    assert.ok(report['sibling-span'].deduped > 0);
+});
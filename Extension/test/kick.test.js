@@ -0,0 +1,64 @@
+'use strict';
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { loadAdapter, readFixture, readExpected, plain, normalizeComments, normalizeEvents } = require('./harness');
+
+const expected = readExpected('kick-live.expected.json');
+
+async function openFixture(options = {}) {
+    return loadAdapter('kick', Object.assign({ html: readFixture('kick-live.html'), url: expected.url }, options));
+}
+
+test('kick: yorumlar ve rozetler (yeni ve eski sohbet yapısı)', async () => {
+    const { window, document, adapter } = await openFixture();
+    assert.deepEqual(normalizeComments(window, adapter.extract(document)), expected.comments);
+});
+
+test('kick: abonelik satırları yorum sayılmaz, "subscribed" yazan izleyici yorumdur', async () => {
+    const { document, adapter } = await openFixture();
+    const usernames = adapter.extract(document).map(comment => comment.username);
+
+    assert.ok(usernames.includes('viewer_eight'));
+    assert.ok(!usernames.some(username => ['sub_fan', 'gifter_five', 'gifter_six'].includes(username)));
+
+    const report = plain(adapter.diagnostics.report());
+    assert.equal(report['row-extract'].reasons.social_row, 1);
+    assert.equal(report['row-extract'].reasons.ui_text, 1);
+});
+
+test('kick: abonelik, toplu ve tek kişiye hediye abonelik', async () => {
+    const { document, adapter } = await openFixture();
+    assert.deepEqual(normalizeEvents(adapter.extractEvents(document)), expected.events);
+});
+
+test('kick: aynı satır tekrar taranınca abonelik tekrar gönderilmez', async () => {
+    const { document, adapter } = await openFixture();
+    adapter.extractEvents(document);
+
+    assert.equal(adapter.extractEvents(document).length, 0);
+});
+
+test('kick: izleyici sayısı', async () => {
+    const { document, adapter } = await openFixture();
+    assert.deepEqual(plain(adapter.extractStats(document)), expected.stats);
+});
+
+test('kick: yayın kimliği kanal adı, kanal dışı sayfalar yayın sayılmaz', async () => {
+    const channel = await loadAdapter('kick', { html: '<div></div>', url: 'https://kick.com/Host-Anon?clip=1' });
+    assert.equal(channel.adapter.streamId(), 'host-anon');
+    assert.equal(channel.adapter.matchesUrl(channel.window.location.href), true);
+
+    const popout = await loadAdapter('kick', { html: '<div></div>', url: 'https://kick.com/popout/host-anon/chat' });
+    assert.equal(popout.adapter.streamId(), 'host-anon');
+
+    const browse = await loadAdapter('kick', { html: '<div></div>', url: 'https://kick.com/browse/categories' });
+    assert.equal(browse.adapter.matchesUrl(browse.window.location.href), false);
+});
+
+test('kick: matchesUrl sayfanın değil verilen adresin kanal olup olmadığına bakar', async () => {
+    const { adapter } = await loadAdapter('kick', { html: '<div></div>', url: 'https://kick.com/host-anon' });
+
+    assert.equal(adapter.matchesUrl('https://kick.com/browse/categories'), false);
+    assert.equal(adapter.matchesUrl('https://kick.com/other-host'), true);
+});
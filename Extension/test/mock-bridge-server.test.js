@@ -0,0 +1,151 @@
+'use strict';
+
+const { test, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const WebSocket = require('ws');
+const { createMockServer } = require('../tools/mock-bridge-server');
+
+const HELLO = {
+    type: 'hello',
+    protocolVersion: 1,
+    extensionVersion: '2.0.0',
+    installId: 'test-install',
+    adapters: [],
+    events: ['comment']
+};
+
+let server;
+
+beforeEach(async () => {
+    server = await createMockServer({ port: 0, log: () => {} });
+});
+
+afterEach(async () => {
+    await server.close();
+});
+
+/**
+ * Bağlan ve gelen mesajları sırayla bekle
+ */
+function connect(path = 'bridge') {
+    const socket = new WebSocket(`ws://localhost:${server.port}/${path}`);
+    const inbox = [];
+    const waiters = [];
+
+    socket.on('message', (data) => {
+        const message = JSON.parse(data.toString());
+        const waiter = waiters.shift();
+        if (waiter) waiter(message);
+        else inbox.push(message);
+    });
+
+    return new Promise((resolve) => {
+        socket.on('open', () => resolve({
+            send: message => socket.send(JSON.stringify(message)),
+            next: () => (inbox.length > 0
+                ? Promise.resolve(inbox.shift())
+                : new Promise(resolveMessage => waiters.push(resolveMessage))),
+            close: () => socket.close()
+        }));
+    });
+}
+
+function waitFor(predicate, timeout = 1000) {
+    const started = Date.now();
+    return new Promise((resolve, reject) => {
+        const check = () => {
+            if (predicate()) return resolve();
+            if (Date.now() - started > timeout) return reject(new Error('Zaman aşımı'));
+            setTimeout(check, 10);
+        };
+        check();
+    });
+}
+
+test('mock: hello\'ya welcome döner', async () => {
+    const client = await connect();
+    client.send(HELLO);
+
+    const welcome = await client.next();
+    assert.equal(welcome.type, 'welcome');
+    assert.equal(welcome.paired, true);
+    assert.ok(welcome.accepts.includes('comment'));
+    client.close();
+});
+
+test('mock: şemaya uymayan mesaj hata ile kaydedilir', async () => {
+    const client = await connect();
+    client.send(HELLO);
+    await client.next();
+
+    client.send({ type: 'comment', data: { id: 'x', username: '', text: 'hi', timestamp: 1, platform: 'myspace' } });
+    await waitFor(() => server.received.length === 2);
+
+    const { message, errors } = server.received[1];
+    assert.equal(message.type, 'comment');
+    assert.ok(errors.some(error => error.includes('$.data.username')));
+    assert.ok(errors.some(error => error.includes('$.data.platform')));
+    client.close();
+});
+
+test('mock: komutlar platformun sekmesini bildiren client\'a gider', async () => {
+    const client = await connect();
+    client.send(HELLO);
+    await client.next();
+    client.send({ type: 'connected', platform: 'tiktok', url: 'https://www.tiktok.com/@x/live', timestamp: 1 });
+    await waitFor(() => server.clients.get('c1').platforms.has('tiktok'));
+
+    const requestId = server.sendCommand('sendComment', 'tiktok', { text: 'merhaba' });
+    const command = await client.next();
+    assert.deepEqual(command, { type: 'sendComment', requestId, platform: 'tiktok', text: 'merhaba' });
+
+    // Extension'ın reddedeceği komut gönderilmez
+    assert.equal(server.send('c1', { type: 'sendComment', requestId: 'r', platform: 'tiktok', text: '' }), false);
+    client.close();
+});
+
+test('mock: eski platform yolu platformu belirler', async () => {
+    const client = await connect('facebook');
+    await waitFor(() => server.clients.size === 1);
+
+    assert.deepEqual(Array.from(server.clients.get('c1').platforms), ['facebook']);
+    client.close();
+
+    // Platform listesi protocol.js'ten gelir
+    const kick = await connect('kick');
+    await waitFor(() => server.clients.has('c2'));
+
+    assert.deepEqual(Array.from(server.clients.get('c2').platforms), ['kick']);
+    kick.close();
+});
+
+test('mock: eşleştirilmemiş extension kodla token alır', async () => {
+    await server.close();
+    server = await createMockServer({ port: 0, paired: false, pairCode: '654321', log: () => {} });
+
+    const client = await connect();
+    client.send(HELLO);
+    assert.deepEqual(await client.next(), { type: 'reject', reason: 'unpaired' });
+
+    client.send({ type: 'pair', code: '111111', installId: 'test-install' });
+    assert.equal((await client.next()).type, 'pairFailed');
+
+    client.send({ type: 'pair', code: '654321', installId: 'test-install' });
+    const { token } = await client.next();
+
+    client.send(Object.assign({ token }, HELLO));
+    assert.equal((await client.next()).type, 'welcome');
+    client.close();
+});
+
+test('mock: cevap gecikmesi ve bağlantı kopması', async () => {
+    server.setAckDelay(150);
+    const client = await connect();
+    const started = Date.now();
+    client.send(HELLO);
+    await client.next();
+    assert.ok(Date.now() - started >= 140);
+
+    assert.equal(server.drop(), 1);
+    await waitFor(() => server.clients.size === 0);
+});
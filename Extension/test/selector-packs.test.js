@@ -0,0 +1,145 @@
+'use strict';
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+const { loadAdapter, readFixture, readExpected, normalizeComments } = require('./harness');
+
+const PLATFORMS = ['instagram', 'facebook', 'tiktok', 'kick'];
+
+/**
+ * selector-packs.js'i background'daki gibi DOM'suz bir bağlamda yükle
+ */
+function loadInServiceWorker() {
+    const context = vm.createContext({ console });
+    const source = fs.readFileSync(path.join(__dirname, '..', 'selector-packs.js'), 'utf8');
+    new vm.Script(`${source}\nthis.SelectorPacks = SelectorPacks;`, { filename: 'selector-packs.js' }).runInContext(context);
+    return context.SelectorPacks;
+}
+
+function packWith(selectors) {
+    return { version: 2, platforms: { tiktok: { selectors } } };
+}
+
+test('selector paketleri: boş liste geçersiz', () => {
+    const SelectorPacks = loadInServiceWorker();
+
+    assert.equal(SelectorPacks.validate(packWith({ username: [] })).length, 1);
+    assert.equal(SelectorPacks.validate({ version: 2, platforms: { tiktok: { uiTexts: [] } } }).length, 1);
+});
+
+test('selector paketleri: service worker DOM olmadan seçici sözdizimini doğrular', () => {
+    const SelectorPacks = loadInServiceWorker();
+    const invalid = ['div[', '[class*=]', 'a >', 'a,,b', '#1abc', ':no-such-class', 'div::before', 'a:not(.b'];
+
+    invalid.forEach((selector) => {
+        assert.equal(SelectorPacks.validate(packWith({ username: [selector] })).length, 1, selector);
+    });
+
+    assert.deepEqual(Array.from(SelectorPacks.validate(packWith({
+        username: ['[class*="SpanUserNameText"]', 'span[dir="auto"]:not(:first-child)', 'ul > li:nth-child(2n + 1)', ':is(.a, .b) ~ [data-x="1" i]']
+    }))), []);
+});
+
+test('selector paketleri: rozet desenleri doğrulanır', () => {
+    const SelectorPacks = loadInServiceWorker();
+    const withBadges = badges => ({ version: 2, platforms: { tiktok: { badges } } });
+
+    assert.equal(SelectorPacks.validate(withBadges({ host: { attr: '(unclosed' } })).length, 1);
+    assert.equal(SelectorPacks.validate(withBadges({ vip: { text: '^VIP$' } })).length, 1);
+    assert.equal(SelectorPacks.validate(withBadges({ moderator: {} })).length, 1);
+    assert.equal(SelectorPacks.validate(withBadges({ moderator: { text: '^(Mod|Moderatör)$' } })).length, 0);
+});
+
+test('selector paketleri: metin desenleri doğrulanır', () => {
+    const SelectorPacks = loadInServiceWorker();
+    const withPatterns = patterns => ({ version: 2, platforms: { tiktok: { patterns } } });
+
+    assert.equal(SelectorPacks.validate(withPatterns({ follow: '(unclosed' })).length, 1);
+    assert.equal(SelectorPacks.validate(withPatterns({ confirm: '' })).length, 1);
+    assert.equal(SelectorPacks.validate(withPatterns({ follow: '^(followed|takip etti)$' })).length, 0);
+});
+
+test('selector paketleri: yerleşik seçici, rozet ve desenlerin hepsi service worker doğrulamasından geçer', () => {
+    const SelectorPacks = loadInServiceWorker();
+    const platforms = {};
+    PLATFORMS.forEach((platform) => {
+        const { selectors, badges, patterns } = SelectorPacks.rules(platform);
+        platforms[platform] = {
+            selectors,
+            patterns: Object.fromEntries(Object.entries(patterns).map(([name, pattern]) => [name, pattern.source])),
+            badges: Object.fromEntries(badges.map(rule => [rule.badge, {
+                attr: rule.attr ? rule.attr.source : undefined,
+                text: rule.text ? rule.text.source : undefined
+            }]))
+        };
+    });
+
+    assert.deepEqual(Array.from(SelectorPacks.validate({ version: 2, platforms })), []);
+});
+
+test('selector paketleri: geçersiz seçicili kayıtlı paket yerine yerleşik seçiciler kullanılır', async () => {
+    const expected = readExpected('tiktok-live.expected.json');
+    const selectorPack = packWith({ commentItem: ['div['], username: ['.Who'] });
+
+    const { window, document, adapter } = await loadAdapter('tiktok', {
+        html: readFixture('tiktok-live.html'),
+        url: expected.url,
+        storage: { selectorPack }
+    });
+
+    assert.equal(window.eval('SelectorPacks.version()'), window.eval('SelectorPacks.BUILT_IN_VERSION'));
+    assert.deepEqual(normalizeComments(window, adapter.extract(document)), expected.comments);
+});
+
+test('selector paketleri: TikTok istatistik ve rozetleri de paketten okunur', async () => {
+    const html = '<div class="Watchers">1.5K</div><div class="MsgRow"><img alt="VIP Mod"><b class="Who">pack_user</b><i class="What">hi</i></div>';
+    const selectorPack = {
+        version: 2,
+        platforms: {
+            tiktok: {
+                selectors: { viewers: ['.Watchers'], commentItem: ['.MsgRow'], username: ['.Who'], message: ['.What'] },
+                badges: { moderator: { attr: 'vip mod' } }
+            }
+        }
+    };
+
+    const { window, document, adapter } = await loadAdapter('tiktok', { html, url: 'https://www.tiktok.com/@host/live', storage: { selectorPack } });
+
+    assert.equal(adapter.extractStats(document).viewers, 1500);
+    assert.deepEqual(normalizeComments(window, adapter.extract(document)), [
+        { username: 'pack_user', text: 'hi', badges: ['moderator'] }
+    ]);
+});
+
+test('selector paketleri: geçersiz seçiciyle tarama hata vermez', async () => {
+    const { window, document } = await loadAdapter('kick', { html: '<div class="row"></div>', url: 'https://kick.com/host' });
+
+    assert.equal(window.UniCastBridge.queryAll(document, 'div[').length, 0);
+    assert.equal(window.UniCastBridge.queryAll(document, '.row').length, 1);
+});
+
+test('selector paketleri: Kick izleyici, yorum kutusu ve rozetleri de paketten okunur', async () => {
+    const html = '<div class="Watchers">2K</div><textarea class="Box"></textarea><button class="Go"></button>' +
+        '<div data-chat-entry><span class="badge-tooltip"><img alt="Mod Star"></span><button data-chat-entry-user>pack_user</button><span class="chat-entry-content">hi</span></div>';
+    const selectorPack = {
+        version: 2,
+        platforms: {
+            kick: {
+                selectors: { viewers: ['.Watchers'], composer: ['.Box'], submitButton: ['.Go'] },
+                badges: { moderator: { attr: 'mod star' } }
+            }
+        }
+    };
+
+    const { window, document, adapter } = await loadAdapter('kick', { html, url: 'https://kick.com/host-anon', storage: { selectorPack } });
+
+    assert.equal(adapter.extractStats(document).viewers, 2000);
+    assert.equal(adapter.findComposer(), document.querySelector('.Box'));
+    assert.equal(adapter.findSubmitButton(), document.querySelector('.Go'));
+    assert.deepEqual(normalizeComments(window, adapter.extract(document)), [
+        { username: 'pack_user', text: 'hi', badges: ['moderator'] }
+    ]);
+});
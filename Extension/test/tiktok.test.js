@@ -0,0 +1,111 @@
+'use strict';
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { loadAdapter, readFixture, readExpected, plain, normalizeComments, normalizeEvents } = require('./harness');
+
+const expected = readExpected('tiktok-live.expected.json');
+
+async function openFixture(options = {}) {
+    return loadAdapter('tiktok', Object.assign({ html: readFixture('tiktok-live.html'), url: expected.url }, options));
+}
+
+test('tiktok: yorumlar, yazarlar ve rozetler', async () => {
+    const { window, document, adapter } = await openFixture();
+    assert.deepEqual(normalizeComments(window, adapter.extract(document)), expected.comments);
+});
+
+test('tiktok: sistem satırları yorum sayılmaz, "joined late lol" yorumdur', async () => {
+    const { document, adapter } = await openFixture();
+    const texts = adapter.extract(document).map(comment => comment.text);
+
+    assert.ok(texts.includes('joined late lol'));
+    assert.ok(!texts.some(text => /^(joined|sent likes( x15)?|followed the host)$/.test(text)));
+});
+
+test('tiktok: katılma, beğeni, takip ve biten gift serisi', async () => {
+    const { document, adapter } = await openFixture();
+    const events = adapter.extractEvents(document);
+
+    // Gift serisi element sayfadan kalkınca biter
+    document.body.innerHTML = '';
+    events.push(...adapter.flushEvents());
+
+    assert.deepEqual(normalizeEvents(events), expected.events);
+});
+
+test('tiktok: aynı satır tekrar taranınca sosyal olay tekrar gönderilmez', async () => {
+    const { document, adapter } = await openFixture();
+    adapter.extractEvents(document);
+
+    const types = adapter.extractEvents(document).map(event => event.type);
+    assert.ok(!types.some(type => ['member_join', 'like', 'follow'].includes(type)));
+});
+
+test('tiktok: yeniden çizilen sistem satırı aynı olayı tekrar göndermez, beğeni farkı gönderilir', async () => {
+    const { document, adapter } = await openFixture();
+    const first = adapter.extractEvents(document).filter(event => event.type !== 'gift');
+
+    // TikTok listeyi yeniden çizince satırlar yeni element olarak gelir
+    const list = document.querySelector('[data-e2e="social-message"]').parentElement;
+    list.innerHTML = list.innerHTML;
+    assert.deepEqual(plain(adapter.extractEvents(document).filter(event => event.type !== 'gift')), []);
+
+    const likeRow = Array.from(document.querySelectorAll('[data-e2e="social-message"]'))
+        .find(row => row.textContent.includes('sent likes'));
+    likeRow.querySelector('.css-k-SpanLikeCount').textContent = 'x20';
+    const events = adapter.extractEvents(document).filter(event => event.type !== 'gift');
+
+    assert.deepEqual(normalizeEvents(events), [{ type: 'like', data: { username: 'fan_five', count: 5 } }]);
+    assert.ok(!first.some(event => event.key === events[0].key));
+});
+
+test('tiktok: menü, onay ve sistem satırı desenleri selector paketinden okunur', async () => {
+    const selectorPack = {
+        version: 2,
+        platforms: {
+            tiktok: {
+                patterns: { follow: '^(started following)$', blockUser: '^(Restrict)$' }
+            }
+        }
+    };
+    const html = '<div class="css-s1-DivSocialMessage" data-e2e="social-message">' +
+        '<span class="css-u1-SpanUserNameText">pack_fan</span> <span>started following</span></div>';
+
+    const { document, adapter } = await openFixture({ html, storage: { selectorPack } });
+
+    assert.deepEqual(normalizeEvents(adapter.extractEvents(document)), [{ type: 'follow', data: { username: 'pack_fan' } }]);
+    assert.equal(adapter.menuItems.blockUser.test('Restrict'), true);
+    assert.equal(adapter.menuItems.pinComment.test('Sabitle'), true);
+    assert.equal(adapter.confirmPattern.test('Onayla'), true);
+});
+
+test('tiktok: izleyici ve beğeni sayısı', async () => {
+    const { document, adapter } = await openFixture();
+    assert.deepEqual(plain(adapter.extractStats(document)), expected.stats);
+});
+
+test('tiktok: kayıtlı selector paketi yerleşik seçicilerin yerine geçer', async () => {
+    const html = '<div class="RoomChat"><div class="MsgRow"><b class="Who">pack_user</b><i class="What">from the pack</i></div></div>';
+    const selectorPack = {
+        version: 2,
+        platforms: {
+            tiktok: {
+                selectors: { commentItem: ['.MsgRow'], username: ['.Who'], message: ['.What'] }
+            }
+        }
+    };
+
+    const builtIn = await openFixture({ html });
+    assert.equal(builtIn.adapter.extract(builtIn.document).length, 0);
+
+    const { window, document, adapter } = await openFixture({ html, storage: { selectorPack } });
+    assert.deepEqual(normalizeComments(window, adapter.extract(document)), [
+        { username: 'pack_user', text: 'from the pack' }
+    ]);
+});
+
+test('tiktok: yayın kimliği yayıncının kullanıcı adı', async () => {
+    const { adapter } = await loadAdapter('tiktok', { html: '<div></div>', url: 'https://www.tiktok.com/@Host_Anon/live?lang=tr' });
+    assert.equal(adapter.streamId(), 'host_anon');
+});
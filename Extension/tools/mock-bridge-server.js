@@ -0,0 +1,365 @@
+#!/usr/bin/env node
+/**
+ * UniCast Chat Bridge - Sahte Bridge Sunucusu
+ * Masaüstü uygulaması (ExtensionBridgeServer) olmadan extension'ı geliştirmek için.
+ * Aynı port ve yolları dinler (/bridge, eski platform yolları /instagram, /tiktok vb. ve /ping),
+ * el sıkışma ve eşleştirmeyi cevaplar, gelen her mesajı protocol.js şemalarıyla doğrulayıp loglar.
+ *
+ * Kullanım:
+ *   npm run mock-server -- [--port 9876] [--pair-code 123456] [--unpaired]
+ *                          [--ack-delay ms] [--drop-every sn] [--quiet]
+ *
+ * Konsol komutları:
+ *   ping | status [tabId] | send <platform> <metin> | pin|hide|block <platform> <yorumId>
+ *   pack <dosya.json> | delay <ms> | drop | clients | help | quit
+ */
+
+'use strict';
+
+const fs = require('fs');
+const http = require('http');
+const path = require('path');
+const readline = require('readline');
+const vm = require('vm');
+const { WebSocketServer } = require('ws');
+
+const DEFAULT_PORT = 9876;
+const DEFAULT_PAIR_CODE = '123456';
+const MODERATION_COMMANDS = { pin: 'pinComment', hide: 'hideComment', block: 'blockUser' };
+
+/**
+ * Extension'ın protocol.js'i; şemalar iki tarafta aynı kalsın diye dosyadan yüklenir
+ */
+function loadProtocol() {
+    const source = fs.readFileSync(path.join(__dirname, '..', 'protocol.js'), 'utf8');
+    const context = vm.createContext({});
+    vm.runInContext(`${source}\nthis.BridgeProtocol = BridgeProtocol;`, context, { filename: 'protocol.js' });
+    return context.BridgeProtocol;
+}
+
+/**
+ * Sahte sunucu
+ * @param {object} options { port, pairCode, paired, ackDelay, log }
+ * @returns {Promise<object>} { port, clients, send, broadcast, ping, getStatus, sendCommand, sendSelectorPack, drop, setAckDelay, close, received }
+ */
+function createMockServer(options = {}) {
+    const protocol = loadProtocol();
+    const pairCode = options.pairCode || DEFAULT_PAIR_CODE;
+    const log = options.log || ((...args) => console.log('[Mock]', ...args));
+
+    let ackDelay = options.ackDelay || 0;
+    let clientCounter = 0;
+    let requestCounter = 0;
+    const tokens = new Set(options.tokens || []);
+    // clientId → { socket, path, authorized, platforms }
+    const clients = new Map();
+    // Gelen mesajlar ve doğrulama sonuçları (testler için)
+    const received = [];
+
+    const httpServer = http.createServer((request, response) => {
+        // Gerçek sunucu gibi: WebSocket olmayan istekler durum döner
+        response.writeHead(200, { 'Content-Type': 'application/json' });
+        response.end(JSON.stringify({ status: 'ok', clients: clients.size }));
+    });
+    const wss = new WebSocketServer({ server: httpServer });
+
+    function reply(clientId, message, delayed = false) {
+        const send = () => {
+            const client = clients.get(clientId);
+            if (!client || client.socket.readyState !== client.socket.OPEN) return;
+            client.socket.send(JSON.stringify(message));
+            log(`→ ${clientId}`, JSON.stringify(message));
+        };
+        if (delayed && ackDelay > 0) {
+            setTimeout(send, ackDelay);
+        } else {
+            send();
+        }
+    }
+
+    /**
+     * Sunucudan giden mesaj; extension'ın kabul edeceği şemada olmalı
+     */
+    function send(clientId, message) {
+        const errors = protocol.validateInbound(message);
+        if (errors.length > 0) {
+            log('✗ Gönderilmedi, şemaya uymuyor:', errors.join('; '));
+            return false;
+        }
+        reply(clientId, message);
+        return true;
+    }
+
+    function authorizedClients() {
+        return Array.from(clients.entries()).filter(([, client]) => client.authorized).map(([id]) => id);
+    }
+
+    function broadcast(message) {
+        return authorizedClients().filter(clientId => send(clientId, message)).length;
+    }
+
+    /**
+     * Komutu platformun sekmesini bildiren client'a gönder; yoksa tüm yetkili client'lara
+     */
+    function sendCommand(type, platform, fields = {}) {
+        const message = Object.assign({ type, requestId: `mock-${++requestCounter}`, platform }, fields);
+        const target = authorizedClients().filter(clientId => clients.get(clientId).platforms.has(platform));
+        const recipients = target.length > 0 ? target : authorizedClients();
+
+        recipients.forEach(clientId => send(clientId, message));
+        return recipients.length > 0 ? message.requestId : null;
+    }
+
+    function handleHello(clientId, message) {
+        const client = clients.get(clientId);
+
+        if (message.protocolVersion < protocol.MIN_PROTOCOL_VERSION) {
+            reply(clientId, { type: 'reject', reason: 'protocol_version' }, true);
+            return;
+        }
+
+        const known = message.token && tokens.has(message.token);
+        if (options.paired === false && !known) {
+            log(`Eşleştirilmemiş extension; popup'a ${pairCode} girin`);
+            reply(clientId, { type: 'reject', reason: 'unpaired' }, true);
+            return;
+        }
+
+        client.authorized = true;
+        reply(clientId, {
+            type: 'welcome',
+            protocolVersion: Math.min(message.protocolVersion, protocol.PROTOCOL_VERSION),
+            paired: true,
+            accepts: protocol.OUTBOUND_EVENTS,
+            platforms: protocol.PLATFORMS
+        }, true);
+    }
+
+    function handlePair(clientId, message) {
+        if (message.code !== pairCode) {
+            reply(clientId, { type: 'pairFailed', reason: 'invalid_code' }, true);
+            return;
+        }
+
+        const token = `mock-token-${Date.now().toString(36)}-${clientCounter}`;
+        tokens.add(token);
+        reply(clientId, { type: 'paired', token }, true);
+    }
+
+    function handleMessage(clientId, raw) {
+        const client = clients.get(clientId);
+        let message;
+        try {
+            message = JSON.parse(raw);
+        } catch (e) {
+            log(`✗ ${clientId} JSON değil:`, String(raw).slice(0, 200));
+            received.push({ clientId, raw: String(raw), errors: ['JSON değil'] });
+            return;
+        }
+
+        const errors = protocol.validateOutbound(message);
+        received.push({ clientId, message, errors });
+
+        if (errors.length > 0) {
+            log(`✗ ${clientId} ${message.type || '?'}:`, errors.join('; '));
+        } else {
+            log(`← ${clientId} ${message.type}`, JSON.stringify(message).slice(0, 300));
+        }
+
+        switch (message.type) {
+            case 'hello':
+                handleHello(clientId, message);
+                break;
+            case 'pair':
+                handlePair(clientId, message);
+                break;
+            case 'connected':
+                if (message.platform) {
+                    client.platforms.add(message.platform);
+                }
+                break;
+            default:
+                if (!client.authorized && client.path !== 'ping') {
+                    log(`✗ ${clientId} el sıkışmadan ${message.type} gönderdi`);
+                }
+                break;
+        }
+    }
+
+    wss.on('connection', (socket, request) => {
+        const clientId = `c${++clientCounter}`;
+        const urlPath = (request.url || '/').split('?')[0].replace(/^\/+|\/+$/g, '');
+        const client = { socket, path: urlPath, authorized: false, platforms: new Set() };
+
+        // Eski sürümler platform başına ayrı yola bağlanırdı; yollar protocol.js'teki platformlardır
+        if (protocol.PLATFORMS.includes(urlPath)) {
+            client.platforms.add(urlPath);
+        }
+        clients.set(clientId, client);
+        log(`+ ${clientId} bağlandı: /${urlPath}`);
+
+        socket.on('message', data => handleMessage(clientId, data.toString()));
+        socket.on('close', () => {
+            clients.delete(clientId);
+            log(`- ${clientId} ayrıldı`);
+        });
+    });
+
+    /**
+     * Bağlantı kopmasını taklit et; extension yeniden bağlanmayı dener
+     */
+    function drop() {
+        const count = clients.size;
+        clients.forEach(client => client.socket.terminate());
+        log(`${count} bağlantı koparıldı`);
+        return count;
+    }
+
+    function close() {
+        drop();
+        return new Promise((resolve) => {
+            wss.close(() => httpServer.close(() => resolve()));
+        });
+    }
+
+    return new Promise((resolve, reject) => {
+        httpServer.once('error', reject);
+        httpServer.listen(options.port === undefined ? DEFAULT_PORT : options.port, 'localhost', () => {
+            resolve({
+                port: httpServer.address().port,
+                clients,
+                received,
+                send,
+                broadcast,
+                sendCommand,
+                ping: () => broadcast({ type: 'ping' }),
+                getStatus: (tabId) => broadcast(tabId === undefined ? { type: 'getStatus' } : { type: 'getStatus', tabId }),
+                sendSelectorPack: pack => broadcast({ type: 'selectorPack', pack }),
+                drop,
+                setAckDelay: (ms) => {
+                    ackDelay = ms;
+                },
+                close
+            });
+        });
+    });
+}
+
+function parseArgs(argv) {
+    const args = { port: DEFAULT_PORT, pairCode: DEFAULT_PAIR_CODE, paired: true, ackDelay: 0, dropEvery: 0, quiet: false };
+    for (let i = 0; i < argv.length; i++) {
+        switch (argv[i]) {
+            case '--port': args.port = Number(argv[++i]); break;
+            case '--pair-code': args.pairCode = argv[++i]; break;
+            case '--unpaired': args.paired = false; break;
+            case '--ack-delay': args.ackDelay = Number(argv[++i]); break;
+            case '--drop-every': args.dropEvery = Number(argv[++i]); break;
+            case '--quiet': args.quiet = true; break;
+            default:
+                throw new Error(`Bilinmeyen argüman: ${argv[i]}`);
+        }
+    }
+    return args;
+}
+
+/**
+ * Konsoldan sunucu komutları
+ */
+function runConsole(server) {
+    const help = [
+        'ping                          → { type: "ping" }',
+        'status [tabId]                → { type: "getStatus" }',
+        'send <platform> <metin>       → sendComment',
+        'pin|hide|block <platform> <id> → moderasyon komutu',
+        'pack <dosya.json>             → selectorPack',
+        'delay <ms>                    → welcome/paired cevaplarını geciktir',
+        'drop                          → tüm bağlantıları kopar',
+        'clients                       → bağlı client\'lar',
+        'quit'
+    ].join('\n');
+
+    const rl = readline.createInterface({ input: process.stdin, output: process.stdout, prompt: 'mock> ' });
+    rl.on('line', (line) => {
+        const [command, platform, ...rest] = line.trim().split(/\s+/);
+        switch (command) {
+            case '':
+                break;
+            case 'ping':
+                console.log(`${server.ping()} client'a gönderildi`);
+                break;
+            case 'status':
+                console.log(`${server.getStatus(platform === undefined ? undefined : Number(platform))} client'a gönderildi`);
+                break;
+            case 'send':
+                console.log(server.sendCommand('sendComment', platform, { text: rest.join(' ') }) || 'Bağlı client yok');
+                break;
+            case 'pin':
+            case 'hide':
+            case 'block':
+                console.log(server.sendCommand(MODERATION_COMMANDS[command], platform, { commentId: rest[0] }) || 'Bağlı client yok');
+                break;
+            case 'pack':
+                try {
+                    const pack = JSON.parse(fs.readFileSync(platform, 'utf8'));
+                    console.log(`${server.sendSelectorPack(pack)} client'a gönderildi`);
+                } catch (e) {
+                    console.log('Paket okunamadı:', e.message);
+                }
+                break;
+            case 'delay':
+                server.setAckDelay(Number(platform) || 0);
+                console.log(`Cevap gecikmesi: ${Number(platform) || 0} ms`);
+                break;
+            case 'drop':
+                server.drop();
+                break;
+            case 'clients':
+                server.clients.forEach((client, id) => {
+                    console.log(id, `/${client.path}`, client.authorized ? 'yetkili' : 'yetkisiz', Array.from(client.platforms).join(','));
+                });
+                break;
+            case 'help':
+                console.log(help);
+                break;
+            case 'quit':
+                rl.close();
+                return;
+            default:
+                console.log(`Bilinmeyen komut: ${command}\n${help}`);
+        }
+        rl.prompt();
+    });
+    rl.on('close', () => {
+        server.close().then(() => process.exit(0));
+    });
+    rl.prompt();
+}
+
+if (require.main === module) {
+    let args;
+    try {
+        args = parseArgs(process.argv.slice(2));
+    } catch (e) {
+        console.error(e.message);
+        process.exit(1);
+    }
+
+    createMockServer({
+        port: args.port,
+        pairCode: args.pairCode,
+        paired: args.paired,
+        ackDelay: args.ackDelay,
+        log: args.quiet ? () => {} : undefined
+    }).then((server) => {
+        console.log(`Sahte UniCast bridge: ws://localhost:${server.port}/bridge (eşleştirme kodu ${args.pairCode})`);
+        if (args.dropEvery > 0) {
+            setInterval(() => server.drop(), args.dropEvery * 1000);
+        }
+        runConsole(server);
+    }).catch((e) => {
+        console.error('Sunucu başlatılamadı:', e.message);
+        process.exit(1);
+    });
+}
+
+module.exports = { createMockServer };
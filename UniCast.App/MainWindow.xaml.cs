@@ -9,6 +9,7 @@ using UniCast.App.Services;
 using UniCast.App.ViewModels;
 using UniCast.App.Views;
 using UniCast.Core.Chat;
+using UniCast.Core.Chat.Bridge;
 using UniCast.Core.Chat.Ingestors;
 using UniCast.Core.Models;
 using UniCast.Core.Services;
@@ -374,6 +375,22 @@ namespace UniCast.App
                 {
                     Log.Debug("[MainWindow] Extension Bridge başlatılıyor...");
                     _extensionBridgeIngestor = new ExtensionBridgeIngestor(9876);
+                    _extensionBridgeIngestor.PairingRequired += code =>
+                        ToastService.Instance.Show($"🔗 Extension eşleştirme kodu: {code}", ToastType.Info, 30000);
+                    _extensionBridgeIngestor.PairingLocked += () =>
+                        ToastService.Instance.Show("🔒 Çok fazla hatalı eşleştirme denemesi. Ayarlar'dan yeni kod üretin.", ToastType.Warning, 30000);
+                    var bridgeIngestor = _extensionBridgeIngestor;
+
+                    // Güncel seçici paketi varsa server başlarken bağlanan extension'lara gönderilir
+                    // (ingestor henüz başlamadığı için sadece saklanır, beklemez)
+                    var selectorPack = ExtensionSelectorPackFile.Load();
+                    if (selectorPack != null)
+                    {
+                        _ = bridgeIngestor.UpdateSelectorPackAsync(selectorPack);
+                    }
+
+                    bridgeIngestor.StatsReceived += _ => UpdateViewerCount(bridgeIngestor.TotalViewers);
+                    bridgeIngestor.StatsRemoved += () => UpdateViewerCount(bridgeIngestor.TotalViewers);
                     _ingestorTasks.Add(StartIngestorSafeAsync(_extensionBridgeIngestor, "Extension Bridge", ct));
 
                     Log.Information("[MainWindow] Extension Bridge başlatıldı - Port: 9876");
@@ -731,7 +748,8 @@ namespace UniCast.App
             if (_chatView != null)
                 return;
 
-            _chatViewModel = new ChatViewModel();
+            // Mesaj gönderme ve moderasyon yayın sırasında açık olan Extension Bridge'e gider
+            _chatViewModel = new ChatViewModel(() => _extensionBridgeIngestor);
             _chatView = new ChatView { DataContext = _chatViewModel };
 
             if (ChatTabContent != null)
@@ -744,12 +762,25 @@ namespace UniCast.App
                 return;
 
             _settingsViewModel = new SettingsViewModel();
+            _settingsViewModel.ExtensionPairingCodeRequested += OnExtensionPairingCodeRequested;
             _settingsView = new SettingsView { DataContext = _settingsViewModel };
 
             if (SettingsTabContent != null)
                 SettingsTabContent.Content = _settingsView;
         }
 
+        private void OnExtensionPairingCodeRequested(object? sender, EventArgs e)
+        {
+            var code = _extensionBridgeIngestor?.RegeneratePairingCode();
+            if (code == null)
+            {
+                ToastService.Instance.Show("Extension Bridge yayın başlayınca açılır; eşleştirme kodu o zaman üretilebilir.", ToastType.Warning);
+                return;
+            }
+
+            ToastService.Instance.Show($"🔗 Extension eşleştirme kodu: {code}", ToastType.Info, 30000);
+        }
+
         private void LoadLicenseTab()
         {
             if (_licenseView != null)
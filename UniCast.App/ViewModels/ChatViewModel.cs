@@ -1,11 +1,17 @@
 ﻿using System;
 using System.Collections.Concurrent;
+using System.Collections.Generic;
 using System.Collections.ObjectModel;
 using System.ComponentModel;
 using System.Runtime.CompilerServices;
+using System.Threading.Tasks;
 using System.Windows.Data;
+using System.Windows.Input;
 using System.Windows.Threading;
+using UniCast.App.Infrastructure;
 using UniCast.Core.Chat;
+using UniCast.Core.Chat.Bridge;
+using UniCast.Core.Chat.Ingestors;
 
 namespace UniCast.App.ViewModels
 {
@@ -22,6 +28,9 @@ namespace UniCast.App.ViewModels
         private Action<ChatMessage>? _onMergedHandler;
         private ChatBus? _boundBus;
 
+        // Extension Bridge yayın başlayınca oluşur, yayın bitince kapanır; gönderim anında sorulur
+        private readonly Func<ExtensionBridgeIngestor?>? _extensionBridge;
+
         public ObservableCollection<ChatMessage> Feed { get; } = new();
         public ICollectionView View { get; }
 
@@ -58,8 +67,73 @@ namespace UniCast.App.ViewModels
             set { _fb = value; OnPropertyChanged(); View.Refresh(); }
         }
 
-        public ChatViewModel()
+        // Mesaj gönderme (extension'ın yazabildiği platformlar)
+        public IReadOnlyList<ChatPlatform> SendPlatforms { get; } = new[]
+        {
+            ChatPlatform.TikTok, ChatPlatform.Instagram, ChatPlatform.Facebook, ChatPlatform.Kick
+        };
+
+        private ChatPlatform _sendPlatform = ChatPlatform.TikTok;
+        public ChatPlatform SendPlatform
+        {
+            get => _sendPlatform;
+            set { _sendPlatform = value; OnPropertyChanged(); }
+        }
+
+        private string _outgoingText = "";
+        public string OutgoingText
+        {
+            get => _outgoingText;
+            set { _outgoingText = value ?? ""; OnPropertyChanged(); }
+        }
+
+        private bool _isSending;
+        public bool IsSending
+        {
+            get => _isSending;
+            private set
+            {
+                _isSending = value;
+                OnPropertyChanged();
+                (SendCommand as RelayCommand)?.RaiseCanExecuteChanged();
+            }
+        }
+
+        private string? _commandStatus;
+        /// <summary>
+        /// Son gönderim/moderasyon komutunun sonucu (extension'ın commandAck cevabı)
+        /// </summary>
+        public string? CommandStatus
+        {
+            get => _commandStatus;
+            private set { _commandStatus = value; OnPropertyChanged(); }
+        }
+
+        public ICommand SendCommand { get; }
+
+        // Extension'dan gelen yorumlar için moderasyon (parametre: ChatMessage)
+        public ICommand PinCommand { get; }
+        public ICommand HideCommand { get; }
+        public ICommand BlockCommand { get; }
+
+        public ChatViewModel() : this(null)
+        {
+        }
+
+        public ChatViewModel(Func<ExtensionBridgeIngestor?>? extensionBridge)
         {
+            _extensionBridge = extensionBridge;
+
+            SendCommand = new RelayCommand(async _ => await SendAsync(),
+                _ => !IsSending && !string.IsNullOrWhiteSpace(OutgoingText) && OutgoingText.Length <= 500);
+
+            PinCommand = new RelayCommand(async p => await ModerateAsync(p, (bridge, m) => bridge.PinCommentAsync(m),
+                "yorumu sabitlendi", "Yorum sabitlenemedi"), CanModerate);
+            HideCommand = new RelayCommand(async p => await ModerateAsync(p, (bridge, m) => bridge.HideCommentAsync(m),
+                "yorumu gizlendi", "Yorum gizlenemedi"), CanModerate);
+            BlockCommand = new RelayCommand(async p => await ModerateAsync(p, (bridge, m) => bridge.BlockUserAsync(m),
+                "engellendi", "Kullanıcı engellenemedi"), CanModerate);
+
             View = CollectionViewSource.GetDefaultView(Feed);
             View.Filter = o =>
             {
@@ -105,6 +179,106 @@ namespace UniCast.App.ViewModels
             _onMergedHandler = null;
         }
 
+        /// <summary>
+        /// Yazılan mesajı seçili platformun canlı sohbetine extension üzerinden gönder
+        /// </summary>
+        private async Task SendAsync()
+        {
+            var bridge = _extensionBridge?.Invoke();
+            if (bridge == null)
+            {
+                CommandStatus = "Extension Bridge yayın başlayınca açılır; mesaj gönderilemedi.";
+                return;
+            }
+
+            var text = OutgoingText.Trim();
+            var platform = SendPlatform;
+
+            IsSending = true;
+            try
+            {
+                var result = await bridge.SendCommentAsync(platform, text);
+                if (result.Ok)
+                {
+                    OutgoingText = "";
+                    CommandStatus = $"✓ {platform} sohbetine gönderildi";
+                }
+                else
+                {
+                    CommandStatus = $"✗ {platform} sohbetine gönderilemedi: {DescribeFailure(result.Reason)}";
+                }
+            }
+            catch (Exception ex)
+            {
+                Serilog.Log.Warning(ex, "[ChatViewModel] Mesaj gönderilemedi");
+                CommandStatus = $"✗ {platform} sohbetine gönderilemedi: {ex.Message}";
+            }
+            finally
+            {
+                IsSending = false;
+            }
+        }
+
+        /// <summary>
+        /// Extension yorumu sekmesinden (Metadata["tabId"]) ve id'sinden bulur;
+        /// diğer kaynaklardan gelen mesajlar yönetilemez
+        /// </summary>
+        private static bool CanModerate(object? parameter)
+        {
+            return parameter is ChatMessage message && message.Metadata.ContainsKey("tabId");
+        }
+
+        /// <summary>
+        /// Moderasyon komutunu gönder ve extension'ın cevabını göster
+        /// </summary>
+        private async Task ModerateAsync(object? parameter,
+            Func<ExtensionBridgeIngestor, ChatMessage, Task<ExtensionCommandResult>> command,
+            string doneText, string failedText)
+        {
+            if (parameter is not ChatMessage message) return;
+
+            var bridge = _extensionBridge?.Invoke();
+            if (bridge == null)
+            {
+                CommandStatus = $"✗ {failedText}: Extension Bridge yayın başlayınca açılır.";
+                return;
+            }
+
+            try
+            {
+                var result = await command(bridge, message);
+                CommandStatus = result.Ok
+                    ? $"✓ {message.DisplayName} {doneText}"
+                    : $"✗ {failedText}: {DescribeFailure(result.Reason)}";
+            }
+            catch (Exception ex)
+            {
+                Serilog.Log.Warning(ex, "[ChatViewModel] Moderasyon komutu başarısız");
+                CommandStatus = $"✗ {failedText}: {ex.Message}";
+            }
+        }
+
+        /// <summary>
+        /// commandAck hata kodunun kullanıcıya gösterilecek açıklaması
+        /// </summary>
+        private static string DescribeFailure(string? reason)
+        {
+            return reason switch
+            {
+                "no_client" => "extension bağlı değil",
+                "no_tab" => "platformun yayın sekmesi açık değil",
+                "inactive" => "sekme yayın sayfasında değil",
+                "timeout" => "extension cevap vermedi",
+                "unsupported" => "platform bu işlemi desteklemiyor",
+                "no_composer" => "sohbet kutusu bulunamadı (giriş yapılmamış olabilir)",
+                "not_submitted" => "mesaj gönderilemedi (sohbet kısıtlı olabilir)",
+                "comment_not_found" => "yorum sayfada bulunamadı",
+                "no_menu" or "no_menu_item" => "yorum menüsünde işlem bulunamadı",
+                null or "" => "bilinmeyen hata",
+                _ => reason
+            };
+        }
+
         private void ProcessMessageBatch(object? sender, EventArgs e)
         {
             if (_disposed || _incomingBuffer.IsEmpty) return;
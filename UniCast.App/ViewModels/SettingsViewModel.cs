@@ -107,6 +107,7 @@ namespace UniCast.App.ViewModels
             SetBreakBgColorCommand = new RelayCommand(color => { if (color is string c) BreakScreenBackgroundColor = c; });
             SetBreakTextColorCommand = new RelayCommand(color => { if (color is string c) BreakScreenTextColor = c; });
             RefreshDevicesCommand = new RelayCommand(async _ => await RefreshDevicesAsync());
+            RegenerateExtensionPairingCodeCommand = new RelayCommand(_ => ExtensionPairingCodeRequested?.Invoke(this, EventArgs.Empty));
 
             _ = RefreshDevicesAsync();
         }
@@ -146,6 +147,11 @@ namespace UniCast.App.ViewModels
 
         public event EventHandler<SettingsSavedEventArgs>? OnSettingsSaved;
 
+        /// <summary>
+        /// Kullanıcı yeni extension eşleştirme kodu istedi (çalışan Extension Bridge'e iletilir)
+        /// </summary>
+        public event EventHandler? ExtensionPairingCodeRequested;
+
         #endregion
 
         #region Device Properties
@@ -568,6 +574,7 @@ namespace UniCast.App.ViewModels
         public ICommand SetBreakBgColorCommand { get; }
         public ICommand SetBreakTextColorCommand { get; }
         public ICommand RefreshDevicesCommand { get; }
+        public ICommand RegenerateExtensionPairingCodeCommand { get; }
 
         #endregion
 
@@ -15,8 +15,59 @@ namespace UniCast.Core.Chat.Bridge
     public sealed class ExtensionBridgeServer : IDisposable
     {
         private const int DEFAULT_PORT = 9876;
+
+        /// <summary>
+        /// Mesajlar bu boyutta parçalar halinde okunur; parçalar birleşince MAX_MESSAGE_SIZE'ı
+        /// aşan mesaj bağlantıyı MessageTooBig ile kapatır
+        /// </summary>
+        private const int RECEIVE_BUFFER_SIZE = 4096;
+        private const int MAX_MESSAGE_SIZE = 256 * 1024;
+
+        /// <summary>
+        /// Bridge protokol sürümü. Extension hello ile kendi sürümünü bildirir,
+        /// server ikisinin küçüğüyle welcome döner.
+        /// </summary>
+        private const int PROTOCOL_VERSION = 1;
+        private const int MIN_PROTOCOL_VERSION = 1;
+
+        /// <summary>
+        /// Extension'ın komuta cevap vermesi için beklenen süre
+        /// </summary>
+        private static readonly TimeSpan DefaultCommandTimeout = TimeSpan.FromSeconds(10);
+
+        /// <summary>
+        /// Eşleştirme denemesi sınırı: bağlantı başına ve tüm bağlantılarda, pencere başına
+        /// </summary>
+        private const int MAX_PAIR_ATTEMPTS_PER_CLIENT = 3;
+        private const int MAX_PAIR_ATTEMPTS_TOTAL = 10;
+        private static readonly TimeSpan PairAttemptWindow = TimeSpan.FromMinutes(1);
+
+        /// <summary>
+        /// Sadece tarayıcı extension'ları bağlanabilir; web sayfalarının Origin'i http(s)'dir
+        /// </summary>
+        private const string EXTENSION_ORIGIN_PREFIX = "chrome-extension://";
+
+        private static readonly string[] AcceptedEvents = { "connected", "streamEnded", "comment", "gift", "member_join", "follow", "like", "share", "subscription", "stats", "status", "commandAck", "selectorPackAck", "pong" };
+        private static readonly string[] SupportedPlatforms = { "instagram", "facebook", "tiktok", "kick" };
+
         private readonly int _port;
         private readonly ConcurrentDictionary<string, WebSocket> _clients = new();
+        // Client → gönderim kilidi; WebSocket aynı anda tek SendAsync'e izin verir
+        // (komut, ping ve selector paketi farklı thread'lerden aynı client'a gidebilir)
+        private readonly ConcurrentDictionary<string, SemaphoreSlim> _sendLocks = new();
+        private readonly ConcurrentDictionary<string, bool> _authorizedClients = new();
+        private readonly ExtensionPairingStore _pairing;
+        // Platform → o platformun yayın sekmesini en son bildiren client
+        private readonly ConcurrentDictionary<ChatPlatform, string> _platformClients = new();
+        // requestId → commandAck bekleyen komut
+        private readonly ConcurrentDictionary<string, TaskCompletionSource<ExtensionCommandResult>> _pendingCommands = new();
+        // Client → extension'ın kullandığı selector paketi sürümü (hello ve selectorPackAck ile güncellenir)
+        private readonly ConcurrentDictionary<string, int> _clientPackVersions = new();
+        // Client → eşleştirme denemesi zamanları (son PairAttemptWindow içindekiler)
+        private readonly ConcurrentDictionary<string, Queue<DateTime>> _pairAttempts = new();
+        private readonly Queue<DateTime> _allPairAttempts = new();
+        private JsonElement? _selectorPack;
+        private int _selectorPackVersion;
         private CancellationTokenSource? _cts;
         private HttpListener? _listener;
         private Task? _acceptTask;
@@ -37,19 +88,53 @@ namespace UniCast.Core.Chat.Bridge
         /// </summary>
         public event Action<string>? OnClientDisconnected;
 
+        /// <summary>
+        /// Eşleştirilmemiş bir extension bağlanmaya çalıştığında tetiklenir.
+        /// Parametre: kullanıcıya gösterilecek eşleştirme kodu
+        /// </summary>
+        public event Action<string>? OnPairingRequired;
+
+        /// <summary>
+        /// Hatalı denemeler yüzünden eşleştirme kilitlendiğinde tetiklenir;
+        /// kullanıcı yeni kod üretene kadar eşleştirme kabul edilmez
+        /// </summary>
+        public event Action? OnPairingLocked;
+
+        /// <summary>
+        /// Extension yayın sayfasından izleyici/beğeni/süre bilgisi gönderdiğinde tetiklenir
+        /// </summary>
+        public event Action<ExtensionStreamStats>? OnStatsReceived;
+
+        /// <summary>
+        /// Bir sekmedeki yayın oturumu bittiğinde tetiklenir (sekme kapandı, yenilendi, başka yayına geçti).
+        /// Parametreler: client, platform, yayın kimliği, sekme
+        /// </summary>
+        public event Action<string, ChatPlatform, string?, int?>? OnStreamEnded;
+
+        /// <summary>
+        /// Extension eşleştirme kodları ve token'ları
+        /// </summary>
+        public ExtensionPairingStore Pairing => _pairing;
+
         /// <summary>
         /// Bağlı client sayısı
         /// </summary>
         public int ClientCount => _clients.Count;
 
+        /// <summary>
+        /// Extension'lara gönderilen selector paketinin sürümü; paket verilmediyse null
+        /// </summary>
+        public int? SelectorPackVersion => _selectorPack.HasValue ? _selectorPackVersion : null;
+
         /// <summary>
         /// Server çalışıyor mu
         /// </summary>
         public bool IsRunning { get; private set; }
 
-        public ExtensionBridgeServer(int port = DEFAULT_PORT)
+        public ExtensionBridgeServer(int port = DEFAULT_PORT, ExtensionPairingStore? pairing = null)
         {
             _port = port;
+            _pairing = pairing ?? new ExtensionPairingStore();
         }
 
         /// <summary>
@@ -147,6 +232,15 @@ namespace UniCast.Core.Chat.Bridge
 
                     if (context.Request.IsWebSocketRequest)
                     {
+                        if (!IsExtensionOrigin(context.Request.Headers["Origin"]))
+                        {
+                            Log.Warning("[ExtensionBridge] Extension dışı bağlantı reddedildi: Origin={Origin}",
+                                context.Request.Headers["Origin"] ?? "-");
+                            context.Response.StatusCode = 403;
+                            context.Response.Close();
+                            continue;
+                        }
+
                         _ = HandleWebSocketAsync(context, ct);
                     }
                     else
@@ -181,13 +275,15 @@ namespace UniCast.Core.Chat.Bridge
                 var wsContext = await context.AcceptWebSocketAsync(null);
                 ws = wsContext.WebSocket;
 
+                _sendLocks.TryAdd(clientId, new SemaphoreSlim(1, 1));
                 _clients.TryAdd(clientId, ws);
                 Log.Information("[ExtensionBridge] Client bağlandı: {ClientId}, Path: {Path}",
                     clientId, context.Request.Url?.AbsolutePath);
 
                 OnClientConnected?.Invoke(clientId);
 
-                var buffer = new byte[4096];
+                var buffer = new byte[RECEIVE_BUFFER_SIZE];
+                using var message = new MemoryStream();
 
                 while (ws.State == WebSocketState.Open && !ct.IsCancellationRequested)
                 {
@@ -198,11 +294,27 @@ namespace UniCast.Core.Chat.Bridge
                         break;
                     }
 
+                    // Büyük mesajlar (uzun yorum, segmentler, teşhis durumu) birden fazla parçada gelir
+                    if (message.Length + result.Count > MAX_MESSAGE_SIZE)
+                    {
+                        Log.Warning("[ExtensionBridge] {Max} bayttan büyük mesaj, bağlantı kapatılıyor (Client: {ClientId})",
+                            MAX_MESSAGE_SIZE, clientId);
+                        await ws.CloseAsync(WebSocketCloseStatus.MessageTooBig, "Mesaj çok büyük", CancellationToken.None);
+                        break;
+                    }
+
+                    message.Write(buffer, 0, result.Count);
+                    if (!result.EndOfMessage)
+                    {
+                        continue;
+                    }
+
                     if (result.MessageType == WebSocketMessageType.Text)
                     {
-                        var json = Encoding.UTF8.GetString(buffer, 0, result.Count);
+                        var json = Encoding.UTF8.GetString(message.GetBuffer(), 0, (int)message.Length);
                         await ProcessMessageAsync(json, clientId);
                     }
+                    message.SetLength(0);
                 }
             }
             catch (WebSocketException ex)
@@ -220,12 +332,21 @@ namespace UniCast.Core.Chat.Bridge
             finally
             {
                 _clients.TryRemove(clientId, out _);
+                _sendLocks.TryRemove(clientId, out _);
+                _authorizedClients.TryRemove(clientId, out _);
+                _clientPackVersions.TryRemove(clientId, out _);
+                _pairAttempts.TryRemove(clientId, out _);
+                foreach (var kvp in _platformClients.Where(kvp => kvp.Value == clientId))
+                {
+                    _platformClients.TryRemove(kvp);
+                }
 
                 if (ws != null)
                 {
                     try
                     {
-                        if (ws.State == WebSocketState.Open)
+                        // Extension kapattıysa (CloseReceived) kapanış el sıkışmasını tamamla
+                        if (ws.State == WebSocketState.Open || ws.State == WebSocketState.CloseReceived)
                         {
                             await ws.CloseAsync(WebSocketCloseStatus.NormalClosure, null, CancellationToken.None);
                         }
@@ -254,14 +375,30 @@ namespace UniCast.Core.Chat.Bridge
                 var type = typeEl.GetString();
                 Log.Debug("[ExtensionBridge] Mesaj alındı: Type={Type}, Client={ClientId}", type, clientId);
 
+                // Eşleştirilmemiş client'lar sadece el sıkışabilir veya eşleşebilir
+                if (type != "hello" && type != "pair" && !_authorizedClients.ContainsKey(clientId))
+                {
+                    Log.Debug("[ExtensionBridge] Yetkisiz client mesajı atlandı: Type={Type}, Client={ClientId}", type, clientId);
+                    return;
+                }
+
                 switch (type)
                 {
+                    case "hello":
+                        await HandleHelloAsync(root, clientId);
+                        break;
+
+                    case "pair":
+                        await HandlePairAsync(root, clientId);
+                        break;
+
                     case "comment":
                         if (root.TryGetProperty("data", out var dataEl))
                         {
                             var message = ParseCommentData(dataEl);
                             if (message != null)
                             {
+                                ApplyStreamSession(message, root);
                                 Log.Debug("[ExtensionBridge] Yorum [{Platform}]: @{User}: {Text}",
                                     message.Platform, message.DisplayName, message.Message);
                                 OnMessageReceived?.Invoke(message);
@@ -269,13 +406,95 @@ namespace UniCast.Core.Chat.Bridge
                         }
                         break;
 
+                    case "gift":
+                        if (root.TryGetProperty("data", out var giftEl))
+                        {
+                            var gift = ParseGiftData(giftEl);
+                            if (gift != null)
+                            {
+                                ApplyStreamSession(gift, root);
+                                Log.Debug("[ExtensionBridge] Gift [{Platform}]: @{User}: {Text}",
+                                    gift.Platform, gift.DisplayName, gift.Message);
+                                OnMessageReceived?.Invoke(gift);
+                            }
+                        }
+                        break;
+
+                    case "member_join":
+                    case "follow":
+                    case "like":
+                    case "share":
+                        if (root.TryGetProperty("data", out var socialEl))
+                        {
+                            var social = ParseSocialData(type, socialEl);
+                            if (social != null)
+                            {
+                                ApplyStreamSession(social, root);
+                                Log.Debug("[ExtensionBridge] Sosyal olay [{Platform}]: @{User} {Text}",
+                                    social.Platform, social.DisplayName, social.Message);
+                                OnMessageReceived?.Invoke(social);
+                            }
+                        }
+                        break;
+
+                    case "subscription":
+                        if (root.TryGetProperty("data", out var subscriptionEl))
+                        {
+                            var subscription = ParseSubscriptionData(subscriptionEl);
+                            if (subscription != null)
+                            {
+                                ApplyStreamSession(subscription, root);
+                                Log.Debug("[ExtensionBridge] Abonelik [{Platform}]: @{User} {Text}",
+                                    subscription.Platform, subscription.DisplayName, subscription.Message);
+                                OnMessageReceived?.Invoke(subscription);
+                            }
+                        }
+                        break;
+
+                    case "stats":
+                        if (root.TryGetProperty("data", out var statsEl))
+                        {
+                            var stats = ParseStatsData(statsEl, root, clientId);
+                            if (stats != null)
+                            {
+                                Log.Debug("[ExtensionBridge] İstatistik {Stats}", stats);
+                                OnStatsReceived?.Invoke(stats);
+                            }
+                        }
+                        break;
+
                     case "connected":
                         if (root.TryGetProperty("url", out var urlEl))
                         {
-                            Log.Information("[ExtensionBridge] Extension bağlandı: {Url}", urlEl.GetString());
+                            Log.Information("[ExtensionBridge] Extension bağlandı: {Url} (yayın: {StreamId}, sekme: {TabId})",
+                                urlEl.GetString(), GetString(root, "streamId") ?? "-", GetInt(root, "tabId")?.ToString() ?? "-");
+                        }
+
+                        var connectedPlatform = ParsePlatform(GetString(root, "platform")?.ToLowerInvariant() ?? "");
+                        if (connectedPlatform != ChatPlatform.Unknown)
+                        {
+                            _platformClients[connectedPlatform] = clientId;
                         }
                         break;
 
+                    case "streamEnded":
+                        var endedPlatform = ParsePlatform(GetString(root, "platform")?.ToLowerInvariant() ?? "");
+                        if (endedPlatform != ChatPlatform.Unknown)
+                        {
+                            Log.Information("[ExtensionBridge] Yayın oturumu bitti: {Platform} (yayın: {StreamId}, sekme: {TabId})",
+                                endedPlatform, GetString(root, "streamId") ?? "-", GetInt(root, "tabId")?.ToString() ?? "-");
+                            OnStreamEnded?.Invoke(clientId, endedPlatform, GetString(root, "streamId"), GetInt(root, "tabId"));
+                        }
+                        break;
+
+                    case "commandAck":
+                        HandleCommandAck(root);
+                        break;
+
+                    case "selectorPackAck":
+                        HandleSelectorPackAck(root, clientId);
+                        break;
+
                     case "pong":
                         // Ping response - ignore
                         break;
@@ -291,6 +510,149 @@ namespace UniCast.Core.Chat.Bridge
             }
         }
 
+        /// <summary>
+        /// Extension el sıkışması: protokol sürümünü kontrol et, kabul edilen mesajları bildir
+        /// </summary>
+        private async Task HandleHelloAsync(JsonElement root, string clientId)
+        {
+            var clientVersion = root.TryGetProperty("protocolVersion", out var versionEl) && versionEl.TryGetInt32(out var v)
+                ? v
+                : 0;
+
+            var extensionVersion = root.TryGetProperty("extensionVersion", out var extEl)
+                ? extEl.GetString()
+                : null;
+
+            if (clientVersion < MIN_PROTOCOL_VERSION)
+            {
+                Log.Warning("[ExtensionBridge] Desteklenmeyen protokol: v{Version} (Client: {ClientId}, Extension: {ExtVersion})",
+                    clientVersion, clientId, extensionVersion);
+
+                await SendToClientAsync(clientId, new
+                {
+                    type = "reject",
+                    reason = "protocol_version",
+                    protocolVersion = PROTOCOL_VERSION,
+                    minProtocolVersion = MIN_PROTOCOL_VERSION
+                });
+                return;
+            }
+
+            var installId = GetString(root, "installId");
+            var token = GetString(root, "token");
+
+            if (!_pairing.IsAuthorized(installId, token))
+            {
+                Log.Warning("[ExtensionBridge] Eşleştirilmemiş extension reddedildi (Client: {ClientId})", clientId);
+
+                await SendToClientAsync(clientId, new
+                {
+                    type = "reject",
+                    reason = "unpaired"
+                });
+
+                // Kilitliyken kod gösterilmez; kullanıcı UniCast'te yeni kod üretmeli
+                var code = _pairing.ShowCode();
+                if (code != null)
+                {
+                    OnPairingRequired?.Invoke(code);
+                }
+                return;
+            }
+
+            _authorizedClients[clientId] = true;
+
+            var negotiated = Math.Min(clientVersion, PROTOCOL_VERSION);
+            Log.Information("[ExtensionBridge] El sıkışma: Extension v{ExtVersion}, protokol v{Version} (Client: {ClientId})",
+                extensionVersion, negotiated, clientId);
+
+            await SendToClientAsync(clientId, new
+            {
+                type = "welcome",
+                protocolVersion = negotiated,
+                paired = true,
+                accepts = AcceptedEvents,
+                platforms = SupportedPlatforms
+            });
+
+            // Extension'ın paketi eskiyse yenisini gönder
+            _clientPackVersions[clientId] = GetInt(root, "selectorPackVersion") ?? 0;
+            await SendSelectorPackAsync(clientId);
+        }
+
+        /// <summary>
+        /// Popup'a girilen eşleştirme kodunu doğrula, geçerliyse token ver
+        /// </summary>
+        private async Task HandlePairAsync(JsonElement root, string clientId)
+        {
+            if (!AllowPairAttempt(clientId))
+            {
+                Log.Warning("[ExtensionBridge] Eşleştirme denemesi sınırı aşıldı (Client: {ClientId})", clientId);
+                await SendToClientAsync(clientId, new { type = "pairFailed", reason = "rate_limited" });
+                return;
+            }
+
+            var code = GetString(root, "code") ?? "";
+            var installId = GetString(root, "installId") ?? "";
+
+            var wasLocked = _pairing.IsLocked;
+            var result = _pairing.TryPair(code, installId);
+            if (!result.Ok)
+            {
+                Log.Warning("[ExtensionBridge] Eşleştirme başarısız: {Reason} (Client: {ClientId})", result.Reason, clientId);
+                await SendToClientAsync(clientId, new { type = "pairFailed", reason = result.Reason });
+
+                if (!wasLocked && _pairing.IsLocked)
+                {
+                    OnPairingLocked?.Invoke();
+                }
+                return;
+            }
+
+            await SendToClientAsync(clientId, new { type = "paired", token = result.Token });
+        }
+
+        /// <summary>
+        /// Eşleştirme denemesi hem bu bağlantının hem tüm bağlantıların pencere sınırı içinde mi
+        /// </summary>
+        private bool AllowPairAttempt(string clientId)
+        {
+            var now = DateTime.UtcNow;
+            var attempts = _pairAttempts.GetOrAdd(clientId, _ => new Queue<DateTime>());
+
+            lock (_allPairAttempts)
+            {
+                foreach (var queue in new[] { attempts, _allPairAttempts })
+                {
+                    while (queue.Count > 0 && now - queue.Peek() >= PairAttemptWindow)
+                    {
+                        queue.Dequeue();
+                    }
+                }
+
+                if (attempts.Count >= MAX_PAIR_ATTEMPTS_PER_CLIENT || _allPairAttempts.Count >= MAX_PAIR_ATTEMPTS_TOTAL)
+                {
+                    return false;
+                }
+
+                attempts.Enqueue(now);
+                _allPairAttempts.Enqueue(now);
+                return true;
+            }
+        }
+
+        private static bool IsExtensionOrigin(string? origin)
+        {
+            return origin != null && origin.StartsWith(EXTENSION_ORIGIN_PREFIX, StringComparison.OrdinalIgnoreCase);
+        }
+
+        private static string? GetString(JsonElement root, string property)
+        {
+            return root.TryGetProperty(property, out var el) && el.ValueKind == JsonValueKind.String
+                ? el.GetString()
+                : null;
+        }
+
         private ChatMessage? ParseCommentData(JsonElement data)
         {
             try
@@ -316,40 +678,59 @@ namespace UniCast.Core.Chat.Bridge
                     ? DateTimeOffset.FromUnixTimeMilliseconds(tsEl.GetInt64()).DateTime
                     : DateTime.Now;
 
-                // Platform belirleme - varsayılan Instagram
-                var platform = ChatPlatform.Instagram;
-                var platformStr = "instagram"; // varsayılan
-                
-                if (data.TryGetProperty("platform", out var platformEl))
+                // Protokolde platform zorunlu; eksik veya bilinmeyen platform bir platforma yazılmaz
+                var platformStr = GetString(data, "platform")?.ToLowerInvariant();
+                var platform = ParsePlatform(platformStr ?? "");
+                if (platform == ChatPlatform.Unknown)
                 {
-                    platformStr = platformEl.GetString()?.ToLowerInvariant() ?? "instagram";
-                    platform = platformStr switch
-                    {
-                        "tiktok" => ChatPlatform.TikTok,
-                        "instagram" => ChatPlatform.Instagram,
-                        "facebook" => ChatPlatform.Facebook,
-                        "youtube" => ChatPlatform.YouTube,
-                        _ => ChatPlatform.Instagram
-                    };
-                    Log.Debug("[ExtensionBridge] Platform algılandı: {PlatformStr} -> {Platform}", platformStr, platform);
+                    Log.Warning("[ExtensionBridge] Şemaya uymayan yorum atlandı: platform {Reason} ({PlatformStr}). Data: {Data}",
+                        platformStr == null ? "eksik" : "bilinmiyor", platformStr ?? "-", data.ToString());
+                    return null;
                 }
-                else
+
+                // Rozetler: host, moderator, verified, subscriber, top_gifter, fan_club, top_fan
+                var badges = new HashSet<string>();
+                if (data.TryGetProperty("badges", out var badgesEl) && badgesEl.ValueKind == JsonValueKind.Array)
                 {
-                    Log.Warning("[ExtensionBridge] Platform bilgisi YOK! Varsayılan Instagram kullanılıyor. Data: {Data}", data.ToString());
+                    foreach (var badgeEl in badgesEl.EnumerateArray())
+                    {
+                        if (badgeEl.ValueKind == JsonValueKind.String && badgeEl.GetString() is { Length: > 0 } badge)
+                            badges.Add(badge);
+                    }
                 }
 
-                return new ChatMessage
+                var message = new ChatMessage
                 {
                     Id = id,
                     Platform = platform,
                     Username = username.ToLowerInvariant(),
                     DisplayName = username,
                     Message = text,
+                    AvatarUrl = GetString(data, "avatarUrl"),
                     Timestamp = timestamp,
-                    IsModerator = false,
-                    IsOwner = false,
-                    IsVerified = false
+                    IsModerator = badges.Contains("moderator"),
+                    IsOwner = badges.Contains("host"),
+                    IsVerified = badges.Contains("verified"),
+                    IsSubscriber = badges.Contains("subscriber") || badges.Contains("fan_club")
                 };
+
+                if (badges.Count > 0)
+                    message.Metadata["badges"] = string.Join(",", badges);
+
+                // Zengin mesaj (emoji resimleri, mention, hashtag, link); overlay JSON olarak okur
+                if (data.TryGetProperty("segments", out var segmentsEl) && segmentsEl.ValueKind == JsonValueKind.Array)
+                    message.Metadata["segments"] = segmentsEl.GetRawText();
+
+                // Platform kullanıcı id'si görünen addan farklı olarak kalıcıdır
+                var userId = GetString(data, "userId");
+                if (!string.IsNullOrEmpty(userId))
+                    message.Metadata["userId"] = userId;
+
+                var profileUrl = GetString(data, "profileUrl");
+                if (!string.IsNullOrEmpty(profileUrl))
+                    message.Metadata["profileUrl"] = profileUrl;
+
+                return message;
             }
             catch (Exception ex)
             {
@@ -358,6 +739,504 @@ namespace UniCast.Core.Chat.Bridge
             }
         }
 
+        /// <summary>
+        /// Mesajın geldiği sekme ve yayın oturumu (extension her mesajın köküne ekler).
+        /// Aynı platformdaki eşzamanlı yayınlar Metadata["streamId"] ile ayrılır;
+        /// moderasyon komutları Metadata["tabId"]'deki sekmeye gider.
+        /// </summary>
+        private static void ApplyStreamSession(ChatMessage message, JsonElement root)
+        {
+            var tabId = GetInt(root, "tabId");
+            if (tabId.HasValue)
+                message.Metadata["tabId"] = tabId.Value.ToString();
+
+            var streamId = GetString(root, "streamId");
+            if (!string.IsNullOrEmpty(streamId))
+                message.Metadata["streamId"] = streamId;
+
+            // Unix milisaniye; SPA içinde başka yayına geçilince değişir
+            if (root.TryGetProperty("sessionStartedAt", out var startedEl) && startedEl.TryGetInt64(out var startedAt))
+                message.Metadata["sessionStartedAt"] = startedAt.ToString();
+        }
+
+        private static ChatPlatform ParsePlatform(string platformStr)
+        {
+            return platformStr switch
+            {
+                "tiktok" => ChatPlatform.TikTok,
+                "instagram" => ChatPlatform.Instagram,
+                "facebook" => ChatPlatform.Facebook,
+                "kick" => ChatPlatform.Kick,
+                "youtube" => ChatPlatform.YouTube,
+                _ => ChatPlatform.Unknown
+            };
+        }
+
+        /// <summary>
+        /// Extension gift olayı: combo serisi tek mesaj olarak gelir (count = serideki toplam)
+        /// </summary>
+        private ChatMessage? ParseGiftData(JsonElement data)
+        {
+            try
+            {
+                var username = GetString(data, "username") ?? "Anonim";
+                var giftName = GetString(data, "giftName");
+                if (string.IsNullOrWhiteSpace(giftName))
+                {
+                    return null;
+                }
+
+                var platform = ParsePlatform(GetString(data, "platform")?.ToLowerInvariant() ?? "");
+                if (platform == ChatPlatform.Unknown)
+                {
+                    Log.Warning("[ExtensionBridge] Bilinmeyen platform, gift atlandı: {Data}", data.ToString());
+                    return null;
+                }
+
+                var count = data.TryGetProperty("count", out var countEl) && countEl.TryGetInt32(out var c) && c > 0
+                    ? c
+                    : 1;
+
+                var timestamp = data.TryGetProperty("timestamp", out var tsEl)
+                    ? DateTimeOffset.FromUnixTimeMilliseconds(tsEl.GetInt64()).DateTime
+                    : DateTime.Now;
+
+                var message = new ChatMessage
+                {
+                    Id = GetString(data, "id") ?? Guid.NewGuid().ToString(),
+                    Platform = platform,
+                    Username = username.ToLowerInvariant(),
+                    DisplayName = username,
+                    Message = count > 1 ? $"{giftName} x{count}" : giftName,
+                    Timestamp = timestamp,
+                    Type = ChatMessageType.Gift
+                };
+
+                message.Metadata["giftName"] = giftName;
+                message.Metadata["giftCount"] = count.ToString();
+
+                var iconUrl = GetString(data, "iconUrl");
+                if (!string.IsNullOrEmpty(iconUrl))
+                    message.Metadata["giftIconUrl"] = iconUrl;
+
+                return message;
+            }
+            catch (Exception ex)
+            {
+                Log.Warning(ex, "[ExtensionBridge] Gift parse hatası");
+                return null;
+            }
+        }
+
+        /// <summary>
+        /// Extension sosyal olayı (katılma, takip, beğeni, paylaşım): sistem mesajı olarak iletilir,
+        /// olay tipi Metadata["event"]'te, beğeni sayısı Metadata["likeCount"]'ta
+        /// </summary>
+        private ChatMessage? ParseSocialData(string eventType, JsonElement data)
+        {
+            try
+            {
+                var username = GetString(data, "username");
+                if (string.IsNullOrWhiteSpace(username))
+                {
+                    return null;
+                }
+
+                var platform = ParsePlatform(GetString(data, "platform")?.ToLowerInvariant() ?? "");
+                if (platform == ChatPlatform.Unknown)
+                {
+                    Log.Warning("[ExtensionBridge] Bilinmeyen platform, {Event} atlandı: {Data}", eventType, data.ToString());
+                    return null;
+                }
+
+                var count = data.TryGetProperty("count", out var countEl) && countEl.TryGetInt32(out var c) && c > 0
+                    ? c
+                    : 1;
+
+                var text = eventType switch
+                {
+                    "member_join" => "yayına katıldı",
+                    "follow" => "takip etti",
+                    "like" => $"{count} beğeni gönderdi",
+                    "share" => "yayını paylaştı",
+                    _ => eventType
+                };
+
+                var timestamp = data.TryGetProperty("timestamp", out var tsEl)
+                    ? DateTimeOffset.FromUnixTimeMilliseconds(tsEl.GetInt64()).DateTime
+                    : DateTime.Now;
+
+                var message = new ChatMessage
+                {
+                    Id = GetString(data, "id") ?? Guid.NewGuid().ToString(),
+                    Platform = platform,
+                    Username = username.ToLowerInvariant(),
+                    DisplayName = username,
+                    Message = text,
+                    Timestamp = timestamp,
+                    Type = ChatMessageType.System
+                };
+
+                message.Metadata["event"] = eventType;
+                if (eventType == "like")
+                    message.Metadata["likeCount"] = count.ToString();
+
+                return message;
+            }
+            catch (Exception ex)
+            {
+                Log.Warning(ex, "[ExtensionBridge] {Event} parse hatası", eventType);
+                return null;
+            }
+        }
+
+        /// <summary>
+        /// Extension abonelik olayı (Kick): yeni/yenilenen abonelikte months,
+        /// hediye abonelikte giftCount ve tek alıcı varsa recipient gelir
+        /// </summary>
+        private ChatMessage? ParseSubscriptionData(JsonElement data)
+        {
+            try
+            {
+                var username = GetString(data, "username");
+                if (string.IsNullOrWhiteSpace(username))
+                {
+                    return null;
+                }
+
+                var platform = ParsePlatform(GetString(data, "platform")?.ToLowerInvariant() ?? "");
+                if (platform == ChatPlatform.Unknown)
+                {
+                    Log.Warning("[ExtensionBridge] Bilinmeyen platform, abonelik atlandı: {Data}", data.ToString());
+                    return null;
+                }
+
+                var months = GetInt(data, "months");
+                var giftCount = GetInt(data, "giftCount");
+                var recipient = GetString(data, "recipient");
+
+                string text;
+                if (!string.IsNullOrEmpty(recipient))
+                    text = $"@{recipient} kullanıcısına abonelik hediye etti";
+                else if (giftCount > 0)
+                    text = $"{giftCount} abonelik hediye etti";
+                else if (months > 1)
+                    text = $"{months} aydır abone";
+                else
+                    text = "abone oldu";
+
+                var timestamp = data.TryGetProperty("timestamp", out var tsEl)
+                    ? DateTimeOffset.FromUnixTimeMilliseconds(tsEl.GetInt64()).DateTime
+                    : DateTime.Now;
+
+                var message = new ChatMessage
+                {
+                    Id = GetString(data, "id") ?? Guid.NewGuid().ToString(),
+                    Platform = platform,
+                    Username = username.ToLowerInvariant(),
+                    DisplayName = username,
+                    Message = text,
+                    Timestamp = timestamp,
+                    Type = ChatMessageType.Subscription
+                };
+
+                message.Metadata["event"] = "subscription";
+                if (months.HasValue)
+                    message.Metadata["months"] = months.Value.ToString();
+                if (giftCount.HasValue)
+                    message.Metadata["giftCount"] = giftCount.Value.ToString();
+                if (!string.IsNullOrEmpty(recipient))
+                    message.Metadata["recipient"] = recipient;
+
+                return message;
+            }
+            catch (Exception ex)
+            {
+                Log.Warning(ex, "[ExtensionBridge] Abonelik parse hatası");
+                return null;
+            }
+        }
+
+        private static int? GetInt(JsonElement root, string property)
+        {
+            return root.TryGetProperty(property, out var el) && el.TryGetInt32(out var value) && value >= 0
+                ? value
+                : null;
+        }
+
+        private ExtensionStreamStats? ParseStatsData(JsonElement data, JsonElement root, string clientId)
+        {
+            var platform = ParsePlatform(GetString(data, "platform")?.ToLowerInvariant() ?? "");
+            if (platform == ChatPlatform.Unknown)
+            {
+                return null;
+            }
+
+            var duration = GetInt(data, "duration");
+
+            return new ExtensionStreamStats
+            {
+                Platform = platform,
+                Viewers = GetInt(data, "viewers"),
+                Likes = GetInt(data, "likes"),
+                Duration = duration.HasValue ? TimeSpan.FromSeconds(duration.Value) : null,
+                StreamId = GetString(root, "streamId"),
+                TabId = GetInt(root, "tabId"),
+                ClientId = clientId,
+                Timestamp = data.TryGetProperty("timestamp", out var tsEl) && tsEl.TryGetInt64(out var ts)
+                    ? DateTimeOffset.FromUnixTimeMilliseconds(ts).DateTime
+                    : DateTime.Now
+            };
+        }
+
+        /// <summary>
+        /// Platformun canlı sohbetine mesaj yaz.
+        /// Extension metni yayın sekmesindeki yorum kutusuna girip gönderir ve sonucu commandAck ile bildirir.
+        /// </summary>
+        /// <param name="platform">Hedef platform</param>
+        /// <param name="text">Gönderilecek metin (en fazla 500 karakter)</param>
+        /// <param name="tabId">Belirli bir tarayıcı sekmesi; null ise platformun son bağlanan sekmesi</param>
+        /// <param name="timeout">Cevap bekleme süresi; null ise 10 sn</param>
+        public Task<ExtensionCommandResult> SendCommentAsync(ChatPlatform platform, string text, int? tabId = null, TimeSpan? timeout = null)
+        {
+            if (string.IsNullOrWhiteSpace(text))
+            {
+                throw new ArgumentException("Mesaj boş olamaz", nameof(text));
+            }
+
+            if (text.Length > 500)
+            {
+                throw new ArgumentException("Mesaj en fazla 500 karakter olabilir", nameof(text));
+            }
+
+            return SendCommandAsync("sendComment", platform, tabId, timeout, new Dictionary<string, object>
+            {
+                ["text"] = text
+            });
+        }
+
+        /// <summary>
+        /// Yorumu yayında sabitle
+        /// </summary>
+        public Task<ExtensionCommandResult> PinCommentAsync(ChatMessage message, TimeSpan? timeout = null)
+            => SendModerationAsync("pinComment", message, timeout);
+
+        /// <summary>
+        /// Yorumu gizle veya sil (platform hangisini sunuyorsa)
+        /// </summary>
+        public Task<ExtensionCommandResult> HideCommentAsync(ChatMessage message, TimeSpan? timeout = null)
+            => SendModerationAsync("hideComment", message, timeout);
+
+        /// <summary>
+        /// Yorumun yazarını engelle
+        /// </summary>
+        public Task<ExtensionCommandResult> BlockUserAsync(ChatMessage message, TimeSpan? timeout = null)
+            => SendModerationAsync("blockUser", message, timeout);
+
+        /// <summary>
+        /// Extension yorumu id'sinden sayfadaki satırına bulur ve satırın menüsünü kullanır
+        /// </summary>
+        private Task<ExtensionCommandResult> SendModerationAsync(string type, ChatMessage message, TimeSpan? timeout)
+        {
+            int? tabId = message.Metadata.TryGetValue("tabId", out var tabStr) && int.TryParse(tabStr, out var tab)
+                ? tab
+                : null;
+
+            return SendCommandAsync(type, message.Platform, tabId, timeout, new Dictionary<string, object>
+            {
+                ["commentId"] = message.Id
+            });
+        }
+
+        /// <summary>
+        /// Komutu platformun yayın sekmesini taşıyan client'a gönder ve commandAck'i bekle
+        /// </summary>
+        private async Task<ExtensionCommandResult> SendCommandAsync(
+            string type, ChatPlatform platform, int? tabId, TimeSpan? timeout, Dictionary<string, object> fields)
+        {
+            var platformName = platform.ToString().ToLowerInvariant();
+            if (!SupportedPlatforms.Contains(platformName))
+            {
+                return ExtensionCommandResult.Failed("unsupported");
+            }
+
+            // Sekmesini bildiren client yoksa herhangi bir yetkili client'a gönder; sekme yoksa no_tab döner
+            if (!_platformClients.TryGetValue(platform, out var clientId))
+            {
+                clientId = _authorizedClients.Keys.FirstOrDefault();
+            }
+
+            if (clientId == null)
+            {
+                return ExtensionCommandResult.Failed("no_client");
+            }
+
+            var requestId = Guid.NewGuid().ToString("N");
+            var tcs = new TaskCompletionSource<ExtensionCommandResult>(TaskCreationOptions.RunContinuationsAsynchronously);
+            _pendingCommands[requestId] = tcs;
+
+            // tabId extension şemasında tam sayı olmalı, null gönderilmez
+            fields["type"] = type;
+            fields["requestId"] = requestId;
+            fields["platform"] = platformName;
+            if (tabId.HasValue)
+            {
+                fields["tabId"] = tabId.Value;
+            }
+
+            try
+            {
+                await SendToClientAsync(clientId, fields);
+
+                using var cts = new CancellationTokenSource(timeout ?? DefaultCommandTimeout);
+                using (cts.Token.Register(() => tcs.TrySetResult(ExtensionCommandResult.Failed("timeout"))))
+                {
+                    var result = await tcs.Task;
+                    Log.Debug("[ExtensionBridge] Komut {Type} [{Platform}]: {Result}", type, platform, result);
+                    return result;
+                }
+            }
+            finally
+            {
+                _pendingCommands.TryRemove(requestId, out _);
+            }
+        }
+
+        private void HandleCommandAck(JsonElement root)
+        {
+            var requestId = GetString(root, "requestId");
+            if (requestId == null || !_pendingCommands.TryRemove(requestId, out var tcs))
+            {
+                return;
+            }
+
+            var ok = root.TryGetProperty("ok", out var okEl) && okEl.ValueKind == JsonValueKind.True;
+            tcs.TrySetResult(ok
+                ? ExtensionCommandResult.Success()
+                : ExtensionCommandResult.Failed(GetString(root, "reason") ?? "failed"));
+        }
+
+        /// <summary>
+        /// Extension'ların yorum, kullanıcı adı, mesaj vb. için kullandığı seçici paketini güncelle.
+        /// Paket, paketi daha eski olan bağlı extension'lara hemen, sonradan bağlananlara el sıkışmada gönderilir.
+        /// Extension paketi doğrulayıp kaydeder ve açık yayın sekmelerine sayfa yenilemeden uygular.
+        /// </summary>
+        /// <param name="packJson">{ "version": n, "platforms": { ... } } biçiminde paket</param>
+        public async Task UpdateSelectorPackAsync(string packJson)
+        {
+            JsonElement pack;
+            try
+            {
+                using var doc = JsonDocument.Parse(packJson);
+                pack = doc.RootElement.Clone();
+            }
+            catch (JsonException ex)
+            {
+                throw new ArgumentException($"Selector paketi JSON değil: {ex.Message}", nameof(packJson), ex);
+            }
+
+            var version = pack.ValueKind == JsonValueKind.Object ? GetInt(pack, "version") : null;
+            if (version is not > 0 || !pack.TryGetProperty("platforms", out var platforms) || platforms.ValueKind != JsonValueKind.Object)
+            {
+                throw new ArgumentException("Selector paketinde version ve platforms olmalı", nameof(packJson));
+            }
+
+            _selectorPack = pack;
+            _selectorPackVersion = version.Value;
+            Log.Information("[ExtensionBridge] Selector paketi v{Version} yüklendi", version.Value);
+
+            foreach (var clientId in _clientPackVersions.Keys)
+            {
+                await SendSelectorPackAsync(clientId);
+            }
+        }
+
+        private async Task SendSelectorPackAsync(string clientId)
+        {
+            if (!_selectorPack.HasValue ||
+                !_clientPackVersions.TryGetValue(clientId, out var clientVersion) ||
+                clientVersion >= _selectorPackVersion)
+            {
+                return;
+            }
+
+            await SendToClientAsync(clientId, new
+            {
+                type = "selectorPack",
+                pack = _selectorPack.Value
+            });
+        }
+
+        private void HandleSelectorPackAck(JsonElement root, string clientId)
+        {
+            var version = GetInt(root, "version");
+            var ok = root.TryGetProperty("ok", out var okEl) && okEl.ValueKind == JsonValueKind.True;
+
+            if (ok && version.HasValue)
+            {
+                _clientPackVersions[clientId] = version.Value;
+                Log.Information("[ExtensionBridge] Selector paketi v{Version} uygulandı (Client: {ClientId})", version, clientId);
+                return;
+            }
+
+            // Aynı paket tekrar gönderilmesin; extension kendi paketiyle devam eder
+            if (version.HasValue && _clientPackVersions.ContainsKey(clientId))
+            {
+                _clientPackVersions[clientId] = version.Value;
+            }
+
+            var errors = root.TryGetProperty("errors", out var errorsEl) && errorsEl.ValueKind == JsonValueKind.Array
+                ? string.Join("; ", errorsEl.EnumerateArray().Select(e => e.GetString()))
+                : null;
+            Log.Warning("[ExtensionBridge] Selector paketi v{Version} reddedildi: {Reason} {Errors} (Client: {ClientId})",
+                version, GetString(root, "reason"), errors, clientId);
+        }
+
+        /// <summary>
+        /// Tek bir client'a mesaj gönder
+        /// </summary>
+        private async Task SendToClientAsync(string clientId, object message)
+        {
+            if (!_clients.TryGetValue(clientId, out var ws) || ws.State != WebSocketState.Open)
+            {
+                return;
+            }
+
+            try
+            {
+                var buffer = Encoding.UTF8.GetBytes(JsonSerializer.Serialize(message));
+                await SendLockedAsync(clientId, ws, new ArraySegment<byte>(buffer));
+            }
+            catch (Exception ex)
+            {
+                Log.Warning(ex, "[ExtensionBridge] Mesaj gönderilemedi: {ClientId}", clientId);
+            }
+        }
+
+        /// <summary>
+        /// Client'ın gönderim kilidini alarak gönder; eşzamanlı gönderimler sıraya girer
+        /// </summary>
+        private async Task SendLockedAsync(string clientId, WebSocket ws, ArraySegment<byte> segment)
+        {
+            if (!_sendLocks.TryGetValue(clientId, out var sendLock))
+            {
+                return;
+            }
+
+            await sendLock.WaitAsync();
+            try
+            {
+                if (ws.State == WebSocketState.Open)
+                {
+                    await ws.SendAsync(segment, WebSocketMessageType.Text, true, CancellationToken.None);
+                }
+            }
+            finally
+            {
+                sendLock.Release();
+            }
+        }
+
         /// <summary>
         /// Tüm client'lara mesaj gönder
         /// </summary>
@@ -371,10 +1250,7 @@ namespace UniCast.Core.Chat.Bridge
             {
                 try
                 {
-                    if (kvp.Value.State == WebSocketState.Open)
-                    {
-                        await kvp.Value.SendAsync(segment, WebSocketMessageType.Text, true, CancellationToken.None);
-                    }
+                    await SendLockedAsync(kvp.Key, kvp.Value, segment);
                 }
                 catch (Exception ex)
                 {
@@ -402,6 +1278,7 @@ namespace UniCast.Core.Chat.Bridge
                 try { kvp.Value.Dispose(); } catch { }
             }
             _clients.Clear();
+            _sendLocks.Clear();
         }
     }
 }
\ No newline at end of file
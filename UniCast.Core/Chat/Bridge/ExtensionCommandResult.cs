@@ -0,0 +1,22 @@
+﻿namespace UniCast.Core.Chat.Bridge
+{
+    /// <summary>
+    /// Extension'a gönderilen komutun (sendComment vb.) sonucu.
+    /// Reason extension'ın commandAck'te bildirdiği neden ('no_tab', 'no_composer', 'not_submitted' ...)
+    /// veya server tarafı hatasıdır ('no_client', 'timeout').
+    /// </summary>
+    public sealed class ExtensionCommandResult
+    {
+        public bool Ok { get; init; }
+        public string? Reason { get; init; }
+
+        public static ExtensionCommandResult Success() => new() { Ok = true };
+
+        public static ExtensionCommandResult Failed(string reason) => new() { Ok = false, Reason = reason };
+
+        public override string ToString()
+        {
+            return Ok ? "ok" : $"başarısız ({Reason})";
+        }
+    }
+}
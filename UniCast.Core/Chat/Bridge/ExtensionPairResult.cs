@@ -0,0 +1,23 @@
+﻿namespace UniCast.Core.Chat.Bridge
+{
+    /// <summary>
+    /// Eşleştirme denemesinin sonucu. Başarılıysa Token extension kurulumuna verilir;
+    /// değilse Reason extension'a pairFailed ile gider ('invalid_code', 'no_code', 'locked', 'rate_limited').
+    /// </summary>
+    public sealed class ExtensionPairResult
+    {
+        public string? Token { get; init; }
+        public string? Reason { get; init; }
+
+        public bool Ok => Token != null;
+
+        public static ExtensionPairResult Paired(string token) => new() { Token = token };
+
+        public static ExtensionPairResult Failed(string reason) => new() { Reason = reason };
+
+        public override string ToString()
+        {
+            return Ok ? "eşleşti" : $"başarısız ({Reason})";
+        }
+    }
+}
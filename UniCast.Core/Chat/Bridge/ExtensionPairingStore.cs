@@ -0,0 +1,224 @@
+﻿using System.Security.Cryptography;
+using System.Text;
+using System.Text.Json;
+using Serilog;
+
+namespace UniCast.Core.Chat.Bridge
+{
+    /// <summary>
+    /// Browser Extension eşleştirmesi.
+    /// UniCast kısa bir kod gösterir, kullanıcı bu kodu extension popup'ına girer.
+    /// Kod doğruysa extension kurulumuna özel bir token verilir; sonraki
+    /// bağlantılarda bu token olmadan gelen client'lar reddedilir.
+    /// Token'ların sadece SHA-256 hash'i diskte tutulur.
+    /// Kod sadece kullanıcıya gösterildikten sonra kabul edilir; üst üste hatalı
+    /// denemelerden sonra eşleştirme, kullanıcı UniCast'te yeni kod üretene kadar kilitlenir.
+    /// </summary>
+    public sealed class ExtensionPairingStore
+    {
+        private const int CODE_LENGTH = 6;
+        private const int MAX_FAILED_ATTEMPTS = 5;
+        private static readonly TimeSpan CodeLifetime = TimeSpan.FromMinutes(5);
+
+        private static readonly JsonSerializerOptions _jsonOpts = new()
+        {
+            WriteIndented = true
+        };
+
+        private readonly object _lock = new();
+        private readonly string _path;
+        private readonly Dictionary<string, string> _tokenHashes;
+        private string? _code;
+        private DateTime _codeExpiresAt;
+        private int _failedAttempts;
+        private bool _locked;
+
+        public ExtensionPairingStore(string? path = null)
+        {
+            _path = path ?? GetDefaultPath();
+            _tokenHashes = Load(_path);
+        }
+
+        /// <summary>
+        /// Eşleştirilmiş extension kurulumu sayısı
+        /// </summary>
+        public int PairedCount
+        {
+            get { lock (_lock) return _tokenHashes.Count; }
+        }
+
+        /// <summary>
+        /// Hatalı denemeler yüzünden eşleştirme kilitli mi (RegenerateCode ile açılır)
+        /// </summary>
+        public bool IsLocked
+        {
+            get { lock (_lock) return _locked; }
+        }
+
+        /// <summary>
+        /// Kullanıcıya gösterilecek eşleştirme kodu. Gösterilen kod süresi dolana kadar aynı kalır,
+        /// dolmuşsa yenisi üretilir. Eşleştirme kilitliyse null; kilidi sadece RegenerateCode açar.
+        /// </summary>
+        public string? ShowCode()
+        {
+            lock (_lock)
+            {
+                if (_locked) return null;
+
+                if (_code == null || DateTime.UtcNow >= _codeExpiresAt)
+                {
+                    NewCode();
+                }
+                return _code;
+            }
+        }
+
+        /// <summary>
+        /// Kullanıcının UniCast'te istediği yeni kod; hatalı denemelerle gelen kilidi açar
+        /// </summary>
+        public string RegenerateCode()
+        {
+            lock (_lock)
+            {
+                _locked = false;
+                NewCode();
+                Log.Information("[ExtensionPairing] Yeni eşleştirme kodu üretildi");
+                return _code!;
+            }
+        }
+
+        /// <summary>
+        /// Kodu doğrula ve kurulum için yeni token üret
+        /// </summary>
+        /// <returns>Sonuç; başarılıysa token</returns>
+        public ExtensionPairResult TryPair(string code, string installId)
+        {
+            if (string.IsNullOrWhiteSpace(code) || string.IsNullOrWhiteSpace(installId))
+            {
+                return ExtensionPairResult.Failed("invalid_code");
+            }
+
+            lock (_lock)
+            {
+                if (_locked)
+                {
+                    return ExtensionPairResult.Failed("locked");
+                }
+
+                // Kod sadece kullanıcıya gösterildiyse kabul edilir; deneme yeni kod üretmez
+                if (_code == null || DateTime.UtcNow >= _codeExpiresAt)
+                {
+                    return ExtensionPairResult.Failed("no_code");
+                }
+
+                if (!FixedTimeEquals(_code, code.Trim()))
+                {
+                    // Kaba kuvvet denemelerine karşı kullanıcı yeni kod üretene kadar kilitle
+                    if (++_failedAttempts >= MAX_FAILED_ATTEMPTS)
+                    {
+                        Log.Warning("[ExtensionPairing] Çok fazla hatalı deneme, eşleştirme kilitlendi");
+                        _locked = true;
+                        _code = null;
+                        return ExtensionPairResult.Failed("locked");
+                    }
+                    return ExtensionPairResult.Failed("invalid_code");
+                }
+
+                var token = Convert.ToHexString(RandomNumberGenerator.GetBytes(32)).ToLowerInvariant();
+                _tokenHashes[installId] = Hash(token);
+                Save();
+
+                // Kod tek kullanımlık
+                _code = null;
+                _failedAttempts = 0;
+
+                Log.Information("[ExtensionPairing] Extension eşleştirildi: {InstallId}", installId);
+                return ExtensionPairResult.Paired(token);
+            }
+        }
+
+        /// <summary>
+        /// Kurulumun token'ı geçerli mi
+        /// </summary>
+        public bool IsAuthorized(string? installId, string? token)
+        {
+            if (string.IsNullOrEmpty(installId) || string.IsNullOrEmpty(token))
+            {
+                return false;
+            }
+
+            lock (_lock)
+            {
+                return _tokenHashes.TryGetValue(installId, out var hash) && FixedTimeEquals(hash, Hash(token));
+            }
+        }
+
+        /// <summary>
+        /// Tüm eşleştirmeleri kaldır
+        /// </summary>
+        public void RevokeAll()
+        {
+            lock (_lock)
+            {
+                _tokenHashes.Clear();
+                Save();
+            }
+        }
+
+        private void NewCode()
+        {
+            _code = RandomNumberGenerator.GetInt32(0, (int)Math.Pow(10, CODE_LENGTH)).ToString($"D{CODE_LENGTH}");
+            _codeExpiresAt = DateTime.UtcNow + CodeLifetime;
+            _failedAttempts = 0;
+        }
+
+        private static string Hash(string token)
+        {
+            return Convert.ToHexString(SHA256.HashData(Encoding.UTF8.GetBytes(token)));
+        }
+
+        private static bool FixedTimeEquals(string a, string b)
+        {
+            return CryptographicOperations.FixedTimeEquals(Encoding.UTF8.GetBytes(a), Encoding.UTF8.GetBytes(b));
+        }
+
+        private static string GetDefaultPath()
+        {
+            var root = Environment.GetFolderPath(Environment.SpecialFolder.LocalApplicationData);
+            var dir = Path.Combine(root, "UniCast");
+            if (!Directory.Exists(dir)) Directory.CreateDirectory(dir);
+            return Path.Combine(dir, "extension-pairing.json");
+        }
+
+        private static Dictionary<string, string> Load(string path)
+        {
+            try
+            {
+                if (File.Exists(path))
+                {
+                    var json = File.ReadAllText(path);
+                    var obj = JsonSerializer.Deserialize<Dictionary<string, string>>(json, _jsonOpts);
+                    if (obj != null) return obj;
+                }
+            }
+            catch (Exception ex)
+            {
+                Log.Warning(ex, "[ExtensionPairing] Eşleştirme dosyası okunamadı, boş başlatılıyor");
+            }
+
+            return new Dictionary<string, string>();
+        }
+
+        private void Save()
+        {
+            try
+            {
+                File.WriteAllText(_path, JsonSerializer.Serialize(_tokenHashes, _jsonOpts));
+            }
+            catch (Exception ex)
+            {
+                Log.Error(ex, "[ExtensionPairing] Eşleştirme dosyası yazılamadı");
+            }
+        }
+    }
+}
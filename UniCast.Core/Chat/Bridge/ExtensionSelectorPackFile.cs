@@ -0,0 +1,58 @@
+﻿using System.Text.Json;
+using Serilog;
+
+namespace UniCast.Core.Chat.Bridge
+{
+    /// <summary>
+    /// Kullanıcının veya güncellemenin bıraktığı selector paketi dosyası.
+    /// Ingestor başlarken okunur ve extension'lara gönderilir; dosyayı değiştirmek
+    /// extension'ı yeniden yayınlamadan platform seçicilerini günceller (sonraki yayında etkin olur).
+    /// Geçersiz dosya bridge'i durdurmaz, sadece uyarı yazılır ve extension kendi paketiyle devam eder.
+    /// </summary>
+    public static class ExtensionSelectorPackFile
+    {
+        /// <summary>
+        /// Varsayılan dosya: %LocalAppData%/UniCast/selector-pack.json
+        /// </summary>
+        public static string DefaultPath => Path.Combine(
+            Environment.GetFolderPath(Environment.SpecialFolder.LocalApplicationData), "UniCast", "selector-pack.json");
+
+        /// <summary>
+        /// Paketi oku. Dosya yoksa veya { "version": n, "platforms": { ... } } biçiminde değilse null.
+        /// Seçicilerin kendisi extension'da doğrulanır (selectorPackAck).
+        /// </summary>
+        public static string? Load(string? path = null)
+        {
+            path ??= DefaultPath;
+            if (!File.Exists(path))
+            {
+                return null;
+            }
+
+            try
+            {
+                var json = File.ReadAllText(path);
+                using var doc = JsonDocument.Parse(json);
+                var root = doc.RootElement;
+
+                if (root.ValueKind != JsonValueKind.Object ||
+                    !root.TryGetProperty("version", out var versionEl) ||
+                    !versionEl.TryGetInt32(out var version) || version <= 0 ||
+                    !root.TryGetProperty("platforms", out var platforms) ||
+                    platforms.ValueKind != JsonValueKind.Object)
+                {
+                    Log.Warning("[ExtensionBridge] Selector paketi dosyasında version ve platforms olmalı: {Path}", path);
+                    return null;
+                }
+
+                Log.Information("[ExtensionBridge] Selector paketi v{Version} dosyadan okundu: {Path}", version, path);
+                return json;
+            }
+            catch (Exception ex) when (ex is JsonException or IOException or UnauthorizedAccessException)
+            {
+                Log.Warning("[ExtensionBridge] Selector paketi dosyası okunamadı: {Path} ({Message})", path, ex.Message);
+                return null;
+            }
+        }
+    }
+}
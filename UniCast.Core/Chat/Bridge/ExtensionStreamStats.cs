@@ -0,0 +1,37 @@
+﻿namespace UniCast.Core.Chat.Bridge
+{
+    /// <summary>
+    /// Extension'ın yayın sayfasından okuduğu anlık izleyici istatistikleri.
+    /// Sayfada gösterilmeyen değerler null gelir.
+    /// </summary>
+    public sealed class ExtensionStreamStats
+    {
+        public ChatPlatform Platform { get; init; }
+
+        /// <summary>
+        /// Yayının kimliği (Facebook video id'si, TikTok/Instagram yayıncısı); aynı platformdaki
+        /// eşzamanlı yayınları ayırır
+        /// </summary>
+        public string? StreamId { get; init; }
+
+        /// <summary>
+        /// İstatistiğin okunduğu tarayıcı sekmesi
+        /// </summary>
+        public int? TabId { get; init; }
+
+        /// <summary>
+        /// İstatistiği gönderen extension bağlantısı
+        /// </summary>
+        public string? ClientId { get; init; }
+
+        public int? Viewers { get; init; }
+        public int? Likes { get; init; }
+        public TimeSpan? Duration { get; init; }
+        public DateTime Timestamp { get; init; } = DateTime.Now;
+
+        public override string ToString()
+        {
+            return $"[{Platform}{(StreamId != null ? $" {StreamId}" : "")}] izleyici={Viewers?.ToString() ?? "-"} beğeni={Likes?.ToString() ?? "-"} süre={Duration?.ToString() ?? "-"}";
+        }
+    }
+}
@@ -1,4 +1,6 @@
 ﻿using System;
+using System.Collections.Concurrent;
+using System.Linq;
 using System.Threading;
 using System.Threading.Tasks;
 using Serilog;
@@ -19,8 +21,12 @@ namespace UniCast.Core.Chat.Ingestors
     {
         private ExtensionBridgeServer? _server;
         private readonly int _port;
+        private readonly ExtensionPairingStore? _pairing;
         private bool _clientConnected;
         private TaskCompletionSource<bool>? _connectionTcs;
+        // (platform, yayın kimliği) → son istatistik; aynı yayını gösteren sekmeler tek sayılır
+        private readonly ConcurrentDictionary<(ChatPlatform Platform, string StreamId), ExtensionStreamStats> _latestStats = new();
+        private string? _selectorPackJson;
 
         public override ChatPlatform Platform => ChatPlatform.Instagram;
 
@@ -34,25 +40,82 @@ namespace UniCast.Core.Chat.Ingestors
         /// </summary>
         public int Port => _port;
 
-        public ExtensionBridgeIngestor(int port = 9876) : base("extension-bridge")
+        /// <summary>
+        /// Eşleştirilmemiş bir extension bağlanmaya çalıştığında tetiklenir.
+        /// Parametre: extension popup'ına girilecek eşleştirme kodu
+        /// </summary>
+        public event Action<string>? PairingRequired;
+
+        /// <summary>
+        /// Hatalı kod denemeleri yüzünden eşleştirme kilitlendiğinde tetiklenir;
+        /// RegeneratePairingCode çağrılana kadar eşleştirme kabul edilmez
+        /// </summary>
+        public event Action? PairingLocked;
+
+        /// <summary>
+        /// Extension'dan yeni izleyici istatistiği geldiğinde tetiklenir
+        /// </summary>
+        public event Action<ExtensionStreamStats>? StatsReceived;
+
+        /// <summary>
+        /// Bir yayının istatistiği düştüğünde tetiklenir (sekme kapandı, başka yayına geçti, extension ayrıldı)
+        /// </summary>
+        public event Action? StatsRemoved;
+
+        /// <summary>
+        /// Açık yayın başına son istatistikler
+        /// </summary>
+        public IReadOnlyCollection<ExtensionStreamStats> LatestStats => _latestStats.Values.ToList();
+
+        /// <summary>
+        /// İzleyici sayısı bilinen yayınların toplamı; hiçbiri bilinmiyorsa null
+        /// </summary>
+        public int? TotalViewers
+        {
+            get
+            {
+                var counts = _latestStats.Values.Where(s => s.Viewers.HasValue).Select(s => s.Viewers!.Value).ToList();
+                return counts.Count > 0 ? counts.Sum() : null;
+            }
+        }
+
+        public ExtensionBridgeIngestor(int port = 9876, ExtensionPairingStore? pairing = null) : base("extension-bridge")
         {
             _port = port;
+            _pairing = pairing;
         }
 
         protected override async Task ConnectAsync(CancellationToken ct)
         {
             Log.Information("[ExtensionBridge] Ingestor başlatılıyor, port: {Port}", _port);
 
-            _server = new ExtensionBridgeServer(_port);
+            _server = new ExtensionBridgeServer(_port, _pairing);
 
             // Event handler'ları bağla
             _server.OnMessageReceived += OnServerMessageReceived;
             _server.OnClientConnected += OnServerClientConnected;
             _server.OnClientDisconnected += OnServerClientDisconnected;
+            _server.OnPairingRequired += OnServerPairingRequired;
+            _server.OnPairingLocked += OnServerPairingLocked;
+            _server.OnStatsReceived += OnServerStatsReceived;
+            _server.OnStreamEnded += OnServerStreamEnded;
 
             // Server'ı başlat
             await _server.StartAsync().ConfigureAwait(false);
 
+            if (_selectorPackJson != null)
+            {
+                try
+                {
+                    await _server.UpdateSelectorPackAsync(_selectorPackJson).ConfigureAwait(false);
+                }
+                catch (ArgumentException ex)
+                {
+                    // Geçersiz paket bridge'i durdurmaz; extension kendi paketiyle devam eder
+                    Log.Warning("[ExtensionBridge] Selector paketi gönderilmedi: {Message}", ex.Message);
+                }
+            }
+
             Log.Information("[ExtensionBridge] WebSocket server hazır. Extension bekleniyor...");
             Log.Information("[ExtensionBridge] Kullanıcıya: Instagram Live sayfasını tarayıcıda açın");
         }
@@ -64,6 +127,10 @@ namespace UniCast.Core.Chat.Ingestors
                 _server.OnMessageReceived -= OnServerMessageReceived;
                 _server.OnClientConnected -= OnServerClientConnected;
                 _server.OnClientDisconnected -= OnServerClientDisconnected;
+                _server.OnPairingRequired -= OnServerPairingRequired;
+                _server.OnPairingLocked -= OnServerPairingLocked;
+                _server.OnStatsReceived -= OnServerStatsReceived;
+                _server.OnStreamEnded -= OnServerStreamEnded;
 
                 await _server.StopAsync().ConfigureAwait(false);
                 _server.Dispose();
@@ -71,6 +138,7 @@ namespace UniCast.Core.Chat.Ingestors
             }
 
             _clientConnected = false;
+            _latestStats.Clear();
             Log.Information("[ExtensionBridge] Ingestor durduruldu");
         }
 
@@ -113,6 +181,9 @@ namespace UniCast.Core.Chat.Ingestors
 
         private void OnServerClientDisconnected(string clientId)
         {
+            // Ayrılan extension'ın sekmelerindeki yayınlar artık izlenmiyor
+            RemoveStats(entry => entry.Value.ClientId == clientId);
+
             if (_server?.ClientCount == 0)
             {
                 _clientConnected = false;
@@ -120,6 +191,119 @@ namespace UniCast.Core.Chat.Ingestors
             }
         }
 
+        private void OnServerPairingRequired(string code)
+        {
+            Log.Information("[ExtensionBridge] Extension eşleştirme kodu: {Code}", code);
+            PairingRequired?.Invoke(code);
+        }
+
+        private void OnServerPairingLocked()
+        {
+            Log.Warning("[ExtensionBridge] Çok fazla hatalı eşleştirme denemesi, yeni kod üretilene kadar kilitli");
+            PairingLocked?.Invoke();
+        }
+
+        /// <summary>
+        /// Kullanıcının istediği yeni eşleştirme kodu; kilitli eşleştirmeyi açar.
+        /// Ingestor çalışmıyorsa null
+        /// </summary>
+        public string? RegeneratePairingCode()
+        {
+            return _server?.Pairing.RegenerateCode();
+        }
+
+        private void OnServerStatsReceived(ExtensionStreamStats stats)
+        {
+            var key = StatsKey(stats.Platform, stats.StreamId, stats.TabId);
+
+            // Sekme streamEnded göndermeden başka yayına geçtiyse eski yayının sayısı kalmasın
+            if (stats.TabId.HasValue)
+            {
+                RemoveStats(entry => !entry.Key.Equals(key) &&
+                    entry.Value.TabId == stats.TabId && entry.Value.ClientId == stats.ClientId);
+            }
+
+            _latestStats[key] = stats;
+            StatsReceived?.Invoke(stats);
+        }
+
+        private void OnServerStreamEnded(string clientId, ChatPlatform platform, string? streamId, int? tabId)
+        {
+            // Aynı yayın başka bir sekmede de açıksa o sekmenin istatistiği korunur
+            var key = StatsKey(platform, streamId, tabId);
+            RemoveStats(entry => entry.Key.Equals(key) &&
+                entry.Value.TabId == tabId && entry.Value.ClientId == clientId);
+        }
+
+        private static (ChatPlatform Platform, string StreamId) StatsKey(ChatPlatform platform, string? streamId, int? tabId)
+        {
+            return (platform, streamId ?? $"tab:{tabId}");
+        }
+
+        private void RemoveStats(Func<KeyValuePair<(ChatPlatform Platform, string StreamId), ExtensionStreamStats>, bool> predicate)
+        {
+            var removed = false;
+            foreach (var entry in _latestStats.Where(predicate).ToList())
+            {
+                removed |= _latestStats.TryRemove(entry);
+            }
+
+            if (removed)
+            {
+                StatsRemoved?.Invoke();
+            }
+        }
+
+        /// <summary>
+        /// Platformun canlı sohbetine extension üzerinden mesaj yaz
+        /// </summary>
+        public Task<ExtensionCommandResult> SendCommentAsync(ChatPlatform platform, string text, int? tabId = null)
+        {
+            if (_server == null)
+            {
+                return Task.FromResult(ExtensionCommandResult.Failed("no_client"));
+            }
+
+            return _server.SendCommentAsync(platform, text, tabId);
+        }
+
+        /// <summary>
+        /// Extension'dan gelen yorumu yayında sabitle
+        /// </summary>
+        public Task<ExtensionCommandResult> PinCommentAsync(ChatMessage message)
+        {
+            return _server?.PinCommentAsync(message) ?? Task.FromResult(ExtensionCommandResult.Failed("no_client"));
+        }
+
+        /// <summary>
+        /// Extension'dan gelen yorumu gizle/sil
+        /// </summary>
+        public Task<ExtensionCommandResult> HideCommentAsync(ChatMessage message)
+        {
+            return _server?.HideCommentAsync(message) ?? Task.FromResult(ExtensionCommandResult.Failed("no_client"));
+        }
+
+        /// <summary>
+        /// Extension'dan gelen yorumun yazarını engelle
+        /// </summary>
+        public Task<ExtensionCommandResult> BlockUserAsync(ChatMessage message)
+        {
+            return _server?.BlockUserAsync(message) ?? Task.FromResult(ExtensionCommandResult.Failed("no_client"));
+        }
+
+        /// <summary>
+        /// Extension'ların kullandığı selector paketini güncelle.
+        /// Ingestor henüz başlamadıysa paket server başlarken gönderilir.
+        /// </summary>
+        public async Task UpdateSelectorPackAsync(string packJson)
+        {
+            if (_server != null)
+            {
+                await _server.UpdateSelectorPackAsync(packJson).ConfigureAwait(false);
+            }
+            _selectorPackJson = packJson;
+        }
+
         /// <summary>
         /// Extension bağlantısını bekle
         /// </summary>
@@ -0,0 +1,151 @@
+using System.IO;
+using System.Net.WebSockets;
+using UniCast.Core.Chat.Bridge;
+using UniCast.Core.Chat.Ingestors;
+using UniCast.Tests.Helpers;
+
+namespace UniCast.Tests.Core;
+
+/// <summary>
+/// ExtensionBridgeIngestor unit testleri: yayın başına izleyici istatistikleri, başlamadan verilen selector paketi
+/// </summary>
+public class ExtensionBridgeIngestorTests : TestBase
+{
+    private readonly string _pairingPath = Path.Combine(Path.GetTempPath(), $"unicast-pairing-{Guid.NewGuid():N}.json");
+    private readonly int _port = ExtensionBridgeClient.GetFreePort();
+    private readonly ExtensionBridgeIngestor _ingestor;
+
+    public ExtensionBridgeIngestorTests()
+    {
+        _ingestor = new ExtensionBridgeIngestor(_port, new ExtensionPairingStore(_pairingPath));
+    }
+
+    public override void Dispose()
+    {
+        _ingestor.Dispose();
+        if (File.Exists(_pairingPath)) File.Delete(_pairingPath);
+        base.Dispose();
+    }
+
+    [Fact]
+    public async Task TotalViewers_TwoStreamsOnSamePlatform_ShouldSumAndDropEndedStreams()
+    {
+        // Arrange
+        await _ingestor.StartAsync();
+        using var ws = await ExtensionBridgeClient.ConnectPairedAsync(_port, _ingestor.RegeneratePairingCode()!);
+
+        // Act: aynı platformda iki sekme, iki ayrı yayın
+        await SendStatsAsync(ws, tabId: 1, streamId: "alice", viewers: 100);
+        await SendStatsAsync(ws, tabId: 2, streamId: "bob", viewers: 50);
+
+        // Assert
+        (await ExtensionBridgeClient.WaitUntilAsync(() => _ingestor.TotalViewers == 150)).Should().BeTrue();
+
+        // Act: ikinci sekmenin yayını bitti
+        await ExtensionBridgeClient.SendJsonAsync(ws, new
+        {
+            type = "streamEnded",
+            platform = "tiktok",
+            tabId = 2,
+            streamId = "bob",
+            timestamp = 1700000000000
+        });
+
+        // Assert
+        (await ExtensionBridgeClient.WaitUntilAsync(() => _ingestor.TotalViewers == 100)).Should().BeTrue();
+        _ingestor.LatestStats.Should().ContainSingle().Which.StreamId.Should().Be("alice");
+    }
+
+    [Fact]
+    public async Task TotalViewers_TabSwitchesStream_ShouldDropOldStream()
+    {
+        // Arrange
+        await _ingestor.StartAsync();
+        using var ws = await ExtensionBridgeClient.ConnectPairedAsync(_port, _ingestor.RegeneratePairingCode()!);
+        await SendStatsAsync(ws, tabId: 1, streamId: "alice", viewers: 100);
+        (await ExtensionBridgeClient.WaitUntilAsync(() => _ingestor.TotalViewers == 100)).Should().BeTrue();
+
+        // Act: sekme streamEnded olmadan başka yayına geçti
+        await SendStatsAsync(ws, tabId: 1, streamId: "carol", viewers: 30);
+
+        // Assert
+        (await ExtensionBridgeClient.WaitUntilAsync(() => _ingestor.TotalViewers == 30)).Should().BeTrue();
+        _ingestor.LatestStats.Should().ContainSingle().Which.StreamId.Should().Be("carol");
+    }
+
+    [Fact]
+    public async Task TotalViewers_SameStreamInTwoTabs_ShouldCountOnce()
+    {
+        // Arrange
+        await _ingestor.StartAsync();
+        using var ws = await ExtensionBridgeClient.ConnectPairedAsync(_port, _ingestor.RegeneratePairingCode()!);
+
+        // Act
+        await SendStatsAsync(ws, tabId: 1, streamId: "alice", viewers: 100);
+        await SendStatsAsync(ws, tabId: 2, streamId: "alice", viewers: 101);
+
+        // Assert
+        (await ExtensionBridgeClient.WaitUntilAsync(() => _ingestor.TotalViewers == 101)).Should().BeTrue();
+        _ingestor.LatestStats.Should().ContainSingle();
+    }
+
+    [Fact]
+    public async Task TotalViewers_ExtensionDisconnects_ShouldDropItsStreams()
+    {
+        // Arrange
+        await _ingestor.StartAsync();
+        var ws = await ExtensionBridgeClient.ConnectPairedAsync(_port, _ingestor.RegeneratePairingCode()!);
+        await SendStatsAsync(ws, tabId: 1, streamId: "alice", viewers: 100);
+        (await ExtensionBridgeClient.WaitUntilAsync(() => _ingestor.TotalViewers == 100)).Should().BeTrue();
+
+        // Act
+        await ws.CloseAsync(WebSocketCloseStatus.NormalClosure, "bye", CancellationToken.None);
+        ws.Dispose();
+
+        // Assert
+        (await ExtensionBridgeClient.WaitUntilAsync(() => _ingestor.TotalViewers == null)).Should().BeTrue();
+        _ingestor.LatestStats.Should().BeEmpty();
+    }
+
+    [Fact]
+    public async Task SelectorPack_GivenBeforeStart_ShouldBeSentAfterWelcome()
+    {
+        // Arrange: App paketi dosyadan okuyup ingestor başlamadan verir
+        await _ingestor.UpdateSelectorPackAsync("{ \"version\": 3, \"platforms\": { \"tiktok\": { \"uiTexts\": [\"LIVE\"] } } }");
+        await _ingestor.StartAsync();
+
+        // Act
+        using var ws = await ExtensionBridgeClient.ConnectPairedAsync(_port, _ingestor.RegeneratePairingCode()!);
+        var message = await ExtensionBridgeClient.ReceiveJsonAsync(ws, "selectorPack");
+
+        // Assert
+        message.GetProperty("pack").GetProperty("version").GetInt32().Should().Be(3);
+    }
+
+    [Fact]
+    public async Task SelectorPack_InvalidBeforeStart_ShouldNotStopBridge()
+    {
+        // Arrange
+        await _ingestor.UpdateSelectorPackAsync("{ \"version\": 0 }");
+
+        // Act
+        await _ingestor.StartAsync();
+        using var ws = await ExtensionBridgeClient.ConnectPairedAsync(_port, _ingestor.RegeneratePairingCode()!);
+
+        // Assert
+        _ingestor.IsExtensionConnected.Should().BeTrue();
+    }
+
+    private static Task SendStatsAsync(ClientWebSocket ws, int tabId, string streamId, int viewers)
+    {
+        return ExtensionBridgeClient.SendJsonAsync(ws, new
+        {
+            type = "stats",
+            data = new { platform = "tiktok", viewers, timestamp = 1700000000000 },
+            tabId,
+            platform = "tiktok",
+            streamId,
+            sessionStartedAt = 1700000000000
+        });
+    }
+}
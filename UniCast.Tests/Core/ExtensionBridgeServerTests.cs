@@ -0,0 +1,226 @@
+using System.IO;
+using System.Net.WebSockets;
+using System.Text.Json;
+using UniCast.Core.Chat;
+using UniCast.Core.Chat.Bridge;
+using UniCast.Tests.Helpers;
+
+namespace UniCast.Tests.Core;
+
+/// <summary>
+/// ExtensionBridgeServer unit testleri: protokol el sıkışması, eşleştirme, origin kontrolü,
+/// parçalı gelen büyük mesajlar, mesaj boyutu sınırı, aynı client'a eşzamanlı gönderim
+/// </summary>
+public class ExtensionBridgeServerTests : TestBase
+{
+    private readonly string _pairingPath = Path.Combine(Path.GetTempPath(), $"unicast-pairing-{Guid.NewGuid():N}.json");
+    private readonly int _port = ExtensionBridgeClient.GetFreePort();
+    private readonly ExtensionBridgeServer _server;
+
+    public ExtensionBridgeServerTests()
+    {
+        _server = new ExtensionBridgeServer(_port, new ExtensionPairingStore(_pairingPath));
+    }
+
+    public override void Dispose()
+    {
+        _server.Dispose();
+        if (File.Exists(_pairingPath)) File.Delete(_pairingPath);
+        base.Dispose();
+    }
+
+    [Fact]
+    public async Task Hello_WithSupportedVersion_ShouldWelcome()
+    {
+        // Arrange
+        await _server.StartAsync();
+        using var ws = await ExtensionBridgeClient.ConnectAsync(_port);
+        var token = await ExtensionBridgeClient.PairAsync(ws, _server.Pairing.ShowCode()!);
+
+        // Act
+        await ExtensionBridgeClient.SendJsonAsync(ws, new { type = "hello", protocolVersion = 1, extensionVersion = "2.0.0", installId = "install-1", token });
+        var welcome = await ExtensionBridgeClient.ReceiveJsonAsync(ws, "welcome");
+
+        // Assert
+        welcome.GetProperty("protocolVersion").GetInt32().Should().Be(1);
+        welcome.GetProperty("paired").GetBoolean().Should().BeTrue();
+        welcome.GetProperty("accepts").EnumerateArray().Select(e => e.GetString()).Should().Contain("comment");
+    }
+
+    [Fact]
+    public async Task Hello_WithNewerVersion_ShouldNegotiateServerVersion()
+    {
+        // Arrange
+        await _server.StartAsync();
+        using var ws = await ExtensionBridgeClient.ConnectAsync(_port);
+        var token = await ExtensionBridgeClient.PairAsync(ws, _server.Pairing.ShowCode()!);
+
+        // Act
+        await ExtensionBridgeClient.SendJsonAsync(ws, new { type = "hello", protocolVersion = 99, installId = "install-1", token });
+        var welcome = await ExtensionBridgeClient.ReceiveJsonAsync(ws, "welcome");
+
+        // Assert
+        welcome.GetProperty("protocolVersion").GetInt32().Should().Be(1);
+    }
+
+    [Fact]
+    public async Task Hello_WithUnsupportedVersion_ShouldReject()
+    {
+        // Arrange
+        await _server.StartAsync();
+        using var ws = await ExtensionBridgeClient.ConnectAsync(_port);
+
+        // Act
+        await ExtensionBridgeClient.SendJsonAsync(ws, new { type = "hello", protocolVersion = 0 });
+        var reject = await ExtensionBridgeClient.ReceiveJsonAsync(ws, "reject");
+
+        // Assert
+        reject.GetProperty("reason").GetString().Should().Be("protocol_version");
+        reject.GetProperty("minProtocolVersion").GetInt32().Should().Be(1);
+    }
+
+    [Fact]
+    public async Task Hello_WhenUnpaired_ShouldRejectAndRequestPairing()
+    {
+        // Arrange
+        await _server.StartAsync();
+        string? shownCode = null;
+        _server.OnPairingRequired += code => shownCode = code;
+        using var ws = await ExtensionBridgeClient.ConnectAsync(_port);
+
+        // Act
+        await ExtensionBridgeClient.SendJsonAsync(ws, new { type = "hello", protocolVersion = 1, installId = "install-1" });
+        var reject = await ExtensionBridgeClient.ReceiveJsonAsync(ws, "reject");
+
+        // Assert
+        reject.GetProperty("reason").GetString().Should().Be("unpaired");
+        shownCode.Should().NotBeNullOrEmpty();
+    }
+
+    [Fact]
+    public async Task Hello_WithWrongToken_ShouldReject()
+    {
+        // Arrange
+        await _server.StartAsync();
+        using var ws = await ExtensionBridgeClient.ConnectAsync(_port);
+        await ExtensionBridgeClient.PairAsync(ws, _server.Pairing.ShowCode()!);
+
+        // Act
+        await ExtensionBridgeClient.SendJsonAsync(ws, new { type = "hello", protocolVersion = 1, installId = "install-1", token = "not-the-token" });
+        var reject = await ExtensionBridgeClient.ReceiveJsonAsync(ws, "reject");
+
+        // Assert
+        reject.GetProperty("reason").GetString().Should().Be("unpaired");
+    }
+
+    [Fact]
+    public async Task Connect_FromWebPageOrigin_ShouldBeRefused()
+    {
+        // Arrange
+        await _server.StartAsync();
+
+        // Act
+        var act = () => ExtensionBridgeClient.ConnectAsync(_port, "https://example.com");
+
+        // Assert
+        await act.Should().ThrowAsync<WebSocketException>();
+    }
+
+    [Fact]
+    public async Task Comment_BeforeHandshake_ShouldBeIgnored()
+    {
+        // Arrange
+        await _server.StartAsync();
+        var received = new TaskCompletionSource<ChatMessage>(TaskCreationOptions.RunContinuationsAsynchronously);
+        _server.OnMessageReceived += message => received.TrySetResult(message);
+        using var ws = await ExtensionBridgeClient.ConnectAsync(_port);
+
+        // Act: el sıkışmadan önce gelen yorum atlanmalı, sonraki iletilmeli
+        await ExtensionBridgeClient.SendJsonAsync(ws, Comment("c1", "önce"));
+        var token = await ExtensionBridgeClient.PairAsync(ws, _server.Pairing.ShowCode()!);
+        await ExtensionBridgeClient.SendJsonAsync(ws, new { type = "hello", protocolVersion = 1, installId = "install-1", token });
+        await ExtensionBridgeClient.ReceiveJsonAsync(ws, "welcome");
+        await ExtensionBridgeClient.SendJsonAsync(ws, Comment("c2", "sonra"));
+
+        // Assert
+        var completed = await Task.WhenAny(received.Task, Task.Delay(ExtensionBridgeClient.Timeout));
+        completed.Should().Be(received.Task);
+        (await received.Task).Message.Should().Be("sonra");
+    }
+
+    [Fact]
+    public async Task Comment_LargerThanReceiveBuffer_ShouldArriveWhole()
+    {
+        // Arrange
+        await _server.StartAsync();
+        using var ws = await ExtensionBridgeClient.ConnectPairedAsync(_port, _server.Pairing.ShowCode()!);
+
+        var received = new TaskCompletionSource<ChatMessage>(TaskCreationOptions.RunContinuationsAsynchronously);
+        _server.OnMessageReceived += message => received.TrySetResult(message);
+
+        // 2000 karakter "ş" UTF-8'de 4000 bayt; zarfla birlikte 4 KB'lık okuma tamponunu aşar
+        var text = new string('ş', 2000);
+
+        // Act
+        await ExtensionBridgeClient.SendJsonAsync(ws, Comment("c1", text));
+
+        // Assert
+        var completed = await Task.WhenAny(received.Task, Task.Delay(ExtensionBridgeClient.Timeout));
+        completed.Should().Be(received.Task);
+
+        var message = await received.Task;
+        message.Platform.Should().Be(ChatPlatform.TikTok);
+        message.Message.Should().Be(text);
+    }
+
+    [Fact]
+    public async Task Message_OverSizeLimit_ShouldCloseWithMessageTooBig()
+    {
+        // Arrange
+        await _server.StartAsync();
+        using var ws = await ExtensionBridgeClient.ConnectPairedAsync(_port, _server.Pairing.ShowCode()!);
+
+        // Act
+        await ExtensionBridgeClient.SendJsonAsync(ws, Comment("c1", new string('a', 300 * 1024)));
+
+        using var cts = new CancellationTokenSource(ExtensionBridgeClient.Timeout);
+        var result = await ws.ReceiveAsync(new byte[1024], cts.Token);
+
+        // Assert
+        result.MessageType.Should().Be(WebSocketMessageType.Close);
+        ws.CloseStatus.Should().Be(WebSocketCloseStatus.MessageTooBig);
+    }
+
+    [Fact]
+    public async Task Command_WhileSelectorPackIsSending_ShouldWaitItsTurn()
+    {
+        // Arrange
+        await _server.StartAsync();
+        using var ws = await ExtensionBridgeClient.ConnectPairedAsync(_port, _server.Pairing.ShowCode()!);
+
+        // Client okumadığı sürece soket tamponları dolar ve paketin gönderimi sürer
+        var pack = JsonSerializer.Serialize(new { version = 2, platforms = new { }, notes = new string('a', 8 * 1024 * 1024) });
+
+        // Act
+        var packTask = _server.UpdateSelectorPackAsync(pack);
+        var commandTask = _server.SendCommentAsync(ChatPlatform.TikTok, "merhaba");
+
+        var command = await ExtensionBridgeClient.ReceiveJsonAsync(ws, "sendComment");
+        await ExtensionBridgeClient.SendJsonAsync(ws, new { type = "commandAck", requestId = command.GetProperty("requestId").GetString(), ok = true });
+        await packTask;
+        var result = await commandTask;
+
+        // Assert
+        command.GetProperty("text").GetString().Should().Be("merhaba");
+        result.Ok.Should().BeTrue();
+    }
+
+    private static object Comment(string id, string text)
+    {
+        return new
+        {
+            type = "comment",
+            data = new { id, platform = "tiktok", username = "viewer", text, timestamp = 1700000000000 }
+        };
+    }
+}
@@ -0,0 +1,76 @@
+using System.IO;
+using UniCast.Core.Chat.Bridge;
+using UniCast.Tests.Helpers;
+
+namespace UniCast.Tests.Core;
+
+/// <summary>
+/// ExtensionPairingStore unit testleri: gösterilen kod, kaba kuvvet kilidi
+/// </summary>
+public class ExtensionPairingStoreTests : TestBase
+{
+    private readonly string _path = Path.Combine(Path.GetTempPath(), $"unicast-pairing-{Guid.NewGuid():N}.json");
+
+    public override void Dispose()
+    {
+        if (File.Exists(_path)) File.Delete(_path);
+        base.Dispose();
+    }
+
+    [Fact]
+    public void TryPair_WithoutShownCode_ShouldFailWithoutCreatingCode()
+    {
+        // Arrange
+        var store = new ExtensionPairingStore(_path);
+
+        // Act
+        var result = store.TryPair("123456", "install-1");
+
+        // Assert
+        result.Ok.Should().BeFalse();
+        result.Reason.Should().Be("no_code");
+        store.PairedCount.Should().Be(0);
+    }
+
+    [Fact]
+    public void TryPair_WithShownCode_ShouldIssueAuthorizedToken()
+    {
+        // Arrange
+        var store = new ExtensionPairingStore(_path);
+        var code = store.ShowCode()!;
+
+        // Act
+        var result = store.TryPair(code, "install-1");
+
+        // Assert
+        result.Ok.Should().BeTrue();
+        store.IsAuthorized("install-1", result.Token).Should().BeTrue();
+
+        // Kod tek kullanımlık
+        store.TryPair(code, "install-2").Reason.Should().Be("no_code");
+    }
+
+    [Fact]
+    public void TryPair_AfterTooManyWrongCodes_ShouldStayLockedUntilRegenerated()
+    {
+        // Arrange
+        var store = new ExtensionPairingStore(_path);
+        var code = store.ShowCode()!;
+        var wrong = code == "000000" ? "111111" : "000000";
+
+        // Act
+        for (var i = 0; i < 5; i++)
+        {
+            store.TryPair(wrong, "attacker");
+        }
+
+        // Assert - doğru kod da kabul edilmez, yeni kod kendiliğinden gösterilmez
+        store.IsLocked.Should().BeTrue();
+        store.TryPair(code, "install-1").Reason.Should().Be("locked");
+        store.ShowCode().Should().BeNull();
+
+        var fresh = store.RegenerateCode();
+        store.IsLocked.Should().BeFalse();
+        store.TryPair(fresh, "install-1").Ok.Should().BeTrue();
+    }
+}
@@ -0,0 +1,59 @@
+using System.IO;
+using UniCast.Core.Chat.Bridge;
+using UniCast.Tests.Helpers;
+
+namespace UniCast.Tests.Core;
+
+/// <summary>
+/// ExtensionSelectorPackFile unit testleri: geçerli, eksik ve bozuk paket dosyaları
+/// </summary>
+public class ExtensionSelectorPackFileTests : TestBase
+{
+    private readonly string _path = Path.Combine(Path.GetTempPath(), $"unicast-selector-pack-{Guid.NewGuid():N}.json");
+
+    public override void Dispose()
+    {
+        if (File.Exists(_path)) File.Delete(_path);
+        base.Dispose();
+    }
+
+    [Fact]
+    public void Load_WithValidPack_ShouldReturnJson()
+    {
+        // Arrange
+        var json = "{ \"version\": 3, \"platforms\": { \"tiktok\": { \"selectors\": { \"commentItem\": [\".Row\"] } } } }";
+        File.WriteAllText(_path, json);
+
+        // Act
+        var pack = ExtensionSelectorPackFile.Load(_path);
+
+        // Assert
+        pack.Should().Be(json);
+    }
+
+    [Fact]
+    public void Load_WithoutFile_ShouldReturnNull()
+    {
+        // Act
+        var pack = ExtensionSelectorPackFile.Load(_path);
+
+        // Assert
+        pack.Should().BeNull();
+    }
+
+    [Fact]
+    public void Load_WithInvalidPack_ShouldReturnNull()
+    {
+        foreach (var json in new[] { "{ bozuk", "[]", "{ \"version\": 0, \"platforms\": {} }", "{ \"version\": 2 }" })
+        {
+            // Arrange
+            File.WriteAllText(_path, json);
+
+            // Act
+            var pack = ExtensionSelectorPackFile.Load(_path);
+
+            // Assert
+            pack.Should().BeNull();
+        }
+    }
+}
@@ -1,4 +1,9 @@
 using System.IO;
+using System.Net;
+using System.Net.Sockets;
+using System.Net.WebSockets;
+using System.Text;
+using System.Text.Json;
 
 namespace UniCast.Tests.Helpers;
 
@@ -132,3 +137,101 @@ public static class TestDataBuilder
         return $"UC-{RandomString(4)}-{RandomString(4)}-{RandomString(4)}-{RandomString(4)}".ToUpper();
     }
 }
+
+/// <summary>
+/// ExtensionBridgeServer testleri için extension gibi davranan WebSocket client
+/// </summary>
+public static class ExtensionBridgeClient
+{
+    public static readonly TimeSpan Timeout = TimeSpan.FromSeconds(10);
+
+    /// <summary>
+    /// Bağlan; server sadece extension origin'lerini kabul eder
+    /// </summary>
+    public static async Task<ClientWebSocket> ConnectAsync(int port, string origin = "chrome-extension://unicast-test")
+    {
+        var ws = new ClientWebSocket();
+        ws.Options.SetRequestHeader("Origin", origin);
+        await ws.ConnectAsync(new Uri($"ws://localhost:{port}/"), CancellationToken.None);
+        return ws;
+    }
+
+    /// <summary>
+    /// Gösterilen kodla eşleş, verilen token'ı döndür
+    /// </summary>
+    public static async Task<string> PairAsync(ClientWebSocket ws, string code, string installId = "install-1")
+    {
+        await SendJsonAsync(ws, new { type = "pair", code, installId });
+        var paired = await ReceiveJsonAsync(ws, "paired");
+        return paired.GetProperty("token").GetString()!;
+    }
+
+    /// <summary>
+    /// Bağlan, gösterilen kodla eşleş ve el sıkış
+    /// </summary>
+    public static async Task<ClientWebSocket> ConnectPairedAsync(int port, string code, string installId = "install-1")
+    {
+        var ws = await ConnectAsync(port);
+        var token = await PairAsync(ws, code, installId);
+
+        await SendJsonAsync(ws, new { type = "hello", protocolVersion = 1, installId, token });
+        await ReceiveJsonAsync(ws, "welcome");
+
+        return ws;
+    }
+
+    public static Task SendJsonAsync(ClientWebSocket ws, object message)
+    {
+        var bytes = Encoding.UTF8.GetBytes(JsonSerializer.Serialize(message));
+        return ws.SendAsync(bytes, WebSocketMessageType.Text, true, CancellationToken.None);
+    }
+
+    /// <summary>
+    /// Verilen tipte mesaj gelene kadar oku (arada gelen selectorPack vb. atlanır)
+    /// </summary>
+    public static async Task<JsonElement> ReceiveJsonAsync(ClientWebSocket ws, string type)
+    {
+        using var cts = new CancellationTokenSource(Timeout);
+        var buffer = new byte[4096];
+
+        while (true)
+        {
+            using var message = new MemoryStream();
+            WebSocketReceiveResult result;
+            do
+            {
+                result = await ws.ReceiveAsync(buffer, cts.Token);
+                message.Write(buffer, 0, result.Count);
+            } while (!result.EndOfMessage);
+
+            var root = JsonDocument.Parse(message.ToArray()).RootElement;
+            if (root.TryGetProperty("type", out var typeEl) && typeEl.GetString() == type)
+            {
+                return root;
+            }
+        }
+    }
+
+    /// <summary>
+    /// Server mesajları kendi döngüsünde işler; koşul sağlanana kadar bekle
+    /// </summary>
+    public static async Task<bool> WaitUntilAsync(Func<bool> condition)
+    {
+        var deadline = DateTime.UtcNow + Timeout;
+        while (!condition())
+        {
+            if (DateTime.UtcNow > deadline) return false;
+            await Task.Delay(20);
+        }
+        return true;
+    }
+
+    public static int GetFreePort()
+    {
+        var listener = new TcpListener(IPAddress.Loopback, 0);
+        listener.Start();
+        var port = ((IPEndPoint)listener.LocalEndpoint).Port;
+        listener.Stop();
+        return port;
+    }
+}